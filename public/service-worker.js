@@ -0,0 +1,177 @@
+/* eslint-disable no-restricted-globals */
+// Service worker: precaches the app shell so the app opens offline, and
+// keeps the last successful ArcGIS fire/perimeter/hotspot responses so the
+// app can show them (with their age) when the network is gone.
+
+// Each build registers the worker with its own `build` (see
+// src/serviceWorkerRegistration.js), so it installs afresh with a shell
+// cache of its own, and activating it deletes the last build's. Bump the
+// data cache's version when the stored responses change shape.
+const BUILD = new URL(self.location.href).searchParams.get("build") || "dev";
+const SHELL_CACHE = `wildfire-shell-${BUILD}`;
+const DATA_CACHE = "wildfire-data-v1";
+const CACHED_AT_HEADER = "X-SW-Cached-At";
+
+// Any ArcGIS feature layer query, including a local mock server
+const DATA_REQUEST = /\/FeatureServer\/\d+\/query/;
+
+// Query parameters limiting a query to an area. Without them the same
+// query is for the whole layer, whose answer holds every area's.
+const AREA_PARAMS = [
+  "geometry",
+  "geometryType",
+  "inSR",
+  "spatialRel",
+  "distance",
+  "units",
+];
+
+// A query's URL with its parameters in a fixed order, optionally without
+// the area ones
+const normalizeQuery = (href, wholeLayer = false) => {
+  const url = new URL(href);
+  const params = [...url.searchParams].filter(
+    ([name]) => !wholeLayer || !AREA_PARAMS.includes(name)
+  );
+  params.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return `${url.origin}${url.pathname}?${new URLSearchParams(params)}`;
+};
+
+const scoped = (path) => new URL(path, self.registration.scope).href;
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "manifest.json",
+  "favicon.ico",
+  "android-chrome-192x192.png",
+  "android-chrome-512x512.png",
+].map(scoped);
+
+// The build's hashed bundles are listed in asset-manifest.json
+const getBuildFiles = async () => {
+  const response = await fetch(scoped("asset-manifest.json"), {
+    cache: "no-store",
+  });
+  const manifest = await response.json();
+  return Object.values(manifest.files)
+    .filter((file) => !file.endsWith(".map"))
+    .map(scoped);
+};
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll([...SHELL_FILES, ...(await getBuildFiles())]);
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keys = await caches.keys();
+      await Promise.all(
+        keys
+          .filter((key) => key !== SHELL_CACHE && key !== DATA_CACHE)
+          .map((key) => caches.delete(key))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+const tellClient = async (clientId, message) => {
+  const client = clientId && (await self.clients.get(clientId));
+  if (client) {
+    client.postMessage(message);
+  }
+};
+
+// The stored response to the same query or, for a query limited to an
+// area, to the same query for the whole layer: the app filters by distance
+// itself. Another area's answer or another page of results would pass for
+// this one, so they never stand in.
+const findCachedAnswer = async (cache, request) => {
+  const exact = await cache.match(request);
+  if (exact) {
+    return exact;
+  }
+  const wanted = normalizeQuery(request.url, true);
+  const keys = await cache.keys();
+  const whole = keys.find((key) => normalizeQuery(key.url) === wanted);
+  return whole ? cache.match(whole) : undefined;
+};
+
+// Network first. Successful responses are stored with the time they were
+// fetched; when the network fails the stored copy is served instead.
+const fetchData = async (event) => {
+  const cache = await caches.open(DATA_CACHE);
+
+  try {
+    const response = await fetch(event.request);
+    if (response.ok) {
+      const headers = new Headers(response.headers);
+      const cachedAt = Date.now();
+      headers.set(CACHED_AT_HEADER, String(cachedAt));
+      const body = await response.clone().blob();
+      await cache.put(
+        event.request,
+        new Response(body, {
+          status: response.status,
+          statusText: response.statusText,
+          headers,
+        })
+      );
+      tellClient(event.clientId, {
+        type: "data-response",
+        url: event.request.url,
+        fromCache: false,
+        cachedAt,
+      });
+    }
+    return response;
+  } catch (err) {
+    const cached = await findCachedAnswer(cache, event.request);
+    if (!cached) {
+      throw err;
+    }
+    tellClient(event.clientId, {
+      type: "data-response",
+      url: event.request.url,
+      fromCache: true,
+      cachedAt: Number(cached.headers.get(CACHED_AT_HEADER)),
+    });
+    return cached;
+  }
+};
+
+// Navigations always get the app shell, from the network when possible
+const fetchPage = async (request) => {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    return caches.match(scoped("index.html"), { cacheName: SHELL_CACHE });
+  }
+};
+
+const fetchShellFile = async (request) =>
+  (await caches.match(request, { cacheName: SHELL_CACHE })) || fetch(request);
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") {
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (DATA_REQUEST.test(url.pathname)) {
+    event.respondWith(fetchData(event));
+  } else if (request.mode === "navigate") {
+    event.respondWith(fetchPage(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(fetchShellFile(request));
+  }
+});
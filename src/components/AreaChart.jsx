@@ -0,0 +1,125 @@
+import React from "react";
+import { getStatusHex, getStatusText } from "../utils/fireLabels";
+import { useI18n } from "../i18n/I18nContext";
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 16, right: 16, bottom: 32, left: 64 };
+
+// Line chart of a fire's estimated area over time. Points are coloured by
+// the fire's status at that snapshot and status changes get a marker line.
+const AreaChart = ({ snapshots, statusChanges }) => {
+  const { t } = useI18n();
+  const points = snapshots.filter((snapshot) => snapshot.AREAEST != null);
+  if (points.length < 2) {
+    return <p className="text-sm text-gray-500">{t("chart.notEnough")}</p>;
+  }
+
+  const firstTime = points[0].time;
+  const lastTime = points[points.length - 1].time;
+  const maxArea = Math.max(...points.map((point) => point.AREAEST), 1);
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const x = (time) =>
+    PADDING.left +
+    (lastTime === firstTime
+      ? plotWidth / 2
+      : ((time - firstTime) / (lastTime - firstTime)) * plotWidth);
+  const y = (area) => PADDING.top + plotHeight - (area / maxArea) * plotHeight;
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      className="w-full h-auto"
+      role="img"
+      aria-label={t("chart.label")}
+    >
+      {/* Axes */}
+      <line
+        x1={PADDING.left}
+        y1={PADDING.top + plotHeight}
+        x2={WIDTH - PADDING.right}
+        y2={PADDING.top + plotHeight}
+        stroke="#9ca3af"
+      />
+      <line
+        x1={PADDING.left}
+        y1={PADDING.top}
+        x2={PADDING.left}
+        y2={PADDING.top + plotHeight}
+        stroke="#9ca3af"
+      />
+      <text
+        x={PADDING.left - 6}
+        y={PADDING.top + 4}
+        textAnchor="end"
+        fontSize="11"
+        fill="#4b5563"
+      >
+        {t("chart.hectares", { area: maxArea })}
+      </text>
+      <text
+        x={PADDING.left - 6}
+        y={PADDING.top + plotHeight}
+        textAnchor="end"
+        fontSize="11"
+        fill="#4b5563"
+      >
+        {t("chart.hectares", { area: 0 })}
+      </text>
+      <text x={PADDING.left} y={HEIGHT - 8} fontSize="11" fill="#4b5563">
+        {t.dateTime(firstTime)}
+      </text>
+      <text
+        x={WIDTH - PADDING.right}
+        y={HEIGHT - 8}
+        textAnchor="end"
+        fontSize="11"
+        fill="#4b5563"
+      >
+        {t.dateTime(lastTime)}
+      </text>
+
+      {statusChanges.map((change) => (
+        <line
+          key={change.time}
+          x1={x(change.time)}
+          y1={PADDING.top}
+          x2={x(change.time)}
+          y2={PADDING.top + plotHeight}
+          stroke={getStatusHex(change.to)}
+          strokeDasharray="4 3"
+        />
+      ))}
+
+      <polyline
+        fill="none"
+        stroke="#f97316"
+        strokeWidth="2"
+        points={points
+          .map((point) => `${x(point.time)},${y(point.AREAEST)}`)
+          .join(" ")}
+      />
+      {points.map((point) => (
+        <circle
+          key={point.time}
+          cx={x(point.time)}
+          cy={y(point.AREAEST)}
+          r="3"
+          fill={getStatusHex(point.STATUS)}
+        >
+          <title>
+            {t("chart.point", {
+              time: t.dateTime(point.time),
+              area: point.AREAEST,
+              status: getStatusText(point.STATUS, t),
+            })}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+export default AreaChart;
@@ -0,0 +1,174 @@
+import React, { useState } from "react";
+import {
+  getAssetName,
+  parseAssetFile,
+  rankAssets,
+  sortAssets,
+} from "../utils/assets";
+import { getFireName } from "../utils/fireLabels";
+import { explainRisk } from "../utils/risk";
+import { useI18n } from "../i18n/I18nContext";
+import DemoWatermark from "./DemoWatermark";
+
+const COLUMNS = ["name", "type", "distance", "risk"];
+
+const readFile = (file, t) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(t("assets.readFailed")));
+    reader.readAsText(file);
+  });
+
+// Imported sites ranked by the threat from the nearest fires, in a table
+// sortable by any column. `demo` when the fires are demo data.
+const AssetsPanel = ({ assets, fires, riskRules, demo, onImport, onClear }) => {
+  const { t } = useI18n();
+  const [sort, setSort] = useState({ column: "risk", descending: false });
+  const [message, setMessage] = useState("");
+  const [importError, setImportError] = useState("");
+
+  const importFile = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = "";
+    if (!file) return;
+    setMessage("");
+    setImportError("");
+    try {
+      const { assets: imported, skipped } = parseAssetFile(
+        file.name,
+        await readFile(file, t)
+      );
+      if (imported.length === 0) {
+        throw new Error(t("assets.noPoints"));
+      }
+      onImport(imported);
+      setMessage(
+        t(skipped > 0 ? "assets.importedSkipped" : "assets.imported", {
+          count: imported.length,
+          file: file.name,
+          skipped,
+        })
+      );
+    } catch (err) {
+      setImportError(err.code ? t(`assets.error.${err.code}`) : err.message);
+    }
+  };
+
+  const sortBy = (column) =>
+    setSort((current) => ({
+      column,
+      descending: current.column === column ? !current.descending : false,
+    }));
+
+  const ranked = sortAssets(
+    rankAssets(assets, fires || [], riskRules),
+    sort.column,
+    sort.descending
+  );
+
+  return (
+    <div className="mb-8 bg-gray-50 rounded-lg p-6 border border-gray-200 text-left">
+      <div className="flex items-center justify-between mb-4 flex-col sm:flex-row gap-2">
+        <h2 className="text-xl font-bold text-gray-800">
+          <span className="mr-2">🏗️</span>
+          {t("assets.title")}
+        </h2>
+        <div className="flex items-center gap-2 text-sm">
+          <label className="px-3 py-1 bg-orange-500 text-white rounded cursor-pointer hover:bg-orange-600">
+            {t("assets.import")}
+            <input
+              type="file"
+              accept=".csv,.geojson,.json,text/csv,application/geo+json,application/json"
+              onChange={importFile}
+              className="hidden"
+            />
+          </label>
+          {assets.length > 0 && (
+            <button
+              onClick={onClear}
+              className="px-3 py-1 bg-red-50 text-red-700 rounded hover:bg-red-100"
+            >
+              {t("assets.removeAll")}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {message && <p className="mb-3 text-sm text-green-800">{message}</p>}
+      {importError && (
+        <p className="mb-3 text-sm text-red-700">{importError}</p>
+      )}
+
+      {assets.length === 0 ? (
+        <p className="text-sm text-gray-600">{t("assets.intro")}</p>
+      ) : (
+        <div className="relative overflow-x-auto">
+          <table className="w-full text-sm bg-white border border-gray-200 rounded">
+            <thead>
+              <tr className="text-left text-gray-600 border-b border-gray-200">
+                {COLUMNS.map((column) => (
+                  <th
+                    key={column}
+                    className="px-3 py-2 font-medium"
+                    aria-sort={
+                      sort.column === column
+                        ? sort.descending
+                          ? "descending"
+                          : "ascending"
+                        : "none"
+                    }
+                  >
+                    <button
+                      onClick={() => sortBy(column)}
+                      className="hover:text-gray-900"
+                    >
+                      {t(`assets.column.${column}`)}
+                      {sort.column === column &&
+                        (sort.descending ? " ▲" : " ▼")}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {ranked.map((asset) => (
+                <tr key={asset.id} className="border-t border-gray-100">
+                  <td className="px-3 py-2 text-gray-800">
+                    {getAssetName(asset, t)}
+                  </td>
+                  <td className="px-3 py-2 text-gray-600">
+                    {asset.type || "—"}
+                  </td>
+                  <td className="px-3 py-2 text-gray-700">
+                    {!fires
+                      ? t("assets.loading")
+                      : asset.nearestFire
+                      ? t("assets.nearest", {
+                          name: getFireName(asset.nearestFire, t),
+                          distance: asset.distance,
+                        })
+                      : t("assets.noneActive")}
+                  </td>
+                  <td className="px-3 py-2">
+                    {fires && (
+                      <span
+                        className={`text-xs font-medium px-2 py-1 rounded-full border whitespace-nowrap ${asset.risk.color}`}
+                        title={explainRisk(asset.risk, t)}
+                      >
+                        {t(`risk.level.${asset.risk.rank}`)}
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {demo && <DemoWatermark />}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AssetsPanel;
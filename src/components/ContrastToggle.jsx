@@ -0,0 +1,22 @@
+import React from "react";
+import { useI18n } from "../i18n/I18nContext";
+
+// Switches the high-contrast theme on and off.
+const ContrastToggle = ({ enabled, onChange }) => {
+  const { t } = useI18n();
+  return (
+    <button
+      onClick={() => onChange(!enabled)}
+      aria-pressed={enabled}
+      className={`px-3 py-1 rounded border text-sm ${
+        enabled
+          ? "bg-blue-500 text-white border-blue-500"
+          : "bg-white text-gray-700 border-gray-300 hover:bg-gray-50"
+      }`}
+    >
+      <span aria-hidden="true">◐</span> {t("contrast.label")}
+    </button>
+  );
+};
+
+export default ContrastToggle;
@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from "react";
+import { DATA_SOURCES, isFailing } from "../hooks/useSourceStatus";
+import { useI18n } from "../i18n/I18nContext";
+
+// The adapter serving each source, or null when the source is switched off
+const getAdapterNames = (providers) => ({
+  fires: providers.fires.name,
+  perimeters: providers.fires.getPerimeters ? providers.fires.name : null,
+  hotspots: providers.hotspots.name,
+  weather: providers.weather ? providers.weather.name : null,
+  geocoder: providers.geocoder.name,
+  routing: providers.routing ? providers.routing.name : null,
+});
+
+// Each data source with the adapter behind it, when it last answered and
+// its last error. Collapsed until opened, or until live fire data is
+// unavailable (`expand`).
+const DataSourcePanel = ({ providers, status, expand }) => {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(expand);
+  const adapters = getAdapterNames(providers);
+  const failing = DATA_SOURCES.filter(
+    (source) => adapters[source] && isFailing(status[source])
+  ).length;
+
+  useEffect(() => {
+    if (expand) setOpen(true);
+  }, [expand]);
+
+  return (
+    <div className="mb-8 bg-gray-50 rounded-lg p-6 border border-gray-200 text-left">
+      <div className="flex items-center justify-between flex-col sm:flex-row gap-2">
+        <h2 className="text-xl font-bold text-gray-800">
+          <span className="mr-2">📡</span>
+          {t("sources.title")}
+          {failing > 0 && (
+            <span className="ml-2 text-sm font-normal text-red-700">
+              {t("sources.failing", { count: failing })}
+            </span>
+          )}
+        </h2>
+        <button
+          onClick={() => setOpen(!open)}
+          aria-expanded={open}
+          className="text-sm text-blue-700 underline hover:text-blue-900"
+        >
+          {open ? t("sources.hide") : t("sources.show")}
+        </button>
+      </div>
+
+      {open && (
+        <table className="mt-4 w-full text-sm text-gray-700">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1 pr-4 font-medium">{t("sources.source")}</th>
+              <th className="py-1 pr-4 font-medium">
+                {t("sources.lastSuccess")}
+              </th>
+              <th className="py-1 font-medium">{t("sources.lastError")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {DATA_SOURCES.map((source) => {
+              const { lastSuccess, lastError } = status[source] || {};
+              return (
+                <tr key={source} className="border-t border-gray-200 align-top">
+                  <td className="py-2 pr-4">
+                    <span className="font-medium">
+                      {t(`sources.${source}`)}
+                    </span>{" "}
+                    <span className="text-gray-500">
+                      ({adapters[source] || t("sources.off")})
+                    </span>
+                  </td>
+                  <td className="py-2 pr-4">
+                    {lastSuccess
+                      ? t.dateTime(new Date(lastSuccess))
+                      : t("sources.never")}
+                  </td>
+                  <td
+                    className={`py-2 ${
+                      isFailing(status[source]) ? "text-red-700" : ""
+                    }`}
+                  >
+                    {lastError
+                      ? `${t.dateTime(new Date(lastError.time))}: ${
+                          lastError.message
+                        }`
+                      : t("sources.none")}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default DataSourcePanel;
@@ -0,0 +1,52 @@
+import React from "react";
+import { useI18n } from "../i18n/I18nContext";
+
+// Shown instead of any fires when live fire data couldn't be loaded, so an
+// empty or outdated list is never mistaken for an all-clear. Demo data is
+// only shown if the user asks for it.
+const DataUnavailable = ({ online, onRetry, onShowDemo }) => {
+  const { t } = useI18n();
+
+  return (
+    <div
+      role="alert"
+      className="mb-8 p-6 bg-red-50 border border-red-300 rounded-lg text-left"
+    >
+      <h2 className="text-xl font-bold text-red-800 mb-2">
+        {t("unavailable.title")}
+      </h2>
+      <p className="text-red-800 mb-2">
+        {online ? t("unavailable.body") : t("unavailable.offline")}{" "}
+        <strong>{t("unavailable.notAllClear")}</strong>
+      </p>
+      <p className="text-red-800 mb-4">
+        {t("about.alerts.before")}{" "}
+        <a
+          href={t("about.alerts.url")}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="underline font-medium hover:text-red-900"
+        >
+          {t("about.alerts.link")}
+        </a>
+        {t("about.alerts.after")}
+      </p>
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={onRetry}
+          className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+        >
+          {t("unavailable.retry")}
+        </button>
+        <button
+          onClick={onShowDemo}
+          className="px-4 py-2 bg-white text-red-800 border border-red-300 rounded-lg hover:bg-red-100 transition-colors"
+        >
+          {t("demo.show")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DataUnavailable;
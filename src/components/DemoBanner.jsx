@@ -0,0 +1,32 @@
+import React from "react";
+import { useI18n } from "../i18n/I18nContext";
+
+// Shown on every page while the fires are demo data. `onLeave` is only
+// given when the user chose the demo and can switch it off again.
+const DemoBanner = ({ onLeave }) => {
+  const { t } = useI18n();
+
+  return (
+    <div
+      role="status"
+      className="mb-6 p-3 bg-purple-50 border-2 border-dashed border-purple-400 rounded-lg text-left flex items-center justify-between gap-2 flex-col sm:flex-row"
+    >
+      <p className="text-purple-900 flex items-start gap-2">
+        <span aria-hidden="true">🧪</span>
+        <span>
+          <strong>{t("demo.title")}</strong> {t("demo.banner")}
+        </span>
+      </p>
+      {onLeave && (
+        <button
+          onClick={onLeave}
+          className="px-3 py-1 text-sm bg-white text-purple-900 border border-purple-400 rounded hover:bg-purple-100 whitespace-nowrap"
+        >
+          {t("demo.leave")}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default DemoBanner;
@@ -0,0 +1,22 @@
+import React from "react";
+import { useI18n } from "../i18n/I18nContext";
+
+// Diagonal "demo" stamp across a card showing a demo fire. The card needs
+// `relative overflow-hidden`.
+const DemoWatermark = () => {
+  const { t } = useI18n();
+
+  return (
+    <div className="absolute inset-0 flex items-center justify-center pointer-events-none select-none">
+      <span className="sr-only">{t("demo.label")}</span>
+      <span
+        aria-hidden="true"
+        className="text-6xl font-extrabold uppercase tracking-widest text-purple-600 opacity-20 -rotate-12"
+      >
+        {t("demo.watermark")}
+      </span>
+    </div>
+  );
+};
+
+export default DemoWatermark;
@@ -0,0 +1,62 @@
+import React from "react";
+import { formatDuration } from "../utils/time";
+import { getFireName } from "../utils/fireLabels";
+import { useI18n } from "../i18n/I18nContext";
+
+// Suggested drive to the nearest community away from the fires.
+const EvacuationPanel = ({ evacuation }) => {
+  const { t } = useI18n();
+  if (!evacuation) return null;
+
+  if (evacuation.loading) {
+    return (
+      <div className="mb-8 p-4 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-600 text-left">
+        {t("evacuation.planning")}
+      </div>
+    );
+  }
+
+  if (evacuation.error || !evacuation.choice) {
+    return (
+      <div className="mb-8 p-4 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-600 text-left">
+        {evacuation.error || t("evacuation.none")}
+      </div>
+    );
+  }
+
+  const { community, route, firesNearRoute } = evacuation.choice;
+  const flagged = firesNearRoute.length > 0;
+
+  return (
+    <div
+      className={`mb-8 p-4 rounded-lg border text-left ${
+        flagged ? "bg-red-50 border-red-200" : "bg-green-50 border-green-200"
+      }`}
+    >
+      <h2 className="text-lg font-semibold text-gray-800 mb-1">
+        <span className="mr-2">🚗</span>
+        {t("evacuation.title")}
+      </h2>
+      <p className="text-gray-700">
+        {t("evacuation.driveTo")} <strong>{community.name}</strong>:{" "}
+        {t("evacuation.distance", {
+          distance: route.distance,
+          duration: formatDuration(route.duration, t),
+        })}
+      </p>
+      {flagged && (
+        <p className="mt-2 text-sm text-red-800">
+          ⚠️{" "}
+          {t("evacuation.nearFire", {
+            fires: firesNearRoute
+              .map((fire) => getFireName(fire, t))
+              .join(", "),
+          })}
+        </p>
+      )}
+      <p className="mt-2 text-xs text-gray-500">{t("evacuation.disclaimer")}</p>
+    </div>
+  );
+};
+
+export default EvacuationPanel;
@@ -0,0 +1,69 @@
+import React from "react";
+import { buildExportRecords, toCsv, toGeoJson, toKml } from "../utils/export";
+import { useI18n } from "../i18n/I18nContext";
+
+const FORMATS = {
+  csv: { label: "CSV", type: "text/csv" },
+  geojson: { label: "GeoJSON", type: "application/geo+json" },
+  kml: { label: "KML", type: "application/vnd.google-earth.kml+xml" },
+};
+
+const download = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Downloads the shown fires and hotspots for spreadsheets, QGIS or Google
+// Earth.
+const ExportButtons = ({
+  fires,
+  hotspots,
+  location,
+  dataTime,
+  roadDistances,
+  riskRules,
+}) => {
+  const { t } = useI18n();
+  const exportAs = (format) => {
+    const records = buildExportRecords({
+      fires,
+      hotspots,
+      location,
+      dataTime,
+      roadDistances,
+      riskRules,
+    });
+    const meta = { location, dataTime };
+    const content =
+      format === "csv"
+        ? toCsv(records)
+        : format === "geojson"
+        ? JSON.stringify(toGeoJson(records, meta), null, 2)
+        : toKml(records, meta);
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:T]/g, "");
+    download(content, `wildfires-${stamp}.${format}`, FORMATS[format].type);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-gray-600">{t("export.label")}</span>
+      {Object.entries(FORMATS).map(([format, { label }]) => (
+        <button
+          key={format}
+          onClick={() => exportAs(format)}
+          className="px-3 py-1 bg-white border border-gray-300 rounded hover:bg-gray-50"
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ExportButtons;
@@ -0,0 +1,307 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { getFireHistory } from "../services/fireHistory";
+import { isAbortError } from "../services/http";
+import { getStatusChanges, summarizeGrowth } from "../utils/history";
+import {
+  getFireAttributes,
+  getFireName,
+  getStatusText,
+} from "../utils/fireLabels";
+import {
+  calculateBearing,
+  compassDirection,
+  getFireDistance,
+  ringsToLatLngs,
+} from "../utils/geo";
+import {
+  findNearbyHotspots,
+  NEARBY_HOTSPOT_RADIUS,
+  normalizeConfidence,
+} from "../utils/hotspots";
+import AreaChart from "./AreaChart";
+import WildfireMap from "./WildfireMap";
+import LanguageSwitcher from "./LanguageSwitcher";
+import StatusBadge from "./StatusBadge";
+import ContrastToggle from "./ContrastToggle";
+import DemoBanner from "./DemoBanner";
+import DemoWatermark from "./DemoWatermark";
+import { useI18n } from "../i18n/I18nContext";
+
+// Detail view for one fire: every attribute the layer reports, a map of the
+// fire and nearby hotspots, and its growth and status changes from the
+// snapshots recorded in IndexedDB. `hotspots` are the ones the app holds,
+// or null while they load. `loadDetails(fireId, signal)` fetches the
+// attributes the fire list leaves out.
+const FireDetail = ({
+  fire,
+  location,
+  hotspots: allHotspots,
+  loadDetails,
+  riskRules,
+  onBack,
+  highContrast,
+  onHighContrastChange,
+}) => {
+  const { t } = useI18n();
+  const [history, setHistory] = useState(null);
+  const [historyFailed, setHistoryFailed] = useState(false);
+  const [details, setDetails] = useState(null);
+  const [detailsFailed, setDetailsFailed] = useState(false);
+  const hotspots = useMemo(
+    () => allHotspots && findNearbyHotspots(fire, allHotspots),
+    [fire, allHotspots]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    getFireHistory(fire.FIREID)
+      .then((snapshots) => !cancelled && setHistory(snapshots))
+      .catch((err) => {
+        console.error("Fire history error:", err);
+        if (!cancelled) {
+          setHistory([]);
+          setHistoryFailed(true);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [fire.FIREID]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setDetails(null);
+    setDetailsFailed(false);
+    loadDetails(fire.FIREID, controller.signal)
+      .then(setDetails)
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        console.error("Fire details error:", err);
+        setDetailsFailed(true);
+      });
+    return () => controller.abort();
+  }, [fire.FIREID, loadDetails]);
+
+  const fromLocation = location && {
+    ...getFireDistance(location, fire),
+    bearing: calculateBearing(
+      location.lat,
+      location.lng,
+      fire.LATITUDE,
+      fire.LONGITUDE
+    ),
+  };
+
+  const statusChanges = history ? getStatusChanges(history) : [];
+  const growth = history ? summarizeGrowth(history) : null;
+
+  return (
+    <div className="max-w-4xl mx-auto p-6 bg-white min-h-screen text-left">
+      <div className="mb-6 flex items-center justify-between">
+        <button
+          onClick={onBack}
+          className="flex items-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+        >
+          {t("detail.back")}
+        </button>
+        <div className="flex items-center gap-2">
+          <LanguageSwitcher />
+          <ContrastToggle
+            enabled={highContrast}
+            onChange={onHighContrastChange}
+          />
+        </div>
+      </div>
+
+      {fire.demo && <DemoBanner />}
+
+      <div className="relative overflow-hidden flex items-start justify-between mb-6 flex-col sm:flex-row gap-2">
+        {fire.demo && <DemoWatermark />}
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">
+            {getFireName(fire, t)}
+          </h1>
+          <p className="text-gray-600 text-sm">
+            {t("detail.idRegion", {
+              id: fire.FIREID,
+              region: fire.REGION || t("detail.unknown"),
+            })}
+          </p>
+        </div>
+        <StatusBadge status={fire.STATUS} />
+      </div>
+
+      {fromLocation && fromLocation.distance === 0 && (
+        <p className="mb-6 text-red-800 font-medium">
+          {location.address
+            ? t("detail.insideAt", { address: location.address })
+            : t("detail.inside")}
+        </p>
+      )}
+      {fromLocation && fromLocation.distance > 0 && (
+        <p className="mb-6 text-gray-700">
+          <strong>{t("detail.km", { distance: fromLocation.distance })}</strong>{" "}
+          {t(
+            fromLocation.distanceTo === "edge"
+              ? "detail.fromEdge"
+              : "detail.fromCentre",
+            {
+              direction: t(`compass.${compassDirection(fromLocation.bearing)}`),
+              bearing: Math.round(fromLocation.bearing),
+              address: location.address ? `, ${location.address}` : "",
+            }
+          )}
+        </p>
+      )}
+
+      <div className="mb-6">
+        <WildfireMap
+          fires={[fire]}
+          location={location}
+          hotspots={hotspots || []}
+          riskRules={riskRules}
+          center={[fire.LATITUDE, fire.LONGITUDE]}
+          zoom={12}
+          bounds={
+            fire.perimeter ? ringsToLatLngs(fire.perimeter).flat() : undefined
+          }
+          legend={false}
+          className="h-80"
+        />
+      </div>
+
+      <div className="bg-white rounded-lg p-6 border border-gray-200 mb-6">
+        <h2 className="text-lg font-semibold text-gray-800 mb-2">
+          {t("detail.details")}
+        </h2>
+        <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2 text-sm">
+          {getFireAttributes({ ...details, ...fire }, t).map((row) => (
+            <div key={row.field} className="flex justify-between gap-4">
+              <dt className="text-gray-500">{row.label}</dt>
+              <dd className="text-gray-800 text-right">{row.value}</dd>
+            </div>
+          ))}
+        </dl>
+        {detailsFailed && (
+          <p className="text-sm text-red-700 mt-2">
+            {t("detail.detailsFailed")}
+          </p>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg p-6 border border-gray-200 mb-6">
+        <h2 className="text-lg font-semibold text-gray-800 mb-2">
+          {t("detail.hotspotsWithin", { distance: NEARBY_HOTSPOT_RADIUS })}
+        </h2>
+        {hotspots === null ? (
+          <p className="text-sm text-gray-500">{t("detail.loadingHotspots")}</p>
+        ) : hotspots.length === 0 ? (
+          <p className="text-sm text-gray-500">{t("detail.noHotspots")}</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="font-medium py-1">{t("detail.distance")}</th>
+                <th className="font-medium py-1">{t("detail.confidence")}</th>
+                <th className="font-medium py-1">{t("detail.firePower")}</th>
+                <th className="font-medium py-1">{t("detail.detected")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {hotspots.map((hotspot) => (
+                <tr key={hotspot.FIREID} className="border-t border-gray-100">
+                  <td className="py-1">
+                    {t("detail.km", { distance: hotspot.distance })}
+                  </td>
+                  <td className="py-1">
+                    {hotspot.confidence
+                      ? t(
+                          `confidence.${normalizeConfidence(
+                            hotspot.confidence
+                          )}`
+                        )
+                      : "—"}
+                  </td>
+                  <td className="py-1">
+                    {hotspot.frp != null
+                      ? t("detail.megawatts", { power: hotspot.frp })
+                      : "—"}
+                  </td>
+                  <td className="py-1">
+                    {hotspot.acq_date ? t.dateTime(hotspot.acq_date) : "—"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg p-6 border border-gray-200 mb-6">
+        <h2 className="text-lg font-semibold text-gray-800 mb-2">
+          {t("detail.areaOverTime")}
+        </h2>
+        {growth && (
+          <p className="text-sm text-gray-700 mb-3">
+            {t("detail.growth", {
+              from: growth.from,
+              to: growth.to,
+              since: t.dateTime(growth.since),
+            })}
+            {growth.factor && growth.factor !== 1 && (
+              <strong
+                className={
+                  growth.factor >= 2 ? " text-red-700" : " text-gray-800"
+                }
+              >
+                {" "}
+                ({t.number(growth.factor, 1)}×)
+              </strong>
+            )}
+          </p>
+        )}
+        {history === null ? (
+          <p className="text-sm text-gray-500">{t("detail.loadingHistory")}</p>
+        ) : (
+          <AreaChart snapshots={history} statusChanges={statusChanges} />
+        )}
+        {historyFailed && (
+          <p className="text-sm text-red-700 mt-2">
+            {t("detail.historyFailed")}
+          </p>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg p-6 border border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-800 mb-2">
+          {t("detail.statusChanges")}
+        </h2>
+        {statusChanges.length > 0 ? (
+          <ul className="space-y-2 text-sm">
+            {statusChanges.map((change) => (
+              <li key={change.time} className="flex gap-3">
+                <span className="text-gray-500 min-w-[170px]">
+                  {t.dateTime(change.time)}
+                </span>
+                <span className="text-gray-800">
+                  {getStatusText(change.from, t)} →{" "}
+                  {getStatusText(change.to, t)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">
+            {history && history.length > 0
+              ? t("detail.noChangesSince", {
+                  since: t.dateTime(history[0].time),
+                })
+              : t("detail.noChanges")}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FireDetail;
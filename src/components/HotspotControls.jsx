@@ -0,0 +1,74 @@
+import React from "react";
+import { CONFIDENCE_LEVELS, HOTSPOT_AGES } from "../utils/hotspots";
+import { useI18n } from "../i18n/I18nContext";
+
+// Display mode and filters for the satellite hotspot layer.
+const HotspotControls = ({ view, onChange, shown, total }) => {
+  const { t } = useI18n();
+  const toggleConfidence = (level) =>
+    onChange({
+      ...view,
+      confidence: view.confidence.includes(level)
+        ? view.confidence.filter((item) => item !== level)
+        : [...view.confidence, level],
+    });
+
+  return (
+    <div className="mb-4 flex flex-wrap items-center gap-x-6 gap-y-2 text-sm text-gray-700">
+      <div className="flex items-center gap-1">
+        <span className="font-medium mr-1">{t("hotspots.label")}</span>
+        {["markers", "heatmap"].map((mode) => (
+          <button
+            key={mode}
+            onClick={() => onChange({ ...view, mode })}
+            className={`px-3 py-1 rounded border ${
+              view.mode === mode
+                ? "bg-blue-500 text-white border-blue-500"
+                : "bg-white border-gray-300 hover:bg-gray-50"
+            }`}
+          >
+            {t(`hotspots.mode.${mode}`)}
+          </button>
+        ))}
+      </div>
+      <label className="flex items-center gap-2">
+        {t("hotspots.detectedIn")}
+        <select
+          value={view.maxAge || ""}
+          onChange={(e) =>
+            onChange({
+              ...view,
+              maxAge: e.target.value ? Number(e.target.value) : null,
+            })
+          }
+          className="px-2 py-1 border border-gray-300 rounded"
+        >
+          <option value="">{t("hotspots.anyTime")}</option>
+          {HOTSPOT_AGES.map((hours) => (
+            <option key={hours} value={hours}>
+              {t("hotspots.hours", { count: hours })}
+            </option>
+          ))}
+        </select>
+      </label>
+      <div className="flex items-center gap-3">
+        <span>{t("hotspots.confidence")}</span>
+        {CONFIDENCE_LEVELS.map((level) => (
+          <label key={level} className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={view.confidence.includes(level)}
+              onChange={() => toggleConfidence(level)}
+            />
+            {t(`confidence.${level}`)}
+          </label>
+        ))}
+      </div>
+      <span className="text-gray-500">
+        {t("hotspots.showing", { shown, total })}
+      </span>
+    </div>
+  );
+};
+
+export default HotspotControls;
@@ -0,0 +1,211 @@
+import React, { useMemo, useState } from "react";
+import { Marker, Popup, Rectangle, useMap, useMapEvents } from "react-leaflet";
+import L from "leaflet";
+import {
+  binHotspots,
+  CONFIDENCE_COLORS,
+  getCellSize,
+  getHotspotAge,
+  normalizeConfidence,
+} from "../utils/hotspots";
+import { getHotspotName } from "../utils/fireLabels";
+import { formatAge } from "../utils/time";
+import { useI18n } from "../i18n/I18nContext";
+
+// From this zoom level on every hotspot gets its own marker
+const CLUSTER_MAX_ZOOM = 12;
+
+// Older detections fade so fresh ones stand out
+const ageOpacity = (hotspot) => {
+  const age = getHotspotAge(hotspot);
+  if (age === null || age > 72) return 0.45;
+  if (age > 24) return 0.65;
+  if (age > 6) return 0.85;
+  return 1;
+};
+
+const iconCache = {};
+
+const getHotspotIcon = (hotspot) => {
+  const color = CONFIDENCE_COLORS[normalizeConfidence(hotspot.confidence)];
+  const opacity = ageOpacity(hotspot);
+  const key = `${color}-${opacity}`;
+  if (!iconCache[key]) {
+    iconCache[key] = L.divIcon({
+      html: `<div style="background: ${color}; opacity: ${opacity}; color: white; border-radius: 50%; width: 20px; height: 20px; display: flex; align-items: center; justify-content: center; font-size: 10px; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);" aria-hidden="true">🔥</div>`,
+      className: "custom-div-icon",
+      iconSize: [20, 20],
+      iconAnchor: [10, 10],
+    });
+  }
+  return iconCache[key];
+};
+
+const getClusterIcon = (cell) => {
+  const key = `cluster-${cell.confidence}-${cell.count}`;
+  if (!iconCache[key]) {
+    const size = cell.count < 10 ? 28 : cell.count < 100 ? 34 : 40;
+    iconCache[key] = L.divIcon({
+      html: `<div style="background: ${
+        CONFIDENCE_COLORS[cell.confidence]
+      }; color: white; border-radius: 50%; width: ${size}px; height: ${size}px; display: flex; align-items: center; justify-content: center; font-size: 12px; font-weight: 600; border: 3px solid rgba(255,255,255,0.8); box-shadow: 0 2px 4px rgba(0,0,0,0.3);" aria-hidden="true">${
+        cell.count
+      }</div>`,
+      className: "custom-div-icon",
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2],
+    });
+  }
+  return iconCache[key];
+};
+
+// The current zoom and the area around what's on screen. Hotspots outside
+// it aren't drawn, which keeps thousands of them quick to pan over.
+const getView = (map) => {
+  const size = map.getSize();
+  return {
+    zoom: map.getZoom(),
+    // A map with no size yet (e.g. still hidden) draws everything
+    bounds: size.x > 0 && size.y > 0 ? map.getBounds().pad(0.5) : null,
+  };
+};
+
+// Yellow for the sparsest cells through to red for the densest
+const heatColor = (ratio) => `hsl(${Math.round(50 - 50 * ratio)}, 95%, 50%)`;
+
+const HotspotPopup = ({ hotspot, showDistance }) => {
+  const { t } = useI18n();
+  return (
+    <Popup>
+      <div style={{ fontSize: "12px", minWidth: "180px" }}>
+        <strong
+          style={{
+            color: CONFIDENCE_COLORS[normalizeConfidence(hotspot.confidence)],
+          }}
+        >
+          {getHotspotName(hotspot, t)}
+        </strong>
+        <br />
+        <strong>{t("hotspot.type")}</strong> {t("hotspot.thermal")}
+        <br />
+        <strong>{t("hotspot.confidence")}</strong>{" "}
+        {t(`confidence.${normalizeConfidence(hotspot.confidence)}`)}
+        <br />
+        {hotspot.acq_date && (
+          <>
+            <strong>{t("hotspot.detected")}</strong>{" "}
+            {formatAge(hotspot.acq_date, t)}
+            <br />
+          </>
+        )}
+        {hotspot.frp && (
+          <>
+            <strong>{t("hotspot.intensity")}</strong>{" "}
+            {t("detail.megawatts", { power: hotspot.frp })}
+            <br />
+          </>
+        )}
+        {showDistance && hotspot.distance != null && (
+          <>
+            <strong>{t("hotspot.distance")}</strong>{" "}
+            {t("detail.km", { distance: hotspot.distance })}
+            <br />
+          </>
+        )}
+        <em style={{ fontSize: "10px", color: "#666" }}>
+          {t("hotspot.unconfirmed")}
+        </em>
+      </div>
+    </Popup>
+  );
+};
+
+// Draws VIIRS hotspots either as markers that cluster by grid cell until
+// CLUSTER_MAX_ZOOM, or as a density heatmap. Re-bins whenever the map
+// moves, so clusters break apart as you zoom in, and only for the hotspots
+// in and around the view.
+const HotspotLayer = ({ hotspots, mode = "markers", showDistance = false }) => {
+  const { t } = useI18n();
+  const map = useMap();
+  const [view, setView] = useState(() => getView(map));
+  useMapEvents({
+    moveend: () => setView(getView(map)),
+  });
+  const currentZoom = view.zoom;
+
+  const visible = useMemo(
+    () =>
+      view.bounds
+        ? hotspots.filter((hotspot) =>
+            view.bounds.contains([hotspot.LATITUDE, hotspot.LONGITUDE])
+          )
+        : hotspots,
+    [hotspots, view]
+  );
+  const cells = useMemo(
+    () =>
+      currentZoom >= CLUSTER_MAX_ZOOM && mode !== "heatmap"
+        ? null
+        : binHotspots(
+            visible,
+            getCellSize(mode === "heatmap" ? currentZoom + 1 : currentZoom)
+          ),
+    [visible, currentZoom, mode]
+  );
+
+  if (mode === "heatmap") {
+    const maxCount = Math.max(1, ...cells.map((cell) => cell.count));
+    return cells.map((cell) => (
+      <Rectangle
+        key={cell.key}
+        bounds={cell.bounds}
+        pathOptions={{
+          stroke: false,
+          fillColor: heatColor(cell.count / maxCount),
+          fillOpacity: 0.35 + 0.4 * (cell.count / maxCount),
+        }}
+      >
+        <Popup>{t("hotspot.inArea", { count: cell.count })}</Popup>
+      </Rectangle>
+    ));
+  }
+
+  const marker = (hotspot, index) => (
+    <Marker
+      key={`hotspot-${hotspot.FIREID || index}`}
+      position={[hotspot.LATITUDE, hotspot.LONGITUDE]}
+      icon={getHotspotIcon(hotspot)}
+      title={t("a11y.hotspotMarker", {
+        confidence: t(`confidence.${normalizeConfidence(hotspot.confidence)}`),
+      })}
+    >
+      <HotspotPopup hotspot={hotspot} showDistance={showDistance} />
+    </Marker>
+  );
+
+  if (!cells) {
+    return visible.map(marker);
+  }
+
+  return cells.map((cell) =>
+    cell.count === 1 ? (
+      marker(cell.hotspots[0])
+    ) : (
+      <Marker
+        key={`cluster-${cell.key}`}
+        position={[cell.lat, cell.lng]}
+        icon={getClusterIcon(cell)}
+        title={t("hotspot.count", { count: cell.count })}
+        eventHandlers={{
+          click: () =>
+            map.setView(
+              [cell.lat, cell.lng],
+              Math.min(currentZoom + 2, CLUSTER_MAX_ZOOM)
+            ),
+        }}
+      />
+    )
+  );
+};
+
+export default React.memo(HotspotLayer);
@@ -0,0 +1,34 @@
+import React from "react";
+import { LANGUAGES } from "../i18n/translate";
+import { useI18n } from "../i18n/I18nContext";
+
+// Buttons for each supported language, each named in its own language.
+const LanguageSwitcher = () => {
+  const { language, setLanguage, t } = useI18n();
+
+  return (
+    <div
+      role="group"
+      aria-label={t("language.label")}
+      className="flex items-center gap-1 text-sm"
+    >
+      {Object.entries(LANGUAGES).map(([code, { name }]) => (
+        <button
+          key={code}
+          lang={code}
+          onClick={() => setLanguage(code)}
+          aria-pressed={language === code}
+          className={`px-3 py-1 rounded border ${
+            language === code
+              ? "bg-blue-500 text-white border-blue-500"
+              : "bg-white text-gray-700 border-gray-300 hover:bg-gray-50"
+          }`}
+        >
+          {name}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default LanguageSwitcher;
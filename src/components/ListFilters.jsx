@@ -0,0 +1,155 @@
+import React from "react";
+import { getStatusText } from "../utils/fireLabels";
+import {
+  countActiveFilters,
+  DEFAULT_FILTERS,
+  SORT_OPTIONS,
+} from "../utils/fireFilters";
+import { useI18n } from "../i18n/I18nContext";
+
+// Choices for the "within" filter, in km
+const RADIUS_OPTIONS = [10, 25, 50, 100, 250];
+
+// Filter and sort controls for the results list. The same filters apply to
+// the fire markers on the map.
+const ListFilters = ({
+  filters,
+  sort,
+  choices,
+  onFiltersChange,
+  onSortChange,
+}) => {
+  const { t } = useI18n();
+  const set = (changes) => onFiltersChange({ ...filters, ...changes });
+  const toggleStatus = (status) =>
+    set({
+      statuses: filters.statuses.includes(status)
+        ? filters.statuses.filter((item) => item !== status)
+        : DEFAULT_FILTERS.statuses.filter(
+            (item) => item === status || filters.statuses.includes(item)
+          ),
+    });
+  const active = countActiveFilters(filters);
+  const inputClass = "px-2 py-1 border border-gray-300 rounded";
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-700 text-left">
+      <div className="flex flex-wrap items-center gap-x-6 gap-y-3">
+        <div className="flex items-center gap-3">
+          {DEFAULT_FILTERS.statuses.map((status) => (
+            <label key={status} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={filters.statuses.includes(status)}
+                onChange={() => toggleStatus(status)}
+              />
+              {getStatusText(status, t)}
+            </label>
+          ))}
+        </div>
+        <label className="flex items-center gap-2">
+          {t("filters.within")}
+          <select
+            value={filters.radius || ""}
+            onChange={(e) =>
+              set({ radius: e.target.value ? Number(e.target.value) : null })
+            }
+            className={inputClass}
+          >
+            <option value="">{t("filters.anyDistance")}</option>
+            {RADIUS_OPTIONS.map((km) => (
+              <option key={km} value={km}>
+                {t("filters.km", { distance: km })}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          {t("filters.minArea")}
+          <input
+            type="number"
+            min="0"
+            value={filters.minArea || ""}
+            onChange={(e) =>
+              set({ minArea: e.target.value ? Number(e.target.value) : null })
+            }
+            className={`${inputClass} w-24`}
+            placeholder={t("filters.hectares")}
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          {t("filters.cause")}
+          <select
+            value={filters.cause}
+            onChange={(e) => set({ cause: e.target.value })}
+            className={inputClass}
+          >
+            <option value="">{t("filters.any")}</option>
+            {choices.causes.map((cause) => (
+              <option key={cause} value={cause}>
+                {cause}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          {t("filters.region")}
+          <select
+            value={filters.region}
+            onChange={(e) => set({ region: e.target.value })}
+            className={inputClass}
+          >
+            <option value="">{t("filters.any")}</option>
+            {choices.regions.map((region) => (
+              <option key={region} value={region}>
+                {region}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          {t("filters.startedFrom")}
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => set({ from: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          {t("filters.to")}
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => set({ to: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          {t("filters.sortBy")}
+          <select
+            value={sort}
+            onChange={(e) => onSortChange(e.target.value)}
+            className={inputClass}
+          >
+            {SORT_OPTIONS.map((value) => (
+              <option key={value} value={value}>
+                {t(`sort.${value}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+        {active > 0 && (
+          <button
+            onClick={() => onFiltersChange(DEFAULT_FILTERS)}
+            className="text-blue-600 hover:text-blue-800"
+          >
+            {t("filters.clear", { count: active })}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ListFilters;
@@ -0,0 +1,21 @@
+import React from "react";
+
+// Visually hidden live regions. Screen readers read out `message` when the
+// user is idle and `alert` straight away, each time the text changes.
+const LiveAnnouncer = ({ message, alert }) => (
+  <>
+    <div
+      className="sr-only"
+      role="status"
+      aria-live="polite"
+      aria-atomic="true"
+    >
+      {message}
+    </div>
+    <div className="sr-only" role="alert" aria-atomic="true">
+      {alert}
+    </div>
+  </>
+);
+
+export default LiveAnnouncer;
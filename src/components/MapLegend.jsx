@@ -0,0 +1,136 @@
+import React from "react";
+import {
+  FIRE_STATUSES,
+  getStatusSymbol,
+  STATUS_CODES,
+} from "../utils/fireLabels";
+import { CONFIDENCE_COLORS, CONFIDENCE_LEVELS } from "../utils/hotspots";
+import { RISK_LEVELS } from "../utils/risk";
+import { useI18n } from "../i18n/I18nContext";
+
+const Entry = ({ children, label }) => (
+  <div className="flex items-center gap-2">
+    {children}
+    <span>{label}</span>
+  </div>
+);
+
+// Key to the map, built from the same status and confidence colours the
+// map draws with. `show` says which entries apply: a layer that is
+// switched off or has nothing on it is left out.
+const MapLegend = ({ show }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-lg font-semibold text-gray-800 mb-2">
+        {t("legend.title")}
+      </h3>
+      <div className="flex flex-wrap gap-4 text-sm">
+        {show.fires &&
+          STATUS_CODES.map((status) => (
+            <Entry key={status} label={t(`legend.${status}`)}>
+              <span
+                aria-hidden="true"
+                className="w-6 text-center text-xl leading-none"
+                style={{ color: FIRE_STATUSES[status].hex }}
+              >
+                {getStatusSymbol(status)}
+              </span>
+            </Entry>
+          ))}
+        {show.areas && (
+          <Entry label={t("legend.area")}>
+            <div className="flex gap-1" aria-hidden="true">
+              {["OC", "BH", "UC"].map((status) => (
+                <div
+                  key={status}
+                  className="w-4 h-4"
+                  style={{
+                    border: `2px ${FIRE_STATUSES[status].line} ${FIRE_STATUSES[status].hex}`,
+                    background: `${FIRE_STATUSES[status].hex}40`,
+                  }}
+                ></div>
+              ))}
+            </div>
+          </Entry>
+        )}
+        {show.downwind && (
+          <Entry label={t("legend.downwind")}>
+            <div className="w-6 h-4 bg-orange-100 border border-dashed border-orange-600"></div>
+          </Entry>
+        )}
+        {show.hotspots && (
+          <>
+            {CONFIDENCE_LEVELS.map((level) => (
+              <Entry key={level} label={t(`legend.${level}`)}>
+                <div
+                  className="w-5 h-5 rounded-full flex items-center justify-center text-white text-xs"
+                  style={{ background: CONFIDENCE_COLORS[level] }}
+                >
+                  🔥
+                </div>
+              </Entry>
+            ))}
+            <Entry label={t("legend.cluster")}>
+              <div
+                className="w-6 h-6 rounded-full flex items-center justify-center text-white text-xs font-semibold"
+                style={{ background: CONFIDENCE_COLORS.high }}
+              >
+                12
+              </div>
+            </Entry>
+          </>
+        )}
+        {show.newFires && (
+          <Entry label={t("legend.possibleFire")}>
+            <div className="w-6 h-6 bg-fuchsia-600 rounded-full border-2 border-dashed border-white flex items-center justify-center text-white text-xs font-bold">
+              ?
+            </div>
+          </Entry>
+        )}
+        {show.location && (
+          <>
+            <Entry label={t("legend.location")}>
+              <div className="w-4 h-4 bg-blue-500 rounded-full"></div>
+            </Entry>
+            <Entry label={t("legend.accuracy")}>
+              <div className="w-5 h-5 bg-blue-100 border border-blue-500 rounded-full"></div>
+            </Entry>
+          </>
+        )}
+        {show.route && (
+          <Entry label={t("legend.evacuation")}>
+            <div className="w-6 h-1 bg-green-600"></div>
+          </Entry>
+        )}
+        {show.assets && (
+          <Entry label={t("legend.asset")}>
+            <div className="flex items-center gap-0.5" aria-hidden="true">
+              {RISK_LEVELS.map((level) => (
+                <div
+                  key={level.rank}
+                  className="rounded-full border border-white"
+                  style={{
+                    background: level.hex,
+                    width: 6 + level.rank * 2,
+                    height: 6 + level.rank * 2,
+                  }}
+                ></div>
+              ))}
+            </div>
+          </Entry>
+        )}
+        {show.places && (
+          <Entry label={t("legend.place")}>
+            <div className="w-5 h-5 bg-teal-600 rounded flex items-center justify-center text-white text-xs">
+              🏠
+            </div>
+          </Entry>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MapLegend;
@@ -0,0 +1,125 @@
+import React from "react";
+import { useI18n } from "../i18n/I18nContext";
+
+const EVENT_ICONS = {
+  "new-fire": "🔥",
+  "status-change": "🔄",
+  "risk-increase": "⚠️",
+};
+
+// Controls for monitoring mode and the history of detected changes.
+const MonitorPanel = ({
+  settings,
+  onSettingsChange,
+  onEnabledChange,
+  events,
+  onClearEvents,
+  lastChecked,
+  permission,
+  hasLocation,
+}) => {
+  const { t } = useI18n();
+  return (
+    <div className="mb-8 bg-gray-50 rounded-lg p-6 border border-gray-200 text-left">
+      <div className="flex items-center justify-between mb-4 flex-col sm:flex-row gap-2">
+        <h2 className="text-xl font-bold text-gray-800">
+          <span className="mr-2">🔔</span>
+          {t("monitor.title")}
+        </h2>
+        <label className="flex items-center gap-2 text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => onEnabledChange(e.target.checked)}
+            className="w-4 h-4"
+          />
+          {t("monitor.watch")}
+        </label>
+      </div>
+
+      <div className="flex gap-4 flex-col sm:flex-row text-sm text-gray-700 mb-3">
+        <label className="flex items-center gap-2">
+          {t("monitor.checkEvery")}
+          <select
+            value={settings.intervalMinutes}
+            onChange={(e) =>
+              onSettingsChange({ intervalMinutes: Number(e.target.value) })
+            }
+            className="px-2 py-1 border border-gray-300 rounded text-black"
+          >
+            {[5, 10, 15, 30, 60].map((minutes) => (
+              <option key={minutes} value={minutes}>
+                {t("time.minutes", { minutes })}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          {t("monitor.alertWithin")}
+          <input
+            type="number"
+            min="1"
+            max="500"
+            value={settings.radius}
+            onChange={(e) =>
+              onSettingsChange({ radius: Number(e.target.value) || 1 })
+            }
+            className="w-20 px-2 py-1 border border-gray-300 rounded text-black"
+          />
+          {t("monitor.km")}
+        </label>
+      </div>
+
+      {settings.enabled && (
+        <p className="text-sm text-gray-500 mb-3">
+          {lastChecked
+            ? t("monitor.lastChecked", { time: t.time(lastChecked) })
+            : t("monitor.starting")}
+          {!hasLocation && ` · ${t("monitor.needLocation")}`}
+        </p>
+      )}
+      {settings.enabled && permission !== "granted" && (
+        <p className="text-sm text-orange-700 mb-3">
+          {permission === "unsupported"
+            ? t("monitor.unsupported")
+            : t("monitor.blocked")}
+        </p>
+      )}
+
+      {/* New events are read out as they arrive */}
+      <div aria-live="polite">
+        {events.length > 0 ? (
+          <ul className="space-y-2 max-h-64 overflow-y-auto">
+            {events.map((event) => (
+              <li
+                key={event.id}
+                className="bg-white rounded p-3 border border-gray-200 text-sm flex gap-2"
+              >
+                <span aria-hidden="true">{EVENT_ICONS[event.type]}</span>
+                <div>
+                  <p className="font-medium text-gray-800">{event.title}</p>
+                  <p className="text-gray-600">{event.message}</p>
+                  <p className="text-xs text-gray-400">
+                    {t.dateTime(event.time)}
+                  </p>
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">{t("monitor.noChanges")}</p>
+        )}
+      </div>
+      {events.length > 0 && (
+        <button
+          onClick={onClearEvents}
+          className="mt-2 text-sm text-gray-600 underline hover:text-gray-800"
+        >
+          {t("monitor.clear")}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default MonitorPanel;
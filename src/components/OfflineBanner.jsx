@@ -0,0 +1,33 @@
+import React from "react";
+import { formatAge } from "../utils/time";
+import { useI18n } from "../i18n/I18nContext";
+
+// Shown when the network is down or data came from the offline cache.
+const OfflineBanner = ({ online, staleSince }) => {
+  const { t } = useI18n();
+  if (online && !staleSince) {
+    return null;
+  }
+
+  return (
+    <div className="mb-6 p-3 bg-yellow-50 border border-yellow-300 rounded-lg text-left">
+      <p className="text-yellow-800 flex items-start gap-2">
+        <span>📴</span>
+        <span>
+          {online ? t("offline.liveUnavailable") : t("offline.offline")}{" "}
+          {staleSince ? (
+            <>
+              {t("offline.savedData")}{" "}
+              <strong>{formatAge(staleSince, t)}</strong> (
+              {t.dateTime(staleSince)}). {t("offline.mayHaveChanged")}
+            </>
+          ) : (
+            t("offline.willLoad")
+          )}
+        </span>
+      </p>
+    </div>
+  );
+};
+
+export default OfflineBanner;
@@ -0,0 +1,79 @@
+import React from "react";
+import {
+  calculateDistance,
+  compassDirection,
+  findNearestPlace,
+} from "../utils/geo";
+import { formatAge } from "../utils/time";
+import communities from "../data/communities";
+import { useI18n } from "../i18n/I18nContext";
+
+// Hotspot clusters with no matching fire in the provincial data.
+const PossibleNewFires = ({ clusters, location, onShowMap }) => {
+  const { t } = useI18n();
+  if (clusters.length === 0) return null;
+
+  return (
+    <div className="mb-8 p-4 bg-fuchsia-50 border border-fuchsia-200 rounded-lg text-left">
+      <h2 className="text-lg font-semibold text-gray-800 mb-1">
+        <span className="mr-2">❓</span>
+        {t("newFires.title", { count: clusters.length })}
+      </h2>
+      <p className="text-sm text-gray-600 mb-3">{t("newFires.intro")}</p>
+      <ul className="space-y-3">
+        {clusters.map((cluster) => {
+          const nearest = findNearestPlace(cluster, communities);
+          return (
+            <li
+              key={cluster.id}
+              className="bg-white rounded border border-fuchsia-200 p-3 text-sm"
+            >
+              <p className="font-medium text-fuchsia-900">
+                {t("newFires.item")}
+              </p>
+              <p className="text-gray-700">
+                {nearest &&
+                  t("newFires.nearPlace", {
+                    distance: Math.round(nearest.distance),
+                    direction: t(
+                      `compass.${compassDirection(nearest.bearing)}`
+                    ),
+                    place: nearest.place.name,
+                  })}
+                {location &&
+                  ` · ${t("newFires.fromSearch", {
+                    distance: calculateDistance(
+                      location.lat,
+                      location.lng,
+                      cluster.lat,
+                      cluster.lng
+                    ),
+                  })}`}
+              </p>
+              <p className="text-gray-500">
+                {t("newFires.hotspots", {
+                  count: cluster.count,
+                  confidence: t(`confidence.${cluster.confidence}`),
+                })}
+                {cluster.lastDetected &&
+                  `, ${t("newFires.lastDetected", {
+                    age: formatAge(cluster.lastDetected, t),
+                  })}`}
+              </p>
+            </li>
+          );
+        })}
+      </ul>
+      {onShowMap && (
+        <button
+          onClick={onShowMap}
+          className="mt-3 text-sm text-blue-600 hover:text-blue-800"
+        >
+          {t("newFires.showMap")}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PossibleNewFires;
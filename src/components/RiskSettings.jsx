@@ -0,0 +1,173 @@
+import React, { useState } from "react";
+import { checkRiskRules, overrideRiskRules, RISK_LEVELS } from "../utils/risk";
+import { useI18n } from "../i18n/I18nContext";
+
+// Distance rules, as [group, key]
+const DISTANCE_FIELDS = [
+  ["distances", "extreme"],
+  ["distances", "high"],
+  ["distances", "moderate"],
+  [null, "watch"],
+];
+
+// Rules an empty box turns off
+const OPTIONAL_FIELDS = ["largeFire", "growthFactor"];
+
+const getGroup = (key) =>
+  (DISTANCE_FIELDS.find(([, field]) => field === key) || [])[0];
+
+// The override the typed values amount to
+const draftOverride = (drafts) =>
+  Object.entries(drafts).reduce((override, [key, text]) => {
+    const value =
+      text.trim() === "" && OPTIONAL_FIELDS.includes(key) ? null : Number(text);
+    const group = getGroup(key);
+    return overrideRiskRules(
+      override,
+      group ? { [group]: { [key]: value } } : { [key]: value }
+    );
+  }, {});
+
+// The user's own risk thresholds, layered over the deployment's. Collapsed
+// by default; most people never need to change them.
+const RiskSettings = ({ rules, deployment, customized, onChange, onReset }) => {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  // What's typed in each box not yet applied, by field
+  const [drafts, setDrafts] = useState({});
+  // The field left with rules checkRiskRules refuses, and why
+  const [problem, setProblem] = useState(null);
+  const inputClass = "px-2 py-1 border border-gray-300 rounded text-black w-24";
+
+  const edit = (key, text) =>
+    setDrafts((current) => ({ ...current, [key]: text }));
+
+  // Typing only changes the box. Leaving it applies every typed value at
+  // once, provided the rules they make are usable.
+  const apply = (key) => {
+    if (Object.keys(drafts).length === 0) return;
+    const override = draftOverride(drafts);
+    const invalid = checkRiskRules(overrideRiskRules(rules, override));
+    if (invalid) {
+      setProblem({ field: key, message: invalid });
+      return;
+    }
+    setProblem(null);
+    setDrafts({});
+    onChange(override);
+  };
+
+  const inputProps = (key, value) => ({
+    type: "number",
+    min: "1",
+    value: drafts[key] ?? value ?? "",
+    onChange: (e) => edit(key, e.target.value),
+    onBlur: () => apply(key),
+    "aria-invalid": problem && problem.field === key ? true : undefined,
+    className: inputClass,
+  });
+
+  const fieldProblem = (key) =>
+    problem &&
+    problem.field === key && (
+      <p role="alert" className="text-red-700 sm:col-span-2">
+        {t(problem.message)}
+      </p>
+    );
+
+  return (
+    <div className="mb-8 bg-gray-50 rounded-lg p-6 border border-gray-200 text-left">
+      <div className="flex items-center justify-between flex-col sm:flex-row gap-2">
+        <h2 className="text-xl font-bold text-gray-800">
+          <span className="mr-2">⚖️</span>
+          {t("riskSettings.title")}
+          {customized && (
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              {t("riskSettings.customized")}
+            </span>
+          )}
+        </h2>
+        <button
+          onClick={() => setOpen(!open)}
+          aria-expanded={open}
+          className="text-sm text-blue-700 underline hover:text-blue-900"
+        >
+          {open ? t("riskSettings.hide") : t("riskSettings.adjust")}
+        </button>
+      </div>
+
+      {open && (
+        <div className="mt-4 text-sm text-gray-700 space-y-4">
+          <p className="text-gray-600">{t("riskSettings.intro")}</p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {DISTANCE_FIELDS.map(([group, key]) => {
+              const value = group ? rules[group][key] : rules[key];
+              const fallback = group ? deployment[group][key] : deployment[key];
+              return (
+                <React.Fragment key={key}>
+                  <label className="flex items-center gap-2">
+                    <span className="w-48">{t(`riskSettings.${key}`)}</span>
+                    <input
+                      {...inputProps(key, value)}
+                      title={t("riskSettings.default", { value: fallback })}
+                    />
+                    km
+                  </label>
+                  {fieldProblem(key)}
+                </React.Fragment>
+              );
+            })}
+            <label className="flex items-center gap-2">
+              <span className="w-48">{t("riskSettings.largeFire")}</span>
+              <input
+                {...inputProps("largeFire", rules.largeFire)}
+                placeholder={t("riskSettings.off")}
+              />
+              ha
+            </label>
+            {fieldProblem("largeFire")}
+            <label className="flex items-center gap-2">
+              <span className="w-48">{t("riskSettings.growth")}</span>
+              <input
+                {...inputProps("growthFactor", rules.growthFactor)}
+                step="0.5"
+                placeholder={t("riskSettings.off")}
+              />
+              {t("riskSettings.perDay")}
+            </label>
+            {fieldProblem("growthFactor")}
+            <label className="flex items-center gap-2">
+              <span className="w-48">{t("riskSettings.alert")}</span>
+              <select
+                value={rules.alertRank}
+                onChange={(e) =>
+                  onChange({ alertRank: Number(e.target.value) })
+                }
+                className="px-2 py-1 border border-gray-300 rounded text-black"
+              >
+                {RISK_LEVELS.slice(1).map((level) => (
+                  <option key={level.rank} value={level.rank}>
+                    {t(`risk.level.${level.rank}`)}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <button
+            onClick={() => {
+              setProblem(null);
+              setDrafts({});
+              onReset();
+            }}
+            disabled={!customized}
+            className="px-3 py-1 bg-white border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50"
+          >
+            {t("riskSettings.reset")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RiskSettings;
@@ -0,0 +1,260 @@
+import React, { useState } from "react";
+import { explainRisk, summarizeThreat } from "../utils/risk";
+import { getFireName } from "../utils/fireLabels";
+import { useI18n } from "../i18n/I18nContext";
+import DemoWatermark from "./DemoWatermark";
+
+// Watch list of named places with the current threat to each one. Places
+// are geocoded when added or when their address changes. `demo` when the
+// fires they're rated against are demo data.
+const SavedPlacesDashboard = ({
+  places,
+  fires,
+  geocode,
+  currentLocation,
+  onAdd,
+  onUpdate,
+  onRemove,
+  onMove,
+  onCheck,
+  riskRules,
+  demo,
+}) => {
+  const { t } = useI18n();
+  const [name, setName] = useState("");
+  const [placeAddress, setPlaceAddress] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState("");
+
+  const resetForm = () => {
+    setName("");
+    setPlaceAddress("");
+    setEditingId(null);
+    setFormError("");
+  };
+
+  const startEditing = (place) => {
+    setEditingId(place.id);
+    setName(place.name);
+    setPlaceAddress(place.address);
+    setFormError("");
+  };
+
+  const submitPlace = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || !placeAddress.trim()) {
+      setFormError(t("places.missing"));
+      return;
+    }
+
+    const existing = places.find((place) => place.id === editingId);
+    setSaving(true);
+    setFormError("");
+    try {
+      // Only geocode again when the address actually changed
+      const location =
+        existing && existing.address === placeAddress
+          ? existing
+          : await geocode(placeAddress);
+      const place = {
+        name: name.trim(),
+        address: location.address || placeAddress,
+        lat: location.lat,
+        lng: location.lng,
+      };
+      if (existing) {
+        onUpdate(existing.id, place);
+      } else {
+        onAdd(place);
+      }
+      resetForm();
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveCurrentLocation = () =>
+    onAdd({
+      name: name.trim() || t("places.searchedLocation"),
+      address: currentLocation.address,
+      lat: currentLocation.lat,
+      lng: currentLocation.lng,
+    });
+
+  const summaries = places.map((place) => ({
+    place,
+    ...summarizeThreat(place, fires || [], riskRules),
+  }));
+  const worst = summaries.reduce(
+    (highest, summary) =>
+      !highest || summary.risk.rank > highest.risk.rank ? summary : highest,
+    null
+  );
+
+  return (
+    <div className="mb-8 bg-gray-50 rounded-lg p-6 border border-gray-200">
+      <div className="flex items-center justify-between mb-4 flex-col sm:flex-row gap-2">
+        <h2 className="text-xl font-bold text-gray-800">
+          <span className="mr-2">🏠</span>
+          {t("places.title")}
+        </h2>
+        {worst && fires && (
+          <div className="text-sm text-gray-600">
+            {t("places.highest")}{" "}
+            <span
+              className={`text-xs font-medium px-2 py-1 rounded-full border ${worst.risk.color}`}
+            >
+              {t(`risk.level.${worst.risk.rank}`)}
+            </span>{" "}
+            {t("places.at", { place: worst.place.name })}
+          </div>
+        )}
+      </div>
+
+      {summaries.length > 0 && (
+        <ul className="space-y-3 mb-4">
+          {summaries.map(
+            ({ place, nearestFire, distance, distanceTo, risk }, index) => (
+              <li
+                key={place.id}
+                className="relative overflow-hidden bg-white rounded-lg p-4 border border-gray-200 flex items-start justify-between gap-4 flex-col sm:flex-row"
+              >
+                {demo && fires && <DemoWatermark />}
+                <div className="text-left">
+                  <h3 className="font-semibold text-gray-800">{place.name}</h3>
+                  <p className="text-sm text-gray-500">{place.address}</p>
+                  {!fires ? (
+                    <p className="text-sm text-gray-500 mt-1">
+                      {t("places.loading")}
+                    </p>
+                  ) : nearestFire ? (
+                    <p className="text-sm text-gray-700 mt-1">
+                      {t("places.nearest")}{" "}
+                      <strong>{getFireName(nearestFire, t)}</strong>,{" "}
+                      {t(
+                        distanceTo === "edge"
+                          ? "places.fromEdge"
+                          : "places.away",
+                        { distance }
+                      )}
+                    </p>
+                  ) : (
+                    <p className="text-sm text-gray-700 mt-1">
+                      {t("places.noFires")}
+                    </p>
+                  )}
+                  {fires && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      {explainRisk(risk, t)}
+                    </p>
+                  )}
+                </div>
+                <div className="flex flex-col items-end gap-2">
+                  {fires && (
+                    <div
+                      className={`text-xs font-medium px-2 py-1 rounded-full border ${risk.color}`}
+                    >
+                      {t(`risk.level.${risk.rank}`)}
+                    </div>
+                  )}
+                  <div className="flex gap-1 text-sm">
+                    <button
+                      onClick={() => onCheck(place)}
+                      className="px-2 py-1 bg-orange-100 text-orange-800 rounded hover:bg-orange-200"
+                    >
+                      {t("places.check")}
+                    </button>
+                    <button
+                      onClick={() => onMove(place.id, -1)}
+                      disabled={index === 0}
+                      aria-label={t("places.moveUp", { place: place.name })}
+                      className="px-2 py-1 bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-40"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      onClick={() => onMove(place.id, 1)}
+                      disabled={index === summaries.length - 1}
+                      aria-label={t("places.moveDown", { place: place.name })}
+                      className="px-2 py-1 bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-40"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      onClick={() => startEditing(place)}
+                      className="px-2 py-1 bg-gray-100 rounded hover:bg-gray-200"
+                    >
+                      {t("places.edit")}
+                    </button>
+                    <button
+                      onClick={() => {
+                        if (editingId === place.id) resetForm();
+                        onRemove(place.id);
+                      }}
+                      className="px-2 py-1 bg-red-50 text-red-700 rounded hover:bg-red-100"
+                    >
+                      {t("places.delete")}
+                    </button>
+                  </div>
+                </div>
+              </li>
+            )
+          )}
+        </ul>
+      )}
+
+      <form onSubmit={submitPlace} className="flex gap-2 flex-col sm:flex-row">
+        <input
+          type="text"
+          placeholder={t("places.namePlaceholder")}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="sm:w-1/4 px-3 py-2 border border-gray-300 rounded-lg text-black placeholder:text-gray-600"
+        />
+        <input
+          type="text"
+          placeholder={t("places.addressPlaceholder")}
+          value={placeAddress}
+          onChange={(e) => setPlaceAddress(e.target.value)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-black placeholder:text-gray-600"
+        />
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50"
+        >
+          {saving
+            ? t("places.saving")
+            : editingId
+            ? t("places.save")
+            : t("places.add")}
+        </button>
+        {editingId && (
+          <button
+            type="button"
+            onClick={resetForm}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+          >
+            {t("places.cancel")}
+          </button>
+        )}
+      </form>
+      {currentLocation && !editingId && (
+        <button
+          onClick={saveCurrentLocation}
+          className="mt-2 text-sm text-blue-700 underline hover:text-blue-900"
+        >
+          {name.trim()
+            ? t("places.saveSearchedAs", { name: name.trim() })
+            : t("places.saveSearched")}
+        </button>
+      )}
+      {formError && <p className="mt-2 text-sm text-red-700">{formError}</p>}
+    </div>
+  );
+};
+
+export default SavedPlacesDashboard;
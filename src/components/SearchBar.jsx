@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useRef } from "react";
+import { isAbortError } from "../services/http";
+import { useI18n } from "../i18n/I18nContext";
+
+// Wait this long after the last keystroke before asking for suggestions
+const SUGGEST_DELAY = 250;
+const SUGGEST_MIN_LENGTH = 3;
+
+// Address input with search and "use my location" actions, plus the error
+// banner shown underneath. Used by both the list and the map views. Offers
+// type-ahead suggestions when `suggest` is given, a picker when the geocoder
+// returned several equally good `candidates`, and a low-confidence `warning`.
+const SearchBar = ({
+  address,
+  onAddressChange,
+  onSearch,
+  onLocate,
+  loading,
+  locating,
+  error,
+  placeholder,
+  suggest,
+  candidates = [],
+  onPickCandidate,
+  warning,
+}) => {
+  const { t } = useI18n();
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const typed = useRef(false);
+
+  useEffect(() => {
+    if (
+      !suggest ||
+      !typed.current ||
+      address.trim().length < SUGGEST_MIN_LENGTH
+    ) {
+      setSuggestions([]);
+      return;
+    }
+    // Each keystroke cancels the request for the text before it
+    const request = new AbortController();
+    const timer = setTimeout(() => {
+      suggest(address.trim(), { signal: request.signal })
+        .then((results) => !request.signal.aborted && setSuggestions(results))
+        .catch(
+          (err) => !isAbortError(err) && console.error("Suggestion error:", err)
+        );
+    }, SUGGEST_DELAY);
+    return () => {
+      request.abort();
+      clearTimeout(timer);
+    };
+  }, [address, suggest]);
+
+  const closeSuggestions = () => {
+    typed.current = false;
+    setSuggestions([]);
+    setActiveIndex(-1);
+  };
+
+  const chooseSuggestion = (text) => {
+    closeSuggestions();
+    onAddressChange(text);
+    onSearch(text);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" && suggestions.length > 0) {
+      e.preventDefault();
+      setActiveIndex((index) => (index + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp" && suggestions.length > 0) {
+      e.preventDefault();
+      setActiveIndex(
+        (index) => (index - 1 + suggestions.length) % suggestions.length
+      );
+    } else if (e.key === "Escape") {
+      closeSuggestions();
+    } else if (e.key === "Enter") {
+      if (activeIndex >= 0 && suggestions[activeIndex]) {
+        chooseSuggestion(suggestions[activeIndex]);
+      } else {
+        closeSuggestions();
+        onSearch();
+      }
+    }
+  };
+
+  return (
+    <>
+      <div className="flex gap-4 flex-col sm:flex-row">
+        <div className="flex-1 relative">
+          <span className="absolute left-3 top-3 text-gray-400">📍</span>
+          <input
+            type="text"
+            placeholder={placeholder}
+            value={address}
+            onChange={(e) => {
+              typed.current = true;
+              setActiveIndex(-1);
+              onAddressChange(e.target.value);
+            }}
+            onKeyDown={handleKeyDown}
+            onBlur={() => setTimeout(closeSuggestions, 150)}
+            role="combobox"
+            aria-expanded={suggestions.length > 0}
+            aria-controls="address-suggestions"
+            aria-autocomplete="list"
+            aria-activedescendant={
+              activeIndex >= 0 ? `address-suggestion-${activeIndex}` : undefined
+            }
+            className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent text-base text-black placeholder:text-gray-600"
+          />
+          {suggestions.length > 0 && (
+            <ul
+              id="address-suggestions"
+              role="listbox"
+              className="absolute z-[1000] left-0 right-0 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg text-left overflow-hidden"
+            >
+              {suggestions.map((suggestion, index) => (
+                <li
+                  key={suggestion}
+                  id={`address-suggestion-${index}`}
+                  role="option"
+                  aria-selected={index === activeIndex}
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    chooseSuggestion(suggestion);
+                  }}
+                  className={`px-4 py-2 cursor-pointer text-gray-800 ${
+                    index === activeIndex ? "bg-orange-100" : "hover:bg-gray-50"
+                  }`}
+                >
+                  {suggestion}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <button
+          onClick={() => {
+            closeSuggestions();
+            onSearch();
+          }}
+          disabled={loading}
+          className="px-6 py-3 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50 flex items-center justify-center gap-2 transition-colors min-w-[120px]"
+        >
+          {loading && !locating ? (
+            <>
+              <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+              {t("search.searching")}
+            </>
+          ) : (
+            <>
+              <span>🔍</span> {t("search.search")}
+            </>
+          )}
+        </button>
+      </div>
+      <button
+        onClick={onLocate}
+        disabled={loading || locating}
+        className="mt-3 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50 flex items-center gap-2 transition-colors text-sm"
+      >
+        {locating ? (
+          <>
+            <div className="w-4 h-4 border-2 border-gray-600 border-t-transparent rounded-full animate-spin"></div>
+            {t("search.locating")}
+          </>
+        ) : (
+          <>
+            <span>📡</span> {t("search.locate")}
+          </>
+        )}
+      </button>
+      {candidates.length > 0 && (
+        <div
+          className="mt-3 p-3 bg-blue-50 border border-blue-200 rounded-lg text-left"
+          role="status"
+        >
+          <p className="text-blue-900 font-medium mb-2">
+            {t("search.candidates")}
+          </p>
+          <ul className="space-y-1">
+            {candidates.map((candidate) => (
+              <li key={candidate.address}>
+                <button
+                  onClick={() => onPickCandidate(candidate)}
+                  className="text-blue-700 underline hover:text-blue-900 text-left"
+                >
+                  {candidate.address}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {warning && (
+        <div
+          className="mt-3 p-3 bg-yellow-50 border border-yellow-300 rounded-lg"
+          role="status"
+        >
+          <p className="text-yellow-800 flex items-center gap-2 text-left">
+            <span>⚠️</span>
+            {warning}
+          </p>
+        </div>
+      )}
+      {error && (
+        <div
+          className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg"
+          role="alert"
+        >
+          <p className="text-red-700 flex items-center gap-2">
+            <span>⚠️</span>
+            {error}
+          </p>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default SearchBar;
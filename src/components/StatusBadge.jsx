@@ -0,0 +1,25 @@
+import React from "react";
+import {
+  getStatusColor,
+  getStatusSymbol,
+  getStatusText,
+} from "../utils/fireLabels";
+import { useI18n } from "../i18n/I18nContext";
+
+// A fire's status as a coloured badge. The shape symbol repeats what the
+// colour says for anyone who can't tell the colours apart.
+const StatusBadge = ({ status, className = "" }) => {
+  const { t } = useI18n();
+  return (
+    <div
+      className={`inline-flex items-center gap-1 px-2 py-1 rounded text-sm font-semibold border ${getStatusColor(
+        status
+      )} ${className}`}
+    >
+      <span aria-hidden="true">{getStatusSymbol(status)}</span>
+      {getStatusText(status, t)}
+    </div>
+  );
+};
+
+export default StatusBadge;
@@ -0,0 +1,21 @@
+import React, { useEffect, useRef } from "react";
+import { Marker } from "react-leaflet";
+
+// A Marker whose title (its accessible name) follows the `title` prop.
+// react-leaflet only reads the title when the marker is created, so it
+// would otherwise go stale when the language or risk rules change.
+const TitledMarker = ({ title, ...props }) => {
+  const markerRef = useRef(null);
+
+  useEffect(() => {
+    const marker = markerRef.current;
+    if (!marker) return;
+    marker.options.title = title;
+    const element = marker.getElement();
+    if (element) element.title = title;
+  }, [title]);
+
+  return <Marker ref={markerRef} title={title} {...props} />;
+};
+
+export default TitledMarker;
@@ -1,127 +1,733 @@
-import React from "react";
+import React, { useEffect, useRef } from "react";
 import {
   MapContainer,
   TileLayer,
-  Marker,
+  LayersControl,
+  LayerGroup,
   Popup,
+  Polygon,
   Circle,
+  Polyline,
+  CircleMarker,
   useMap,
+  useMapEvents,
 } from "react-leaflet";
 import L from "leaflet";
+import { compassDirection, ringsToLatLngs } from "../utils/geo";
+import { formatAge, formatDuration } from "../utils/time";
+import { getAssetName } from "../utils/assets";
+import { assessFireRisk, explainRisk, getDownwindCone } from "../utils/risk";
+import {
+  getFireName,
+  getStatusStyle,
+  getStatusText,
+} from "../utils/fireLabels";
+import useMapLayers from "../hooks/useMapLayers";
+import { useI18n } from "../i18n/I18nContext";
+import TitledMarker from "./TitledMarker";
+import HotspotLayer from "./HotspotLayer";
+import MapLegend from "./MapLegend";
 
-// --- FIX for broken marker icons with Webpack ---
-import icon from "leaflet/dist/images/marker-icon.png";
-import iconShadow from "leaflet/dist/images/marker-shadow.png";
+// Fix for default markers in react-leaflet
+import markerIcon2x from "leaflet/dist/images/marker-icon-2x.png";
+import markerIcon from "leaflet/dist/images/marker-icon.png";
+import markerShadow from "leaflet/dist/images/marker-shadow.png";
 
-let DefaultIcon = L.icon({
-  iconUrl: icon,
-  shadowUrl: iconShadow,
-  iconAnchor: [12, 41],
+delete L.Icon.Default.prototype._getIconUrl;
+L.Icon.Default.mergeOptions({
+  iconUrl: markerIcon,
+  iconRetinaUrl: markerIcon2x,
+  shadowUrl: markerShadow,
 });
 
-L.Marker.prototype.options.icon = DefaultIcon;
-// --- END FIX ---
+// Province-wide view used before there is a location to centre on
+const DEFAULT_CENTER = [48.5, -56.5];
 
-// Helper component to recenter the map when the user's location or results change.
-const ChangeView = ({ center, zoom }) => {
-  const map = useMap();
-  map.setView(center, zoom);
-  return null;
+// Base maps in the layer control, named by the "layers.base.<key>" messages
+const BASE_MAPS = {
+  streets: {
+    url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+    attribution:
+      '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    maxZoom: 18,
+  },
+  topo: {
+    url: "https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png",
+    attribution:
+      'Map data &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, SRTM | Style &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)',
+    maxZoom: 17,
+  },
+  satellite: {
+    url: "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
+    attribution:
+      "Tiles &copy; Esri &mdash; Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community",
+    maxZoom: 18,
+  },
+};
+
+// Overlays in the layer control, in drawing order (later ones on top),
+// named by the "layers.<key>" messages. See DEFAULT_MAP_LAYERS.
+const OVERLAYS = [
+  "downwind",
+  "areas",
+  "assets",
+  "places",
+  "location",
+  "route",
+  "fires",
+  "newFires",
+  "hotspots",
+];
+
+// Fire area outlines differ by status as well as colour
+const LINE_DASHES = { solid: undefined, dashed: "8 5", dotted: "2 5" };
+
+// Marker outlines for each status shape (see getStatusShape), filled with
+// the status colour
+const STATUS_SHAPE_SVG = {
+  triangle:
+    '<polygon points="14,2 27,25 1,25" fill="COLOR" stroke="white" stroke-width="2"/>',
+  diamond:
+    '<polygon points="14,1 27,14 14,27 1,14" fill="COLOR" stroke="white" stroke-width="2"/>',
+  circle:
+    '<circle cx="14" cy="14" r="12" fill="COLOR" stroke="white" stroke-width="2"/>',
+  square:
+    '<rect x="3" y="3" width="22" height="22" fill="COLOR" stroke="white" stroke-width="2"/>',
 };
 
-// Helper function to get a color based on the fire's status.
-const getStatusColor = (status) => {
-  switch (status) {
-    case "OC": // Out of Control
-      return "red";
-    case "BH": // Being Held
-      return "orange";
-    case "UC": // Under Control
-      return "green";
-    default:
-      return "gray";
+const fireIcons = {};
+
+// Demo fires carry a `demoLabel` tag under the marker
+const getFireIcon = (status, demoLabel = null) => {
+  const { hex, shape } = getStatusStyle(status);
+  const key = `${shape}:${demoLabel || ""}`;
+  if (!fireIcons[key]) {
+    fireIcons[key] = L.divIcon({
+      html: `<svg class="status-marker" viewBox="0 0 28 28" width="28" height="28" aria-hidden="true" style="filter: drop-shadow(0 2px 2px rgba(0,0,0,0.3));">${
+        STATUS_SHAPE_SVG[shape]
+      }</svg><span aria-hidden="true" style="position: absolute; inset: 0; display: flex; align-items: center; justify-content: center; font-size: 12px; padding-top: ${
+        shape === "triangle" ? 6 : 0
+      }px;">🔥</span>${
+        demoLabel
+          ? `<span class="demo-marker" aria-hidden="true" style="position: absolute; top: 26px; left: 50%; transform: translateX(-50%); background: #7e22ce; color: white; font-size: 9px; font-weight: 700; line-height: 1; padding: 2px 3px; border-radius: 3px; text-transform: uppercase; white-space: nowrap;">${demoLabel}</span>`
+          : ""
+      }`.replace(/COLOR/g, hex),
+      className: "custom-div-icon",
+      iconSize: [28, 28],
+      iconAnchor: [14, 14],
+    });
   }
+  return fireIcons[key];
 };
 
-const WildfireMap = ({ fires, userLocation }) => {
-  // Set a default center for the map (center of Newfoundland) for initial load.
-  const defaultCenter = [48.95, -56.0];
-  const mapCenter = userLocation
-    ? [userLocation.lat, userLocation.lng]
-    : defaultCenter;
+const userIcon = L.divIcon({
+  html: '<div style="background: #3b82f6; color: white; border-radius: 50%; width: 20px; height: 20px; display: flex; align-items: center; justify-content: center; font-size: 12px;" aria-hidden="true">📍</div>',
+  className: "custom-div-icon",
+  iconSize: [20, 20],
+  iconAnchor: [10, 10],
+});
 
-  return (
-    <MapContainer
-      center={mapCenter}
-      zoom={userLocation ? 9 : 6} // Zoom in if a location is set, otherwise show the whole province.
-      style={{ height: "500px", width: "100%", borderRadius: "8px", zIndex: 0 }}
-    >
-      <ChangeView center={mapCenter} zoom={userLocation ? 9 : 6} />
+const possibleFireIcon = L.divIcon({
+  html: '<div style="background: #c026d3; color: white; border-radius: 50%; width: 24px; height: 24px; display: flex; align-items: center; justify-content: center; font-size: 14px; font-weight: 700; border: 2px dashed white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);" aria-hidden="true">?</div>',
+  className: "custom-div-icon",
+  iconSize: [24, 24],
+  iconAnchor: [12, 12],
+});
 
-      {/* Base map tiles from OpenStreetMap */}
-      <TileLayer
-        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+const placeIcon = L.divIcon({
+  html: '<div style="background: #0d9488; color: white; border-radius: 6px; width: 22px; height: 22px; display: flex; align-items: center; justify-content: center; font-size: 13px; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);" aria-hidden="true">🏠</div>',
+  className: "custom-div-icon",
+  iconSize: [22, 22],
+  iconAnchor: [11, 11],
+});
+
+// A fire's mapped area: its perimeter when the data has one, otherwise a
+// circle of its estimated size. 1 hectare = 10,000 m², so the circle's
+// radius is sqrt(area * 10,000 / π) metres.
+const FireArea = ({ fire }) => {
+  const { hex, line } = getStatusStyle(fire.STATUS);
+  const pathOptions = {
+    color: hex,
+    fillColor: hex,
+    fillOpacity: 0.25,
+    weight: 2,
+    dashArray: LINE_DASHES[line],
+  };
+  if (fire.perimeter) {
+    return (
+      <Polygon
+        positions={ringsToLatLngs(fire.perimeter)}
+        pathOptions={pathOptions}
       />
+    );
+  }
+  const radius = fire.AREAEST
+    ? Math.sqrt((fire.AREAEST * 10000) / Math.PI)
+    : 500;
+  return (
+    <Circle
+      center={[fire.LATITUDE, fire.LONGITUDE]}
+      radius={radius}
+      pathOptions={pathOptions}
+    />
+  );
+};
 
-      {/* Marker for the user's searched address */}
-      {userLocation && (
-        <Marker position={[userLocation.lat, userLocation.lng]}>
-          <Popup>
-            <div className="font-semibold">Your Location</div>
-            {userLocation.address}
-          </Popup>
-        </Marker>
-      )}
+// Reports map clicks so the user can drop a pin instead of typing an address.
+const MapClickHandler = ({ onClick }) => {
+  useMapEvents({
+    click: (e) => onClick(e.latlng),
+  });
+  return null;
+};
+
+// Keeps the saved layer choices in step with the layer control. The
+// control reports layers by their (translated) names.
+const LayerChoices = ({ baseNames, overlayNames, onChange }) => {
+  const keyFor = (names, name) =>
+    Object.keys(names).find((key) => names[key] === name);
+  useMapEvents({
+    baselayerchange: (e) => onChange("base", keyFor(baseNames, e.name)),
+    overlayadd: (e) => onChange(keyFor(overlayNames, e.name), true),
+    overlayremove: (e) => onChange(keyFor(overlayNames, e.name), false),
+  });
+  return null;
+};
+
+// Threat to a saved place or asset. `demo` when rated against demo fires.
+const ThreatPopup = ({ title, subtitle, threat, demo }) => {
+  const { t } = useI18n();
+  return (
+    <Popup>
+      <div style={{ fontSize: "14px", minWidth: "200px" }}>
+        {demo && (
+          <div style={{ color: "#7e22ce", fontWeight: 700 }}>
+            🧪 {t("demo.label")}
+          </div>
+        )}
+        <strong>{title}</strong>
+        {subtitle}
+        <br />
+        {threat.nearestFire ? (
+          <>
+            <strong>{t("map.nearestFire")}</strong>{" "}
+            {t("map.fireDistance", {
+              name: getFireName(threat.nearestFire, t),
+              distance: threat.distance,
+            })}
+            <br />
+            <strong>{t("map.riskLevel")}</strong>{" "}
+            {t(`risk.level.${threat.risk.rank}`)}
+            <br />
+            <em style={{ fontSize: "12px" }}>{explainRisk(threat.risk, t)}</em>
+          </>
+        ) : (
+          <em>{t("places.noFires")}</em>
+        )}
+      </div>
+    </Popup>
+  );
+};
 
-      {/* Render a circle for each wildfire */}
-      {fires.map((fire) => {
-        // 1 hectare = 10,000 square meters. The area of a circle is π * r².
-        // So, the radius in meters is sqrt(Area in hectares * 10,000 / PI).
-        const radius = fire.AREAEST
-          ? Math.sqrt((fire.AREAEST * 10000) / Math.PI)
-          : 500; // Default to a 500-meter radius if area is not specified
-
-        return (
-          <Circle
-            key={fire.FIREID}
-            center={[fire.LATITUDE, fire.LONGITUDE]}
-            pathOptions={{
-              color: getStatusColor(fire.STATUS),
-              fillColor: getStatusColor(fire.STATUS),
-              fillOpacity: 0.4,
+const FirePopup = ({ fire, location, risk, roadDistance, onOpenFire }) => {
+  const { t } = useI18n();
+  const { hex } = getStatusStyle(fire.STATUS);
+  return (
+    <Popup>
+      <div style={{ fontSize: "14px", minWidth: "200px" }}>
+        {fire.demo && (
+          <div style={{ color: "#7e22ce", fontWeight: 700 }}>
+            🧪 {t("demo.label")}
+          </div>
+        )}
+        <strong style={{ color: hex }}>{getFireName(fire, t)}</strong>
+        <br />
+        <strong>{t("app.status")}</strong> {getStatusText(fire.STATUS, t)}
+        <br />
+        <strong>{t("app.area")}</strong>{" "}
+        {fire.AREAEST ? t("fire.area", { area: fire.AREAEST }) : t("app.tbd")}
+        <br />
+        <strong>{t("app.cause")}</strong> {fire.CAUSE || t("app.unknown")}
+        <br />
+        {location && fire.distance != null && (
+          <>
+            <strong>{t("map.distance")}</strong>{" "}
+            {t(fire.distanceTo === "edge" ? "map.toEdge" : "map.toCentre", {
+              distance: fire.distance,
+            })}
+            <br />
+            {roadDistance && (
+              <>
+                <strong>{t("map.drive")}</strong>{" "}
+                {t("map.driveDistance", {
+                  distance: roadDistance.distance,
+                  duration: formatDuration(roadDistance.duration, t),
+                })}
+                <br />
+              </>
+            )}
+          </>
+        )}
+        {risk && (
+          <>
+            <strong>{t("map.riskLevel")}</strong>{" "}
+            <span style={{ color: hex }}>{t(`risk.level.${risk.rank}`)}</span>
+            <br />
+            <em
+              style={{
+                fontSize: "12px",
+                color: risk.rank > 0 ? "#9a3412" : "#4b5563",
+              }}
+            >
+              {explainRisk(risk, t)}
+            </em>
+            <br />
+          </>
+        )}
+        {fire.wind && (
+          <>
+            <strong>{t("map.wind")}</strong>{" "}
+            {t("app.windFrom", {
+              speed: Math.round(fire.wind.speed),
+              direction: t(`compass.${compassDirection(fire.wind.direction)}`),
+            })}
+            <br />
+          </>
+        )}
+        {onOpenFire && (
+          <button
+            onClick={() => onOpenFire(fire.FIREID)}
+            style={{
+              marginTop: "6px",
+              color: "#2563eb",
+              textDecoration: "underline",
             }}
-            radius={radius}
           >
-            <Popup>
-              <div style={{ fontSize: "14px", minWidth: "200px" }}>
-                <strong
-                  style={{
-                    color: getStatusColor(fire.STATUS),
-                  }}
-                >
-                  {fire.NAME || `Fire #${fire.PROVFIRENUM}`}
-                </strong>
-                <br />
-                <strong>Status:</strong> {fire.STATUS}
-                <br />
-                <strong>Area:</strong>{" "}
-                {fire.AREAEST
-                  ? `${fire.AREAEST.toLocaleString()} hectares`
-                  : "N/A"}
+            {t("map.viewDetails")}
+          </button>
+        )}
+      </div>
+    </Popup>
+  );
+};
+
+// Moves the map when what it should frame changes (a new search, another
+// fire) and otherwise leaves the user's panning and zooming alone.
+const MapView = ({ center, zoom, bounds }) => {
+  const map = useMap();
+  const viewKey = `${center[0]},${center[1]},${zoom},${
+    bounds ? `${bounds.length}:${bounds[0]}` : ""
+  }`;
+  const shownView = useRef(viewKey);
+
+  useEffect(() => {
+    if (shownView.current === viewKey) return;
+    shownView.current = viewKey;
+    if (bounds) {
+      map.fitBounds(bounds);
+    } else {
+      map.setView(center, zoom);
+    }
+  });
+
+  return null;
+};
+
+// Each overlay is its own memoized layer, so it only redraws when its own
+// data changes and its features are updated in place rather than rebuilt.
+
+const DownwindLayer = React.memo(({ fires, riskRules }) =>
+  fires.map((fire, index) => {
+    const cone = getDownwindCone(fire, riskRules);
+    return (
+      cone && (
+        <Polygon
+          key={`cone-${fire.FIREID || index}`}
+          positions={cone}
+          pathOptions={{
+            color: "#ea580c",
+            fillColor: "#fb923c",
+            fillOpacity: 0.12,
+            weight: 1,
+            dashArray: "6 4",
+          }}
+        />
+      )
+    );
+  })
+);
+
+const FireAreaLayer = React.memo(({ fires }) =>
+  fires.map((fire, index) => (
+    <FireArea key={`area-${fire.FIREID || index}`} fire={fire} />
+  ))
+);
+
+// Imported assets, coloured and sized by their risk
+const AssetLayer = React.memo(({ assets, demo }) => {
+  const { t } = useI18n();
+  return assets.map((asset) => (
+    <CircleMarker
+      key={asset.id}
+      center={[asset.lat, asset.lng]}
+      radius={5 + asset.risk.rank * 2}
+      pathOptions={{
+        color: "white",
+        weight: 2,
+        fillColor: asset.risk.hex,
+        fillOpacity: 0.95,
+      }}
+    >
+      <ThreatPopup
+        title={getAssetName(asset, t)}
+        subtitle={asset.type && ` (${asset.type})`}
+        threat={asset}
+        demo={demo}
+      />
+    </CircleMarker>
+  ));
+});
+
+const PlaceLayer = React.memo(({ places, demo }) => {
+  const { t } = useI18n();
+  return places.map(({ place, threat }) => (
+    <TitledMarker
+      key={place.id}
+      position={[place.lat, place.lng]}
+      icon={placeIcon}
+      title={`${demo ? `${t("demo.label")}: ` : ""}${t("a11y.placeMarker", {
+        name: place.name,
+        level: t(`risk.level.${threat.risk.rank}`),
+      })}`}
+    >
+      <ThreatPopup
+        title={place.name}
+        subtitle={
+          <>
+            <br />
+            {place.address}
+          </>
+        }
+        threat={threat}
+        demo={demo}
+      />
+    </TitledMarker>
+  ));
+});
+
+const LocationLayer = React.memo(({ location, address }) => {
+  const { t } = useI18n();
+  if (!location) return null;
+  return (
+    <>
+      {location.accuracy && (
+        <Circle
+          center={[location.lat, location.lng]}
+          radius={location.accuracy}
+          pathOptions={{
+            color: "#3b82f6",
+            fillColor: "#3b82f6",
+            fillOpacity: 0.1,
+            weight: 1,
+          }}
+        />
+      )}
+      <TitledMarker
+        position={[location.lat, location.lng]}
+        icon={userIcon}
+        title={t("a11y.locationMarker", {
+          address: location.address || address,
+        })}
+      >
+        <Popup>
+          <div style={{ fontSize: "14px" }}>
+            <strong>{t("map.yourLocation")}</strong>
+            <br />
+            {location.address || address}
+            {location.accuracy && (
+              <>
                 <br />
-                {userLocation && (
-                  <>
-                    <strong>Distance:</strong> {fire.distance.toFixed(1)} km
-                    away
-                  </>
-                )}
-              </div>
-            </Popup>
-          </Circle>
-        );
-      })}
-    </MapContainer>
+                <em style={{ fontSize: "12px", color: "#666" }}>
+                  {t("map.accuracy", {
+                    accuracy: Math.round(location.accuracy),
+                  })}
+                </em>
+              </>
+            )}
+          </div>
+        </Popup>
+      </TitledMarker>
+    </>
+  );
+});
+
+// Suggested evacuation route, red when it passes near a fire
+const RouteLayer = React.memo(({ route }) => {
+  const { t } = useI18n();
+  if (!route) return null;
+  return (
+    <Polyline
+      positions={route.route.path}
+      pathOptions={
+        route.firesNearRoute.length > 0
+          ? { color: "#dc2626", weight: 4, dashArray: "8 6" }
+          : { color: "#16a34a", weight: 4 }
+      }
+    >
+      <Popup>
+        {t("map.driveTo", {
+          place: route.community.name,
+          distance: route.route.distance,
+          duration: formatDuration(route.route.duration, t),
+        })}
+      </Popup>
+    </Polyline>
+  );
+});
+
+const FireMarkerLayer = React.memo(
+  ({ fires, location, riskRules, roadDistances, onOpenFire }) => {
+    const { t } = useI18n();
+    return fires.map((fire, index) => {
+      const risk =
+        location && fire.distance != null
+          ? assessFireRisk(location, fire, fire.distance, riskRules)
+          : null;
+      return (
+        <TitledMarker
+          key={fire.FIREID || index}
+          position={[fire.LATITUDE, fire.LONGITUDE]}
+          icon={getFireIcon(
+            fire.STATUS,
+            fire.demo ? t("demo.watermark") : null
+          )}
+          title={`${fire.demo ? `${t("demo.label")}: ` : ""}${
+            risk
+              ? t("a11y.fireMarkerRisk", {
+                  name: getFireName(fire, t),
+                  status: getStatusText(fire.STATUS, t),
+                  distance: fire.distance,
+                  level: t(`risk.level.${risk.rank}`),
+                })
+              : t("a11y.fireMarker", {
+                  name: getFireName(fire, t),
+                  status: getStatusText(fire.STATUS, t),
+                })
+          }`}
+        >
+          <FirePopup
+            fire={fire}
+            location={location}
+            risk={risk}
+            roadDistance={roadDistances[fire.FIREID]}
+            onOpenFire={onOpenFire}
+          />
+        </TitledMarker>
+      );
+    });
+  }
+);
+
+// Hotspot clusters that match no known fire
+const NewFireLayer = React.memo(({ clusters }) => {
+  const { t } = useI18n();
+  return clusters.map((cluster) => (
+    <React.Fragment key={cluster.id}>
+      <Circle
+        center={[cluster.lat, cluster.lng]}
+        radius={Math.max(cluster.radius * 1000 + 500, 1500)}
+        pathOptions={{
+          color: "#c026d3",
+          fillColor: "#f0abfc",
+          fillOpacity: 0.2,
+          weight: 2,
+          dashArray: "4 6",
+        }}
+      />
+      <TitledMarker
+        position={[cluster.lat, cluster.lng]}
+        icon={possibleFireIcon}
+        title={t("a11y.possibleFireMarker", { count: cluster.count })}
+      >
+        <Popup>
+          <div style={{ fontSize: "12px", minWidth: "180px" }}>
+            <strong style={{ color: "#a21caf" }}>
+              {t("map.possibleFire")}
+            </strong>
+            <br />
+            {t("map.notProvincial")}
+            <br />
+            <strong>{t("map.hotspots")}</strong>{" "}
+            {t("map.clusterHotspots", {
+              count: cluster.count,
+              confidence: t(`confidence.${cluster.confidence}`),
+            })}
+            <br />
+            {cluster.lastDetected && (
+              <>
+                <strong>{t("map.lastDetected")}</strong>{" "}
+                {formatAge(cluster.lastDetected, t)}
+              </>
+            )}
+          </div>
+        </Popup>
+      </TitledMarker>
+    </React.Fragment>
+  ));
+});
+
+// Defaults for leaving a kind of feature out, the same on every render
+const NONE = [];
+const NO_ROAD_DISTANCES = {};
+
+// The app's one map. Every kind of feature is an overlay in a layer control
+// alongside a choice of base maps, and the choices are remembered (see
+// useMapLayers). Colours and shapes come from FIRE_STATUSES, so the map,
+// its legend and the lists agree.
+//
+// The Leaflet map is created once. New data updates the layers in place,
+// keeping the zoom, position and any open popup; the view only moves when
+// the location (or `center`, `zoom` or `bounds`) changes. Callers should
+// keep props stable between renders (memoize arrays, use callbacks that
+// don't change) so unrelated updates don't redraw the layers.
+//
+// fires carry their distance from `location` when there is one; places
+// are { place, threat } pairs and assets come ranked (see rankAssets).
+// Leave out onMapClick or onOpenFire to turn off dropping a pin or the
+// popups' "View details" link.
+const WildfireMap = ({
+  fires,
+  location = null,
+  address = "",
+  hotspots = NONE,
+  hotspotMode = "markers",
+  hotspotDistances = false,
+  possibleNewFires = NONE,
+  places = NONE,
+  assets = NONE,
+  demo = false,
+  evacuationRoute = null,
+  roadDistances = NO_ROAD_DISTANCES,
+  riskRules,
+  center,
+  zoom,
+  bounds,
+  onMapClick,
+  onOpenFire,
+  legend = true,
+  className = "h-96 md:h-[500px]",
+}) => {
+  const { t } = useI18n();
+  const [layers, setLayer] = useMapLayers();
+
+  const mapCenter =
+    center || (location ? [location.lat, location.lng] : DEFAULT_CENTER);
+  const mapZoom = zoom || (location ? 9 : 6);
+
+  const baseNames = Object.fromEntries(
+    Object.keys(BASE_MAPS).map((key) => [key, t(`layers.base.${key}`)])
+  );
+  const overlayNames = Object.fromEntries(
+    OVERLAYS.map((key) => [key, t(`layers.${key}`)])
+  );
+
+  const overlays = {
+    downwind: <DownwindLayer fires={fires} riskRules={riskRules} />,
+    areas: <FireAreaLayer fires={fires} />,
+    assets: <AssetLayer assets={assets} demo={demo} />,
+    places: <PlaceLayer places={places} demo={demo} />,
+    location: <LocationLayer location={location} address={address} />,
+    route: <RouteLayer route={evacuationRoute} />,
+    fires: (
+      <FireMarkerLayer
+        fires={fires}
+        location={location}
+        riskRules={riskRules}
+        roadDistances={roadDistances}
+        onOpenFire={onOpenFire}
+      />
+    ),
+    newFires: <NewFireLayer clusters={possibleNewFires} />,
+    // Hotspots, clustered or as a heatmap
+    hotspots: (
+      <HotspotLayer
+        hotspots={hotspots}
+        mode={hotspotMode}
+        showDistance={hotspotDistances}
+      />
+    ),
+  };
+
+  // Legend entries for the layers that are on and have something to show
+  const shown = {
+    fires: layers.fires && fires.length > 0,
+    areas: layers.areas && fires.length > 0,
+    downwind: layers.downwind && fires.some((fire) => fire.wind),
+    hotspots: layers.hotspots && hotspots.length > 0,
+    newFires: layers.newFires && possibleNewFires.length > 0,
+    location: layers.location && !!location,
+    route: layers.route && !!evacuationRoute,
+    assets: layers.assets && assets.length > 0,
+    places: layers.places && places.length > 0,
+  };
+
+  return (
+    <div className="h-full w-full">
+      {legend && <MapLegend show={shown} />}
+      <MapContainer
+        center={mapCenter}
+        zoom={mapZoom}
+        bounds={bounds}
+        className={`w-full ${className} rounded-lg border border-gray-300`}
+        preferCanvas={true}
+        zoomControl={true}
+        scrollWheelZoom={true}
+        doubleClickZoom={true}
+        touchZoom={true}
+        zoomAnimation={false}
+        markerZoomAnimation={false}
+        updateWhenZooming={false}
+        updateWhenIdle={true}
+      >
+        <MapView center={mapCenter} zoom={mapZoom} bounds={bounds} />
+
+        {/* Layer names are fixed when added, so rebuild on a language change */}
+        <LayersControl key={t.language} position="topright">
+          {Object.entries(BASE_MAPS).map(([key, base]) => (
+            <LayersControl.BaseLayer
+              key={key}
+              name={baseNames[key]}
+              checked={layers.base === key}
+            >
+              <TileLayer
+                attribution={base.attribution}
+                url={base.url}
+                maxZoom={base.maxZoom}
+                keepBuffer={2}
+                updateWhenIdle={true}
+                updateWhenZooming={false}
+              />
+            </LayersControl.BaseLayer>
+          ))}
+          {OVERLAYS.map((key) => (
+            <LayersControl.Overlay
+              key={key}
+              name={overlayNames[key]}
+              checked={layers[key]}
+            >
+              <LayerGroup>{overlays[key]}</LayerGroup>
+            </LayersControl.Overlay>
+          ))}
+        </LayersControl>
+
+        <LayerChoices
+          baseNames={baseNames}
+          overlayNames={overlayNames}
+          onChange={setLayer}
+        />
+        {onMapClick && <MapClickHandler onClick={onMapClick} />}
+      </MapContainer>
+    </div>
   );
 };
 
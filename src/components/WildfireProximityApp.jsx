@@ -1,213 +1,326 @@
 import React, { useState, useEffect } from "react";
-import { MapContainer, TileLayer, Marker, Popup } from "react-leaflet";
-import L from "leaflet";
-
-// Fix for default markers in react-leaflet
-import markerIcon2x from "leaflet/dist/images/marker-icon-2x.png";
-import markerIcon from "leaflet/dist/images/marker-icon.png";
-import markerShadow from "leaflet/dist/images/marker-shadow.png";
-
-delete L.Icon.Default.prototype._getIconUrl;
-L.Icon.Default.mergeOptions({
-  iconUrl: markerIcon,
-  iconRetinaUrl: markerIcon2x,
-  shadowUrl: markerShadow,
-});
-
-const WildfireProximityApp = () => {
+import { createProviders } from "../services/providers";
+import { isAbortError } from "../services/http";
+import { createFixtureFireAdapter } from "../services/adapters/fixtures";
+import {
+  calculateDistance,
+  compassDirection,
+  getFireDistance,
+} from "../utils/geo";
+import { getCurrentPosition } from "../utils/geolocation";
+import { getFireHistory, recordSnapshots } from "../services/fireHistory";
+import { summarizeGrowth } from "../utils/history";
+import {
+  chooseEvacuationRoute,
+  findEvacuationCandidates,
+  findFiresNearRoute,
+  getEvacuationFires,
+} from "../utils/evacuation";
+import { formatDuration } from "../utils/time";
+import communities from "../data/communities";
+import { assessFireRisk, explainRisk, summarizeThreat } from "../utils/risk";
+import { getFireName } from "../utils/fireLabels";
+import useSavedPlaces from "../hooks/useSavedPlaces";
+import useFireMonitor from "../hooks/useFireMonitor";
+import useOfflineData from "../hooks/useOfflineData";
+import useUrlState from "../hooks/useUrlState";
+import useListFilters from "../hooks/useListFilters";
+import useAssets from "../hooks/useAssets";
+import useRiskRules from "../hooks/useRiskRules";
+import useLanguage from "../hooks/useLanguage";
+import useHighContrast from "../hooks/useHighContrast";
+import useSourceStatus from "../hooks/useSourceStatus";
+import { I18nContext, useI18n } from "../i18n/I18nContext";
+import { getSearchKey } from "../utils/urlState";
+import { rankAssets } from "../utils/assets";
+import { assessCandidates } from "../utils/geocoding";
+import {
+  coversQuery,
+  filterFires,
+  getFilterChoices,
+  getFireQuery,
+  sortFires,
+} from "../utils/fireFilters";
+import {
+  CONFIDENCE_LEVELS,
+  filterHotspots,
+  findPossibleNewFires,
+  NEW_FIRE,
+} from "../utils/hotspots";
+import SearchBar from "./SearchBar";
+import SavedPlacesDashboard from "./SavedPlacesDashboard";
+import MonitorPanel from "./MonitorPanel";
+import OfflineBanner from "./OfflineBanner";
+import FireDetail from "./FireDetail";
+import EvacuationPanel from "./EvacuationPanel";
+import WildfireMap from "./WildfireMap";
+import HotspotControls from "./HotspotControls";
+import PossibleNewFires from "./PossibleNewFires";
+import ListFilters from "./ListFilters";
+import ExportButtons from "./ExportButtons";
+import AssetsPanel from "./AssetsPanel";
+import RiskSettings from "./RiskSettings";
+import LanguageSwitcher from "./LanguageSwitcher";
+import StatusBadge from "./StatusBadge";
+import LiveAnnouncer from "./LiveAnnouncer";
+import ContrastToggle from "./ContrastToggle";
+import DataSourcePanel from "./DataSourcePanel";
+import DataUnavailable from "./DataUnavailable";
+import DemoBanner from "./DemoBanner";
+import DemoWatermark from "./DemoWatermark";
+
+const defaultProviders = createProviders();
+
+// Cached fires older than this are shown straight away but refreshed
+const FIRE_CACHE_MAX_AGE = 10 * 60 * 1000;
+
+// Road distances are only looked up for this many of the nearest fires
+const MAX_ROUTED_FIRES = 25;
+
+// Fires with their distance from a location, nearest first.
+const rankFires = (location, fires) =>
+  fires
+    .map((fire) => ({
+      ...fire,
+      ...getFireDistance(location, fire),
+    }))
+    .sort((a, b) => a.distance - b.distance);
+
+// Hotspots with their distance from a location
+const measureHotspots = (location, hotspots) =>
+  hotspots.map((hotspot) => ({
+    ...hotspot,
+    distance: calculateDistance(
+      location.lat,
+      location.lng,
+      hotspot.LATITUDE,
+      hotspot.LONGITUDE
+    ),
+  }));
+
+// Hotspots from the last search in this tab, for the map
+const loadMapHotspots = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem("mapHotspots") || "[]");
+  } catch (err) {
+    console.error("Hotspot cache error:", err);
+    return [];
+  }
+};
+
+// Points in the About section, as message keys under "about."
+const HOW_IT_WORKS = [
+  "officialData",
+  "distances",
+  "riskRating",
+  "updates",
+  "browser",
+];
+const NOTES = [
+  "drivingTimes",
+  "weather",
+  "followOfficial",
+  "authorities",
+  "hotspots",
+];
+const LINKS = ["alerts", "news", "prepared"];
+
+const WildfireProximity = ({ providers }) => {
+  const { t } = useI18n();
   const [address, setAddress] = useState("");
   const [loading, setLoading] = useState(false);
   const [results, setResults] = useState([]);
   const [error, setError] = useState("");
   const [lastUpdated, setLastUpdated] = useState(null);
-  const [currentPage, setCurrentPage] = useState("list");
+  const [refreshing, setRefreshing] = useState(false);
   const [userLocation, setUserLocation] = useState(null);
+  const [locating, setLocating] = useState(false);
+  const [fires, setFires] = useState(null);
+  // The `near` query the fires were loaded with, null when they're all fires
+  const [fireScope, setFireScope] = useState(null);
+  const [unavailable, setUnavailable] = useState(false);
+  const [demo, setDemo] = useState(false);
+  const [previousPage, setPreviousPage] = useState("list");
+  const [roadDistances, setRoadDistances] = useState({});
+  const [evacuation, setEvacuation] = useState(null);
+  const [candidates, setCandidates] = useState([]);
+  const [geocodeWarning, setGeocodeWarning] = useState("");
+  const [storedHotspots, setStoredHotspots] = useState(loadMapHotspots);
+  const [hotspotsLoading, setHotspotsLoading] = useState(false);
+  const [hotspotView, setHotspotView] = useState({
+    mode: "markers",
+    maxAge: null,
+    confidence: CONFIDENCE_LEVELS,
+  });
+  const routingFor = React.useRef(null);
+  const searchRequest = React.useRef(null);
+  const lastSearchKey = React.useRef("");
+  const [urlState, navigate] = useUrlState();
+  const { page: currentPage, fireId: selectedFireId } = urlState;
+  const { filters, sort, setFilters, setSort } = useListFilters(
+    urlState,
+    navigate
+  );
+  const setCurrentPage = (page) => navigate({ page, fireId: null });
+  const { places, addPlace, updatePlace, removePlace, movePlace } =
+    useSavedPlaces();
+  const { assets, replaceAssets, clearAssets } = useAssets();
+  const {
+    rules: riskRules,
+    deployment: deploymentRiskRules,
+    customized: riskRulesCustomized,
+    updateRules: updateRiskRules,
+    resetRules: resetRiskRules,
+  } = useRiskRules();
+  const [highContrast, setHighContrast] = useHighContrast();
+  const { status: sourceStatus, track } = useSourceStatus();
 
-  const GEOCODING_API =
-    "https://geocode.arcgis.com/arcgis/rest/services/World/GeocodeServer/findAddressCandidates";
-
-  const calculateDistance = (lat1, lon1, lat2, lon2) => {
-    const R = 6371;
-    const dLat = ((lat2 - lat1) * Math.PI) / 180;
-    const dLon = ((lon2 - lon1) * Math.PI) / 180;
-    const a =
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos((lat1 * Math.PI) / 180) *
-        Math.cos((lat2 * Math.PI) / 180) *
-        Math.sin(dLon / 2) *
-        Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
+  // Perimeters are optional: adapters may not provide them and a failed
+  // request just means distances fall back to the fire centroid.
+  const getPerimeterData = async (signal, near) => {
+    if (!providers.fires.getPerimeters) {
+      return {};
+    }
+    try {
+      return await track(
+        "perimeters",
+        providers.fires.getPerimeters({ signal, near })
+      );
+    } catch (err) {
+      return {};
+    }
   };
 
-  const geocodeAddress = async (address) => {
+  // Current wind at each fire for the wind-aware risk rating. Also
+  // optional: without it fires are rated on distance and status alone.
+  const getWindData = async (fires, signal) => {
+    if (!providers.weather || fires.length === 0) {
+      return [];
+    }
     try {
-      const params = new URLSearchParams({
-        SingleLine: address + ", Newfoundland and Labrador, Canada",
-        f: "json",
-        outSR: "4326",
-        maxLocations: 5,
-        countryCode: "CA",
-      });
-
-      const response = await fetch(`${GEOCODING_API}?${params}`);
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      if (data.candidates && data.candidates.length > 0) {
-        const location = data.candidates[0].location;
-        return {
-          lat: location.y,
-          lng: location.x,
-          score: data.candidates[0].score,
-          address: data.candidates[0].address,
-        };
-      } else {
-        throw new Error(
-          "Address not found. Please try a more specific address in Newfoundland & Labrador."
-        );
-      }
+      return await track(
+        "weather",
+        providers.weather.getWind(
+          fires.map((fire) => ({ lat: fire.LATITUDE, lng: fire.LONGITUDE })),
+          { signal }
+        )
+      );
     } catch (err) {
-      throw new Error(`Geocoding failed: ${err.message}`);
+      if (!isAbortError(err)) console.error("Weather data error:", err);
+      return [];
     }
   };
 
-  const getWildfireData = async () => {
+  // Records this fetch in the fire history and reads back each fire's area
+  // growth over the last day, for the growth risk rule. History is optional:
+  // without it fires are rated without growth.
+  const getGrowthData = async (fires) => {
     try {
-      const endpoint =
-        "https://services8.arcgis.com/aCyQID5qQcyrJMm2/arcgis/rest/services/FFA_Wildfire/FeatureServer/1/query";
-
-      const params = new URLSearchParams({
-        where: "1=1",
-        outFields: "*",
-        f: "json",
-        returnGeometry: "true",
-        outSR: "4326",
-      });
+      await recordSnapshots(fires);
+      return await Promise.all(
+        fires.map(async (fire) =>
+          fire.FIREID
+            ? summarizeGrowth(await getFireHistory(fire.FIREID))
+            : null
+        )
+      );
+    } catch (err) {
+      console.error("Fire history error:", err);
+      return [];
+    }
+  };
 
-      const response = await fetch(`${endpoint}?${params}`);
+  // Fires with their perimeters, all or only those the `near` query asks for
+  const fetchFirePositions = async (signal, near = null) => {
+    const [fires, perimeters] = await Promise.all([
+      track("fires", providers.fires.getFires({ signal, near })),
+      getPerimeterData(signal, near),
+    ]);
+    return fires.map((fire) => ({
+      ...fire,
+      perimeter: perimeters[fire.FIREID] || null,
+    }));
+  };
 
-      if (!response.ok) {
-        throw new Error(
-          `Wildfire API request failed with status: ${response.status}`
-        );
-      }
+  // The same with wind and growth for rating them
+  const fetchFireData = async (signal, near = null) => {
+    const fires = await fetchFirePositions(signal, near);
+    const winds = await getWindData(fires, signal);
+    const growth = await getGrowthData(fires);
+    return fires.map((fire, index) => ({
+      ...fire,
+      wind: winds[index] || null,
+      growth: growth[index] || null,
+    }));
+  };
 
-      const data = await response.json();
+  // Without live data there are no fires to show. Sample fires never stand
+  // in for them: the page says the data is unavailable, and offers demo
+  // data the user has to ask for.
+  const getWildfireData = async (signal, near) => {
+    try {
+      return await fetchFireData(signal, near);
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      setUnavailable(true);
+      throw Object.assign(new Error(t("unavailable.title")), {
+        unavailable: true,
+      });
+    }
+  };
 
-      if (data.error) {
-        throw new Error(`API Error: ${data.error.message}`);
-      }
+  // Recorded fires for demo mode, flagged `demo` by the fixture adapter.
+  // They are never cached or added to the fire history.
+  const getDemoFires = async () => {
+    const adapter = createFixtureFireAdapter();
+    const [fires, perimeters] = await Promise.all([
+      adapter.getFires(),
+      adapter.getPerimeters(),
+    ]);
+    return fires.map((fire) => ({
+      ...fire,
+      perimeter: perimeters[fire.FIREID] || null,
+      wind: null,
+      growth: null,
+    }));
+  };
 
-      if (data.features && data.features.length > 0) {
-        return data.features
-          .map((feature) => ({
-            ...feature.attributes,
-            LATITUDE: feature.geometry ? feature.geometry.y : null,
-            LONGITUDE: feature.geometry ? feature.geometry.x : null,
-          }))
-          .filter(
-            (fire) =>
-              fire.LATITUDE &&
-              fire.LONGITUDE &&
-              fire.STATUS &&
-              ["OC", "BH", "UC"].includes(fire.STATUS)
-          );
-      } else {
-        return [];
-      }
+  const getHotspotData = async (signal) => {
+    try {
+      return await track(
+        "hotspots",
+        providers.hotspots.getHotspots({ signal })
+      );
     } catch (err) {
-      setError("Could not fetch live data. Showing recent examples.");
-      return [
-        {
-          FIREID: "NL-2025-Kingston",
-          NAME: "Kingston Peninsula Fire",
-          STATUS: "OC",
-          LATITUDE: 47.75,
-          LONGITUDE: -53.18,
-          AREAEST: 5000,
-          FIREDATE: 1723334400000,
-          PROVFIRENUM: 301,
-          REGION: "ET",
-          DISTRICT: "10",
-          CAUSE: "Lightning",
-        },
-        {
-          FIREID: "NL-2025-Ochre",
-          NAME: "Ochre Pit Cove Area Fire",
-          STATUS: "OC",
-          LATITUDE: 47.72,
-          LONGITUDE: -53.25,
-          AREAEST: 1200,
-          FIREDATE: 1723420800000,
-          PROVFIRENUM: 302,
-          REGION: "ET",
-          DISTRICT: "10",
-          CAUSE: "Human",
-        },
-        {
-          FIREID: "NL-2025-Trinity",
-          NAME: "Trinity Bay Fire",
-          STATUS: "BH",
-          LATITUDE: 47.65,
-          LONGITUDE: -53.38,
-          AREAEST: 800,
-          FIREDATE: 1723248000000,
-          PROVFIRENUM: 303,
-          REGION: "ET",
-          DISTRICT: "11",
-          CAUSE: "Lightning",
-        },
-      ];
+      return []; // Silently fail for hotspots, they're supplementary
     }
   };
 
-  const getHotspotData = async () => {
+  // Hotspots from the last search are also kept for this tab's session, so
+  // the map still has them after a reload
+  const storeMapHotspots = (hotspots) => {
+    setStoredHotspots(hotspots);
     try {
-      const hotspotApiUrl =
-        "https://services9.arcgis.com/RHVPKKiFTONKtxq3/arcgis/rest/services/Satellite_VIIRS_Thermal_Hotspots_and_Fire_Activity/FeatureServer/0/query?where=1%3D1&geometry=%7B%22xmin%22%3A-60%2C%22ymin%22%3A46%2C%22xmax%22%3A-52%2C%22ymax%22%3A52%7D&geometryType=esriGeometryEnvelope&inSR=4326&spatialRel=esriSpatialRelIntersects&outFields=*&outSR=4326&f=json";
-
-      const response = await fetch(hotspotApiUrl);
-
-      if (!response.ok) {
-        return []; // Silently fail for hotspots, they're supplementary
-      }
-
-      const data = await response.json();
-
-      if (data.error || !data.features) {
-        return [];
-      }
-
-      return data.features
-        .map((feature) => ({
-          ...feature.attributes,
-          LATITUDE: feature.attributes.latitude,
-          LONGITUDE: feature.attributes.longitude,
-          FIREID: `hotspot-${feature.attributes.OBJECTID}`,
-          NAME: `Thermal Hotspot (${feature.attributes.confidence})`,
-          STATUS: feature.attributes.confidence,
-          isHotspot: true, // Flag to identify hotspots
-        }))
-        .filter((hotspot) => hotspot.LATITUDE && hotspot.LONGITUDE);
+      sessionStorage.setItem("mapHotspots", JSON.stringify(hotspots));
     } catch (err) {
-      return []; // Silently fail for hotspots
+      console.error("Hotspot cache error:", err);
     }
   };
 
-  const getCachedData = () => {
+  // The session's cached fire list as { data, stale, near }, or null if
+  // there is none or it doesn't cover the `near` query
+  const getCachedData = (near) => {
     try {
       const cached = JSON.parse(sessionStorage.getItem("wildfireData") || "{}");
       const cacheAge = Date.now() - (cached.timestamp || 0);
-      const maxAge = 10 * 60 * 1000;
 
-      if (cacheAge < maxAge && cached.data) {
+      if (cached.data && coversQuery(cached.near || null, near)) {
         setLastUpdated(new Date(cached.timestamp));
-        return cached.data;
+        return {
+          data: cached.data,
+          stale: cacheAge >= FIRE_CACHE_MAX_AGE,
+          near: cached.near || null,
+        };
       }
     } catch (err) {
       console.error("Cache error:", err);
@@ -215,10 +328,10 @@ const WildfireProximityApp = () => {
     return null;
   };
 
-  const setCachedData = (data) => {
+  const setCachedData = (data, near) => {
     try {
       const timestamp = Date.now();
-      const cacheData = { data, timestamp };
+      const cacheData = { data, timestamp, near };
       sessionStorage.setItem("wildfireData", JSON.stringify(cacheData));
       setLastUpdated(new Date(timestamp));
     } catch (err) {
@@ -226,371 +339,587 @@ const WildfireProximityApp = () => {
     }
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case "OC":
-        return "text-red-700 bg-red-100 border-red-300";
-      case "BH":
-        return "text-purple-700 bg-purple-100 border-purple-300";
-      case "UC":
-        return "text-green-700 bg-green-100 border-green-300";
-      case "O":
-        return "text-gray-700 bg-gray-100 border-gray-300";
-      default:
-        return "text-gray-700 bg-gray-100 border-gray-300";
-    }
+  // Live fires replace whatever was shown, demo data included
+  const storeFires = (wildfires, near = null) => {
+    setCachedData(wildfires, near);
+    setFires(wildfires);
+    setFireScope(near);
+    setUnavailable(false);
+    setDemo(false);
   };
 
-  const getStatusText = (status) => {
-    switch (status) {
-      case "OC":
-        return "Out-of-Control";
-      case "BH":
-        return "Being Held";
-      case "UC":
-        return "Under Control";
-      case "O":
-        return "Out";
-      default:
-        return "Unknown";
+  // Replaces stale cached fires with fresh ones, in the background. Resolves
+  // with the fresh list, or null if it couldn't be loaded (the cached fires
+  // then stay).
+  const revalidateFires = async (signal, near) => {
+    setRefreshing(true);
+    try {
+      const wildfires = await fetchFireData(signal, near);
+      storeFires(wildfires, near);
+      return wildfires;
+    } catch (err) {
+      if (!isAbortError(err)) console.error("Fire refresh error:", err);
+      return null;
+    } finally {
+      setRefreshing(false);
     }
   };
 
-  const getRiskLevel = (distance, status) => {
-    if (status === "OC") {
-      if (distance < 10)
-        return {
-          level: "EXTREME RISK",
-          color: "text-red-900 bg-red-200 border-red-400",
-        };
-      if (distance < 25)
-        return {
-          level: "HIGH RISK",
-          color: "text-red-800 bg-red-100 border-red-300",
-        };
-      if (distance < 50)
-        return {
-          level: "MODERATE RISK",
-          color: "text-orange-800 bg-orange-100 border-orange-300",
-        };
+  // Current fire list as { wildfires, scope, update }, `scope` being the
+  // `near` query the fires answer (null for all). The session cache answers
+  // at once when it has data (stale-while-revalidate); if that data is
+  // stale, `update` is the promise from revalidateFires, otherwise null.
+  // `near` limits the fires to those around a location (see getFireQuery);
+  // a cached list covering more is used as it is. In demo mode the fires
+  // are always the demo ones.
+  const loadFires = async (signal, near = null) => {
+    if (demo) {
+      const wildfires = await getDemoFires();
+      setFires(wildfires);
+      setFireScope(null);
+      return { wildfires, scope: null, update: null };
     }
-    if ((status === "BH" || status === "OC") && distance < 100) {
+    const cached = getCachedData(near);
+    if (cached) {
+      setFires(cached.data);
+      setFireScope(cached.near);
       return {
-        level: "LOW RISK",
-        color: "text-yellow-800 bg-yellow-100 border-yellow-300",
+        wildfires: cached.data,
+        scope: cached.near,
+        update: cached.stale ? revalidateFires(signal, cached.near) : null,
       };
     }
-    return {
-      level: "MINIMAL RISK",
-      color: "text-green-800 bg-green-100 border-green-300",
-    };
+    const wildfires = await getWildfireData(signal, near);
+    storeFires(wildfires, near);
+    return { wildfires, scope: near, update: null };
   };
 
-  const searchWildfires = async () => {
-    if (!address.trim()) {
-      setError("Please enter an address");
+  // Fresh fire data for monitoring polls. A failed poll leaves the fires
+  // shown as they are, so it can't look like a change.
+  const refreshFires = async () => {
+    const wildfires = await fetchFireData();
+    storeFires(wildfires);
+    if (userLocation) {
+      setResults(rankFires(userLocation, wildfires));
+    }
+    return wildfires;
+  };
+
+  // When the service worker serves cached data, its fetch time is what counts
+  const { online, staleSince } = useOfflineData();
+  const dataUpdated = staleSince ? new Date(staleSince) : lastUpdated;
+  const demoShown = demo || (fires || []).some((fire) => fire.demo);
+
+  const monitor = useFireMonitor({
+    fetchFires: refreshFires,
+    location: userLocation,
+    riskRules,
+    t,
+  });
+
+  // Driving distances to the nearest fires and a suggested route away from
+  // them. Runs after the results are shown, and a routing failure never
+  // affects the search itself. `scope` is the fire query `rankedFires`
+  // answer; the route is planned with the fires getEvacuationFires adds.
+  const loadRoutes = async (location, rankedFires, signal, scope = null) => {
+    const run = { location };
+    routingFor.current = run;
+    setRoadDistances({});
+    setEvacuation(null);
+    if (!providers.routing) return;
+
+    const isCurrent = () => routingFor.current === run;
+    const nearest = rankedFires.slice(0, MAX_ROUTED_FIRES);
+    try {
+      // Only the table counts towards the routing status: a community with
+      // no road to it fails its route without the service being down
+      const table = await track(
+        "routing",
+        providers.routing.getTable(
+          location,
+          nearest.map((fire) => ({ lat: fire.LATITUDE, lng: fire.LONGITUDE })),
+          { signal }
+        )
+      );
+      if (!isCurrent()) return;
+      setRoadDistances(
+        Object.fromEntries(
+          nearest.map((fire, index) => [fire.FIREID, table[index]])
+        )
+      );
+    } catch (err) {
+      if (!isAbortError(err)) console.error("Routing error:", err);
+    }
+
+    let evacuationFires;
+    try {
+      evacuationFires = await getEvacuationFires(
+        location,
+        rankedFires,
+        scope,
+        async (near) =>
+          rankFires(location, await fetchFirePositions(signal, near))
+      );
+    } catch (err) {
+      if (isAbortError(err) || !isCurrent()) return;
+      console.error("Evacuation fire data error:", err);
+      setEvacuation({ loading: false, error: t("evacuation.failed") });
       return;
     }
+    if (!isCurrent()) return;
+
+    const candidates = findEvacuationCandidates(
+      location,
+      evacuationFires,
+      communities
+    );
+    if (candidates.length === 0) return;
+
+    setEvacuation({ loading: true });
+    const routes = await Promise.allSettled(
+      candidates.map(async (community) => {
+        const route = await providers.routing.getRoute(location, community, {
+          signal,
+        });
+        return {
+          community,
+          route,
+          firesNearRoute: findFiresNearRoute(route.path, evacuationFires),
+        };
+      })
+    );
+    if (!isCurrent()) return;
 
+    const options = routes
+      .filter((result) => result.status === "fulfilled")
+      .map((result) => result.value);
+    setEvacuation(
+      options.length > 0
+        ? { loading: false, choice: chooseEvacuationRoute(options) }
+        : {
+            loading: false,
+            error: t("evacuation.failed"),
+          }
+    );
+  };
+
+  // All geocoding candidates for an address, best first. Geocoders without
+  // findCandidates only report their best match.
+  const findCandidates = async (query, signal) =>
+    providers.geocoder.findCandidates
+      ? track("geocoder", providers.geocoder.findCandidates(query, { signal }))
+      : [
+          await track(
+            "geocoder",
+            providers.geocoder.geocode(query, { signal })
+          ),
+        ];
+
+  // Starts a new search, cancelling the one before it if it's still running,
+  // and returns the AbortController for the new one's requests.
+  const startSearch = () => {
+    if (searchRequest.current) searchRequest.current.abort();
+    searchRequest.current = new AbortController();
+    return searchRequest.current;
+  };
+
+  // Ranks fires around the searched location as the results, and looks up
+  // the routes to them. `scope` is the fire query they answer.
+  const showResults = (location, wildfires, signal, scope = null) => {
+    const noFires = t("app.noFires");
+    if (wildfires.length === 0) {
+      setResults([]);
+      setError((current) => current || noFires);
+      return;
+    }
+    setError((current) => (current === noFires ? "" : current));
+
+    const firesWithDistance = rankFires(location, wildfires);
+
+    // Set only wildfires as main results (no hotspots in the list view)
+    setResults(firesWithDistance);
+    loadRoutes(location, firesWithDistance, signal, scope);
+  };
+
+  // Runs a search for the typed address, or for an already known location
+  // (current position or a dropped pin) when one is passed in. The search
+  // is recorded in the URL so the same results can be shared.
+  const searchWildfires = async (knownLocation = null, query = address) => {
+    if (!knownLocation && !query.trim()) {
+      setError(t("app.enterAddress"));
+      return;
+    }
+
+    const request = startSearch();
+    const { signal } = request;
     setLoading(true);
     setError("");
     setResults([]);
+    routingFor.current = null;
+    setRoadDistances({});
+    setEvacuation(null);
+    setCandidates([]);
+    setGeocodeWarning("");
 
     try {
-      const location = await geocodeAddress(address);
+      let location = knownLocation;
+      if (!location) {
+        const { best, alternatives, lowScore } = assessCandidates(
+          await findCandidates(query, signal)
+        );
+        // Let the user pick when several places match equally well
+        if (alternatives.length > 0) {
+          setCandidates(alternatives);
+          return;
+        }
+        location = best;
+        if (lowScore) {
+          setGeocodeWarning(
+            t("app.lowScore", { query: query.trim(), address: best.address })
+          );
+        }
+      }
       setUserLocation(location);
 
-      let wildfires = getCachedData();
-      if (!wildfires) {
-        wildfires = await getWildfireData();
-        setCachedData(wildfires);
-      }
+      const search = knownLocation
+        ? { address: "", location: { lat: location.lat, lng: location.lng } }
+        : { address: query.trim(), location: null };
+      lastSearchKey.current = getSearchKey(search);
+      navigate(search);
+
+      // With a radius filter only nearby fires are fetched, unless saved
+      // places or assets need them all anyway
+      const near =
+        places.length === 0 && assets.length === 0
+          ? getFireQuery(location, filters.radius)
+          : null;
+      const { wildfires, scope, update } = await loadFires(signal, near);
 
       // Get hotspot data for map display (separate from main search results)
-      const hotspots = await getHotspotData();
+      const hotspots = await getHotspotData(signal);
+      if (signal.aborted) return;
 
-      if (wildfires.length === 0) {
-        setResults([]);
-        if (!error) {
-          setError(
-            "No active wildfires found in the database. Your area is clear."
-          );
-        }
-        // Still store hotspots for map even if no wildfires
-        if (hotspots.length > 0) {
-          const hotspotsWithDistance = hotspots.map((hotspot) => ({
-            ...hotspot,
-            distance: calculateDistance(
-              location.lat,
-              location.lng,
-              hotspot.LATITUDE,
-              hotspot.LONGITUDE
-            ),
-          }));
-          sessionStorage.setItem(
-            "mapHotspots",
-            JSON.stringify(hotspotsWithDistance)
-          );
-        }
-        return;
+      // Store hotspots separately for map use, even if there are no wildfires
+      storeMapHotspots(measureHotspots(location, hotspots));
+
+      showResults(location, wildfires, signal, scope);
+
+      // Cached fires were stale: show the fresh ones once they arrive
+      if (update) {
+        update.then(
+          (fresh) =>
+            fresh &&
+            !signal.aborted &&
+            showResults(location, fresh, signal, scope)
+        );
       }
+    } catch (err) {
+      // A newer search took over; it reports its own outcome
+      if (isAbortError(err)) return;
+      // Unavailable fire data has its own panel
+      if (!err.unavailable) setError(err.message);
+    } finally {
+      if (searchRequest.current === request) setLoading(false);
+    }
+  };
 
-      const firesWithDistance = wildfires
-        .map((fire) => ({
-          ...fire,
-          distance: calculateDistance(
-            location.lat,
-            location.lng,
-            fire.LATITUDE,
-            fire.LONGITUDE
-          ),
-        }))
-        .sort((a, b) => a.distance - b.distance);
-
-      // Calculate distances for hotspots for map display
-      const hotspotsWithDistance = hotspots.map((hotspot) => ({
-        ...hotspot,
-        distance: calculateDistance(
-          location.lat,
-          location.lng,
-          hotspot.LATITUDE,
-          hotspot.LONGITUDE
-        ),
-      }));
-
-      // Set only wildfires as main results (no hotspots in the list view)
-      setResults(firesWithDistance);
-
-      // Store hotspots separately for map use
-      sessionStorage.setItem(
-        "mapHotspots",
-        JSON.stringify(hotspotsWithDistance)
+  // Turns coordinates into a readable address for the "Your Location" popup,
+  // keeping the raw coordinates if reverse geocoding fails.
+  const searchCoordinates = async ({ lat, lng, accuracy = null }) => {
+    const { signal } = startSearch();
+    let label = `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+    try {
+      const place = await track(
+        "geocoder",
+        providers.geocoder.reverseGeocode(lat, lng, { signal })
       );
+      label = place.address;
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error("Reverse geocoding error:", err);
+    }
+    if (signal.aborted) return;
+
+    setAddress(label);
+    await searchWildfires({ lat, lng, accuracy, address: label });
+  };
+
+  const searchCurrentLocation = async () => {
+    setLocating(true);
+    setError("");
+    try {
+      const position = await getCurrentPosition({}, t);
+      await searchCoordinates(position);
     } catch (err) {
       setError(err.message);
     } finally {
-      setLoading(false);
+      setLocating(false);
     }
   };
 
-  useEffect(() => {
-    const interval = setInterval(() => {
-      sessionStorage.removeItem("wildfireData");
-      sessionStorage.removeItem("mapHotspots");
-    }, 10 * 60 * 1000);
+  // Runs the last search again, or just reloads the fires if there was none
+  const repeatSearch = () => {
+    if (urlState.address) {
+      searchWildfires(null, urlState.address);
+    } else if (userLocation) {
+      searchWildfires(userLocation);
+    } else {
+      loadFires().catch((err) => console.error("Fire data error:", err));
+    }
+  };
 
-    return () => clearInterval(interval);
-  }, []);
+  // Demo mode, which the user opts into when live data is unavailable.
+  // It lasts until they leave it or live data loads again.
+  const showDemo = async () => {
+    const { signal } = startSearch();
+    setLoading(false);
+    setDemo(true);
+    setUnavailable(false);
+    setError("");
+    const wildfires = await getDemoFires();
+    if (signal.aborted) return;
+    setFires(wildfires);
+    if (userLocation) showResults(userLocation, wildfires, signal);
+  };
 
-  // Custom fire marker icon - memoized for performance
-  const createFireIcon = React.useMemo(() => {
-    const iconCache = {};
+  const leaveDemo = () => {
+    startSearch();
+    setLoading(false);
+    routingFor.current = null;
+    setDemo(false);
+    setFires(null);
+    setResults([]);
+    setRoadDistances({});
+    setEvacuation(null);
+  };
 
-    return (status, isHotspot = false) => {
-      const cacheKey = `${status}-${isHotspot}`;
+  const openFire = (fireId) => {
+    setPreviousPage(currentPage);
+    navigate({ page: "fire", fireId });
+  };
 
-      if (iconCache[cacheKey]) {
-        return iconCache[cacheKey];
-      }
+  const pickCandidate = (candidate) => {
+    setAddress(candidate.address);
+    searchWildfires(candidate);
+  };
 
-      let icon;
-      if (isHotspot) {
-        const color = status?.toLowerCase() === "high" ? "#dc2626" : "#f59e0b";
-        icon = L.divIcon({
-          html: `<div style="background: ${color}; color: white; border-radius: 50%; width: 20px; height: 20px; display: flex; align-items: center; justify-content: center; font-size: 10px; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);">🔥</div>`,
-          className: "custom-div-icon",
-          iconSize: [20, 20],
-          iconAnchor: [10, 10],
-        });
-      } else {
-        const color =
-          status === "OC" ? "#dc2626" : status === "BH" ? "#9333ea" : "#16a34a";
-        icon = L.divIcon({
-          html: `<div style="background: ${color}; color: white; border-radius: 50%; width: 24px; height: 24px; display: flex; align-items: center; justify-content: center; font-size: 14px; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);">🔥</div>`,
-          className: "custom-div-icon",
-          iconSize: [24, 24],
-          iconAnchor: [12, 12],
-        });
-      }
+  const checkPlace = (place) => {
+    setAddress(place.address);
+    searchWildfires(place);
+  };
 
-      iconCache[cacheKey] = icon;
-      return icon;
-    };
-  }, []);
+  // The effects below run on their own triggers, but always with the
+  // current state and the handlers that close over it
+  const latest = React.useRef(null);
+  latest.current = {
+    fires,
+    fireScope,
+    storedHotspots,
+    userLocation,
+    loading,
+    places,
+    assets,
+    loadFires,
+    getHotspotData,
+    storeMapHotspots,
+    searchWildfires,
+    searchCoordinates,
+    repeatSearch,
+  };
 
-  // User location icon - memoized for performance
-  const userIcon = React.useMemo(
+  // Opening a shared link, or going back and forward through searches,
+  // re-runs the search the URL describes.
+  useEffect(() => {
+    const key = getSearchKey(urlState);
+    if (!key || key === lastSearchKey.current) return;
+    lastSearchKey.current = key;
+    const { searchCoordinates, searchWildfires } = latest.current;
+    if (urlState.location) {
+      searchCoordinates(urlState.location);
+    } else {
+      setAddress(urlState.address);
+      searchWildfires(null, urlState.address);
+    }
+  }, [urlState]);
+
+  // A linked fire page without a search still needs the fire list, and
+  // the hotspots for its nearby hotspots table.
+  useEffect(() => {
+    if (currentPage !== "fire") return;
+    const {
+      fires,
+      storedHotspots,
+      userLocation,
+      loadFires,
+      getHotspotData,
+      storeMapHotspots,
+    } = latest.current;
+    if (!fires) {
+      loadFires().catch((err) => console.error("Fire data error:", err));
+    }
+    if (storedHotspots.length === 0) {
+      setHotspotsLoading(true);
+      getHotspotData()
+        .then((hotspots) =>
+          storeMapHotspots(
+            userLocation ? measureHotspots(userLocation, hotspots) : hotspots
+          )
+        )
+        .finally(() => setHotspotsLoading(false));
+    }
+  }, [currentPage]);
+
+  // The saved places dashboard and the assets table need every fire, even
+  // before any search. Entering or leaving demo mode swaps the fires.
+  useEffect(() => {
+    const { fires, fireScope, places, assets, loadFires } = latest.current;
+    if ((places.length > 0 || assets.length > 0) && (!fires || fireScope)) {
+      loadFires().catch((err) => console.error("Fire data error:", err));
+    }
+  }, [places.length, assets.length, demo, fireScope]);
+
+  // Widening or clearing the radius filter can take in fires the last
+  // search didn't fetch
+  useEffect(() => {
+    const { fireScope, userLocation, loading, repeatSearch } = latest.current;
+    if (!fireScope || !userLocation || loading) return;
+    if (!coversQuery(fireScope, getFireQuery(userLocation, filters.radius))) {
+      repeatSearch();
+    }
+  }, [filters.radius]);
+
+  // The list filters and sort order apply to the map markers too
+  const shownResults = React.useMemo(
     () =>
-      L.divIcon({
-        html: '<div style="background: #3b82f6; color: white; border-radius: 50%; width: 20px; height: 20px; display: flex; align-items: center; justify-content: center; font-size: 12px;">📍</div>',
-        className: "custom-div-icon",
-        iconSize: [20, 20],
-        iconAnchor: [10, 10],
-      }),
-    []
+      sortFires(filterFires(results, filters), sort, userLocation, riskRules),
+    [results, filters, sort, userLocation, riskRules]
   );
+  const filterChoices = getFilterChoices(results);
 
-  // Interactive Map Component using react-leaflet
-  const InteractiveMap = () => {
-    const mapCenter = userLocation
-      ? [userLocation.lat, userLocation.lng]
-      : [48.5, -56.5];
-    const mapZoom = userLocation ? 9 : 6;
+  // Screen readers hear the result count and the highest rated fire after
+  // each search, and again whenever filters or risk rules change them.
+  const ratedResults = userLocation
+    ? shownResults.map((fire) => ({
+        fire,
+        risk: assessFireRisk(userLocation, fire, fire.distance, riskRules),
+      }))
+    : [];
+  const topRated = ratedResults.reduce(
+    (top, rated) => (!top || rated.risk.rank > top.risk.rank ? rated : top),
+    null
+  );
+  const alertCount = ratedResults.filter(({ risk }) => risk.alert).length;
+  const announcement = loading
+    ? t("a11y.searching")
+    : topRated
+    ? `${topRated.fire.demo ? `${t("demo.label")}. ` : ""}${t("a11y.results", {
+        count: ratedResults.length,
+      })} ${t("a11y.topRated", {
+        level: t(`risk.level.${topRated.risk.rank}`),
+        name: getFireName(topRated.fire, t),
+        distance: topRated.fire.distance,
+      })}`
+    : "";
+  const alertAnnouncement =
+    !loading && alertCount > 0 ? t("a11y.alert", { count: alertCount }) : "";
 
-    // Get hotspots from storage for map display
-    const hotspots = JSON.parse(sessionStorage.getItem("mapHotspots") || "[]");
+  const mapHotspots = React.useMemo(
+    () => filterHotspots(storedHotspots, hotspotView),
+    [storedHotspots, hotspotView]
+  );
 
-    return (
-      <div className="h-full w-full">
-        <MapContainer
-          center={mapCenter}
-          zoom={mapZoom}
-          className="w-full h-96 md:h-[500px] rounded-lg border border-gray-300"
-          key={`${mapCenter[0]}-${mapCenter[1]}-${results.length}-${hotspots.length}`}
-          preferCanvas={true}
-          zoomControl={true}
-          scrollWheelZoom={true}
-          doubleClickZoom={true}
-          touchZoom={true}
-          zoomAnimation={false}
-          markerZoomAnimation={false}
-          updateWhenZooming={false}
-          updateWhenIdle={true}
-        >
-          <TileLayer
-            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-            maxZoom={18}
-            keepBuffer={2}
-            updateWhenIdle={true}
-            updateWhenZooming={false}
-          />
+  // Recent hotspot clusters that no known fire accounts for. When only
+  // nearby fires were fetched, a hotspot could match a fire that wasn't
+  // unless it's at least the match distance inside the radius filter.
+  const possibleNewFires = React.useMemo(() => {
+    if (!fires) return [];
+    const hotspots = fireScope
+      ? storedHotspots.filter(
+          (hotspot) =>
+            calculateDistance(
+              fireScope.lat,
+              fireScope.lng,
+              hotspot.LATITUDE,
+              hotspot.LONGITUDE
+            ) <=
+            fireScope.radius - NEW_FIRE.matchDistance
+        )
+      : storedHotspots;
+    return findPossibleNewFires(hotspots, fires);
+  }, [storedHotspots, fires, fireScope]);
 
-          {userLocation && (
-            <Marker
-              position={[userLocation.lat, userLocation.lng]}
-              icon={userIcon}
-            >
-              <Popup>
-                <div style={{ fontSize: "14px" }}>
-                  <strong>Your Location</strong>
-                  <br />
-                  {userLocation.address || address}
-                </div>
-              </Popup>
-            </Marker>
-          )}
+  // Map inputs that only change with their sources, and handlers that never
+  // change, so unrelated updates (typing an address, say) leave the map's
+  // layers alone
+  const placeThreats = React.useMemo(
+    () =>
+      places.map((place) => ({
+        place,
+        threat: summarizeThreat(place, fires || [], riskRules),
+      })),
+    [places, fires, riskRules]
+  );
+  const rankedAssets = React.useMemo(
+    () => rankAssets(assets, fires || [], riskRules),
+    [assets, fires, riskRules]
+  );
+  const mapActions = React.useRef(null);
+  mapActions.current = { loading, searchCoordinates, openFire };
+  const handleMapClick = React.useCallback((latlng) => {
+    const { loading, searchCoordinates } = mapActions.current;
+    if (!loading) searchCoordinates({ lat: latlng.lat, lng: latlng.lng });
+  }, []);
+  const handleOpenFire = React.useCallback(
+    (fireId) => mapActions.current.openFire(fireId),
+    []
+  );
+  // Every attribute of a fire for its detail page, where the adapter can
+  // look one up; the fire list only asks for the fields it uses.
+  const loadFireDetails = React.useCallback(
+    (fireId, signal) =>
+      providers.fires.getFire
+        ? track("fires", providers.fires.getFire(fireId, { signal }))
+        : Promise.resolve(null),
+    [providers, track]
+  );
 
-          {/* Display main fire results */}
-          {results.map((fire, index) => {
-            const risk = userLocation
-              ? getRiskLevel(fire.distance, fire.STATUS)
-              : null;
-            return (
-              <Marker
-                key={fire.FIREID || index}
-                position={[fire.LATITUDE, fire.LONGITUDE]}
-                icon={createFireIcon(fire.STATUS)}
-              >
-                <Popup>
-                  <div style={{ fontSize: "14px", minWidth: "200px" }}>
-                    <strong
-                      style={{
-                        color:
-                          fire.STATUS === "OC"
-                            ? "#dc2626"
-                            : fire.STATUS === "BH"
-                            ? "#9333ea"
-                            : "#16a34a",
-                      }}
-                    >
-                      {fire.NAME || `Fire #${fire.PROVFIRENUM}`}
-                    </strong>
-                    <br />
-                    <strong>Status:</strong> {getStatusText(fire.STATUS)}
-                    <br />
-                    <strong>Area:</strong>{" "}
-                    {fire.AREAEST ? `${fire.AREAEST} hectares` : "TBD"}
-                    <br />
-                    <strong>Cause:</strong> {fire.CAUSE || "Unknown"}
-                    <br />
-                    {userLocation && (
-                      <>
-                        <strong>Distance:</strong> {fire.distance.toFixed(1)} km
-                        <br />
-                      </>
-                    )}
-                    {risk && (
-                      <>
-                        <strong>Risk Level:</strong>{" "}
-                        <span
-                          style={{
-                            color:
-                              fire.STATUS === "OC"
-                                ? "#dc2626"
-                                : fire.STATUS === "BH"
-                                ? "#9333ea"
-                                : "#16a34a",
-                          }}
-                        >
-                          {risk.level}
-                        </span>
-                      </>
-                    )}
-                  </div>
-                </Popup>
-              </Marker>
-            );
-          })}
+  const selectedFire =
+    selectedFireId &&
+    (results.find((fire) => fire.FIREID === selectedFireId) ||
+      (fires || []).find((fire) => fire.FIREID === selectedFireId));
 
-          {/* Display hotspots as smaller markers */}
-          {hotspots.map((hotspot, index) => (
-            <Marker
-              key={`hotspot-${hotspot.FIREID || index}`}
-              position={[hotspot.LATITUDE, hotspot.LONGITUDE]}
-              icon={createFireIcon(hotspot.STATUS, true)}
-            >
-              <Popup>
-                <div style={{ fontSize: "12px", minWidth: "180px" }}>
-                  <strong
-                    style={{
-                      color:
-                        hotspot.STATUS?.toLowerCase() === "high"
-                          ? "#dc2626"
-                          : "#f59e0b",
-                    }}
-                  >
-                    {hotspot.NAME}
-                  </strong>
-                  <br />
-                  <strong>Type:</strong> Thermal Hotspot
-                  <br />
-                  <strong>Confidence:</strong> {hotspot.STATUS}
-                  <br />
-                  {hotspot.frp && (
-                    <>
-                      <strong>Intensity:</strong> {hotspot.frp} MW
-                      <br />
-                    </>
-                  )}
-                  {userLocation && (
-                    <>
-                      <strong>Distance:</strong> {hotspot.distance.toFixed(1)}{" "}
-                      km
-                      <br />
-                    </>
-                  )}
-                  <em style={{ fontSize: "10px", color: "#666" }}>
-                    Satellite detection - not confirmed fire
-                  </em>
-                </div>
-              </Popup>
-            </Marker>
-          ))}
-        </MapContainer>
+  // Fire Detail View
+  if (currentPage === "fire") {
+    if (selectedFire) {
+      return (
+        <FireDetail
+          fire={selectedFire}
+          location={userLocation}
+          hotspots={hotspotsLoading ? null : storedHotspots}
+          loadDetails={loadFireDetails}
+          riskRules={riskRules}
+          onBack={() => setCurrentPage(previousPage)}
+          highContrast={highContrast}
+          onHighContrastChange={setHighContrast}
+        />
+      );
+    }
+    return (
+      <div className="max-w-4xl mx-auto p-6 bg-white min-h-screen">
+        <button
+          onClick={() => setCurrentPage(previousPage)}
+          className="mb-6 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+        >
+          {t("detail.back")}
+        </button>
+        <p className="text-gray-600">
+          {fires
+            ? t("app.fireMissing", { id: selectedFireId })
+            : t("places.loading")}
+        </p>
       </div>
     );
-  };
+  }
 
   // Map View
   if (currentPage === "map") {
@@ -603,112 +932,105 @@ const WildfireProximityApp = () => {
                 onClick={() => setCurrentPage("list")}
                 className="flex items-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
               >
-                ← Back to List
+                {t("map.backToList")}
               </button>
               <div className="flex items-center">
                 <span className="text-3xl mr-2">🗺️</span>
                 <h1 className="text-2xl font-bold text-gray-800">
-                  Wildfire Map View
+                  {t("map.title")}
                 </h1>
               </div>
             </div>
+            <div className="flex items-center gap-2">
+              <LanguageSwitcher />
+              <ContrastToggle
+                enabled={highContrast}
+                onChange={setHighContrast}
+              />
+            </div>
           </div>
-          {lastUpdated && (
+          {dataUpdated && !demo && (
             <p className="text-sm text-gray-500">
-              Data last updated: {lastUpdated.toLocaleString()}
+              {t("app.lastUpdated", { time: t.dateTime(dataUpdated) })}
+              {refreshing && ` · ${t("app.refreshing")}`}
+            </p>
+          )}
+          {shownResults.length < results.length && (
+            <p className="text-sm text-gray-600 mt-1">
+              {t("map.filtered", {
+                shown: shownResults.length,
+                total: results.length,
+              })}{" "}
+              <button
+                onClick={() => setCurrentPage("list")}
+                className="text-blue-600 hover:text-blue-800"
+              >
+                {t("map.changeFilters")}
+              </button>
             </p>
           )}
         </div>
 
+        <OfflineBanner online={online} staleSince={staleSince} />
+        {demoShown && <DemoBanner onLeave={demo ? leaveDemo : null} />}
+        <LiveAnnouncer message={announcement} alert={alertAnnouncement} />
+
         <div className="mb-6">
-          <div className="flex gap-4 flex-col sm:flex-row">
-            <div className="flex-1 relative">
-              <span className="absolute left-3 top-3 text-gray-400">📍</span>
-              <input
-                type="text"
-                placeholder="Enter your address to see your location on the map"
-                value={address}
-                onChange={(e) => setAddress(e.target.value)}
-                onKeyPress={(e) => e.key === "Enter" && searchWildfires()}
-                className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent text-base text-black placeholder:text-gray-600"
-              />
-            </div>
-            <button
-              onClick={searchWildfires}
-              disabled={loading}
-              className="px-6 py-3 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50 flex items-center justify-center gap-2 transition-colors min-w-[120px]"
-            >
-              {loading ? (
-                <>
-                  <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                  Searching...
-                </>
-              ) : (
-                <>
-                  <span>🔍</span> Search
-                </>
-              )}
-            </button>
-          </div>
-          {error && (
-            <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg">
-              <p className="text-red-700 flex items-center gap-2">
-                <span>⚠️</span>
-                {error}
-              </p>
-            </div>
-          )}
+          <SearchBar
+            address={address}
+            onAddressChange={setAddress}
+            onSearch={(query) => searchWildfires(null, query)}
+            onLocate={searchCurrentLocation}
+            suggest={providers.geocoder.suggest}
+            candidates={candidates}
+            onPickCandidate={pickCandidate}
+            warning={geocodeWarning}
+            loading={loading}
+            locating={locating}
+            error={error}
+            placeholder={t("map.placeholder")}
+          />
+          <p className="mt-2 text-sm text-gray-500">{t("map.tip")}</p>
         </div>
 
+        {unavailable && (
+          <DataUnavailable
+            online={online}
+            onRetry={repeatSearch}
+            onShowDemo={showDemo}
+          />
+        )}
+
         <div className="bg-white rounded-lg border border-gray-200 p-4">
-          <div className="mb-4">
-            <h3 className="text-lg font-semibold text-gray-800 mb-2">Legend</h3>
-            <div className="flex flex-wrap gap-4 text-sm">
-              <div className="flex items-center gap-2">
-                <div className="w-6 h-6 bg-red-600 rounded-full flex items-center justify-center text-white text-xs">
-                  🔥
-                </div>
-                <span>Out-of-Control Fire</span>
-              </div>
-              <div className="flex items-center gap-2">
-                <div className="w-6 h-6 bg-purple-600 rounded-full flex items-center justify-center text-white text-xs">
-                  🔥
-                </div>
-                <span>Being Held Fire</span>
-              </div>
-              <div className="flex items-center gap-2">
-                <div className="w-6 h-6 bg-green-600 rounded-full flex items-center justify-center text-white text-xs">
-                  🔥
-                </div>
-                <span>Under Control Fire</span>
-              </div>
-              <div className="flex items-center gap-2">
-                <div className="w-5 h-5 bg-red-600 rounded-full flex items-center justify-center text-white text-xs">
-                  🔥
-                </div>
-                <span>High Confidence Hotspot</span>
-              </div>
-              <div className="flex items-center gap-2">
-                <div className="w-5 h-5 bg-yellow-500 rounded-full flex items-center justify-center text-white text-xs">
-                  🔥
-                </div>
-                <span>Lower Confidence Hotspot</span>
-              </div>
-              <div className="flex items-center gap-2">
-                <div className="w-4 h-4 bg-blue-500 rounded-full"></div>
-                <span>Your Location</span>
-              </div>
-            </div>
-          </div>
-          <InteractiveMap />
+          <HotspotControls
+            view={hotspotView}
+            onChange={setHotspotView}
+            shown={mapHotspots.length}
+            total={storedHotspots.length}
+          />
+          <WildfireMap
+            fires={shownResults}
+            location={userLocation}
+            address={address}
+            hotspots={mapHotspots}
+            hotspotMode={hotspotView.mode}
+            hotspotDistances={!!userLocation}
+            possibleNewFires={possibleNewFires}
+            places={placeThreats}
+            assets={rankedAssets}
+            demo={demoShown}
+            evacuationRoute={evacuation && evacuation.choice}
+            roadDistances={roadDistances}
+            riskRules={riskRules}
+            onMapClick={handleMapClick}
+            onOpenFire={handleOpenFire}
+          />
         </div>
 
-        {results.length === 0 && !loading && !error && (
+        {results.length === 0 && !loading && !error && !unavailable && (
           <div className="text-center py-8">
             <span className="text-6xl mb-4 block">🌲</span>
-            <p className="text-gray-600">
-              Enter an address to see wildfires and your location on the map
-            </p>
+            <p className="text-gray-600">{t("map.empty")}</p>
           </div>
         )}
       </div>
@@ -721,229 +1043,316 @@ const WildfireProximityApp = () => {
       <div className="text-center mb-8">
         <div className="flex items-center justify-center mb-4">
           <span className="text-4xl mr-2">🔥</span>
-          <h1 className="text-3xl font-bold text-gray-800">
-            NL Wildfire Proximity
-          </h1>
+          <h1 className="text-3xl font-bold text-gray-800">{t("app.title")}</h1>
         </div>
-        <p className="text-gray-600">
-          Check active wildfires near your location in Newfoundland & Labrador
-        </p>
-        {lastUpdated && (
+        <p className="text-gray-600">{t("app.subtitle")}</p>
+        <div className="mt-2 flex justify-center gap-2">
+          <LanguageSwitcher />
+          <ContrastToggle enabled={highContrast} onChange={setHighContrast} />
+        </div>
+        {dataUpdated && !demo && (
           <p className="text-sm text-gray-500 mt-2">
-            Data last updated: {lastUpdated.toLocaleString()}
+            {t("app.lastUpdated", { time: t.dateTime(dataUpdated) })}
+            {refreshing && ` · ${t("app.refreshing")}`}
           </p>
         )}
-        {results.length > 0 && (
+        {(results.length > 0 || places.length > 0 || assets.length > 0) && (
           <button
             onClick={() => setCurrentPage("map")}
             className="mt-4 px-6 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors flex items-center gap-2 mx-auto"
           >
-            <span>🗺️</span>View Interactive Map
+            <span>🗺️</span>
+            {t("app.viewMap")}
           </button>
         )}
       </div>
 
+      <OfflineBanner online={online} staleSince={staleSince} />
+      {demoShown && <DemoBanner onLeave={demo ? leaveDemo : null} />}
+      <LiveAnnouncer message={announcement} alert={alertAnnouncement} />
+
       <div className="mb-8">
-        <div className="flex gap-4 flex-col sm:flex-row">
-          <div className="flex-1 relative">
-            <span className="absolute left-3 top-3 text-gray-400">📍</span>
-            <input
-              type="text"
-              placeholder="Enter your address (e.g., 123 Water Street, St. John's, NL)"
-              value={address}
-              onChange={(e) => setAddress(e.target.value)}
-              onKeyPress={(e) => e.key === "Enter" && searchWildfires()}
-              className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent text-base text-black placeholder:text-gray-600"
-            />
-          </div>
-          <button
-            onClick={searchWildfires}
-            disabled={loading}
-            className="px-6 py-3 bg-orange-500 text-white rounded-lg hover:bg-orange-600 disabled:opacity-50 flex items-center justify-center gap-2 transition-colors min-w-[120px]"
-          >
-            {loading ? (
-              <>
-                <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                Searching...
-              </>
-            ) : (
-              <>
-                <span>🔍</span> Search
-              </>
-            )}
-          </button>
-        </div>
-        {error && (
-          <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg">
-            <p className="text-red-700 flex items-center gap-2">
-              <span>⚠️</span>
-              {error}
-            </p>
-          </div>
-        )}
+        <SearchBar
+          address={address}
+          onAddressChange={setAddress}
+          onSearch={(query) => searchWildfires(null, query)}
+          onLocate={searchCurrentLocation}
+          suggest={providers.geocoder.suggest}
+          candidates={candidates}
+          onPickCandidate={pickCandidate}
+          warning={geocodeWarning}
+          loading={loading}
+          locating={locating}
+          error={error}
+          placeholder={t("app.placeholder")}
+        />
       </div>
 
+      {unavailable && (
+        <>
+          <DataUnavailable
+            online={online}
+            onRetry={repeatSearch}
+            onShowDemo={showDemo}
+          />
+          <DataSourcePanel providers={providers} status={sourceStatus} expand />
+        </>
+      )}
+
+      <SavedPlacesDashboard
+        places={places}
+        fires={fires}
+        geocode={providers.geocoder.geocode}
+        currentLocation={userLocation}
+        onAdd={addPlace}
+        onUpdate={updatePlace}
+        onRemove={removePlace}
+        onMove={movePlace}
+        onCheck={checkPlace}
+        riskRules={riskRules}
+        demo={demoShown}
+      />
+
+      <AssetsPanel
+        assets={assets}
+        fires={fires}
+        riskRules={riskRules}
+        demo={demoShown}
+        onImport={replaceAssets}
+        onClear={clearAssets}
+      />
+
+      <EvacuationPanel evacuation={evacuation} />
+
+      <PossibleNewFires
+        clusters={possibleNewFires}
+        location={userLocation}
+        onShowMap={() => setCurrentPage("map")}
+      />
+
       {results.length > 0 && (
         <div className="space-y-4">
           <h2 className="text-2xl font-bold text-gray-800 mb-4">
-            Active Wildfires Found: {results.length}
+            {t("app.found", { count: shownResults.length })}
+            {shownResults.length < results.length && (
+              <span className="text-base font-normal text-gray-500">
+                {" "}
+                {t("app.foundOf", { total: results.length })}
+              </span>
+            )}
           </h2>
-          {results.map((fire, index) => {
-            const risk = getRiskLevel(fire.distance, fire.STATUS);
+          <ListFilters
+            filters={filters}
+            sort={sort}
+            choices={filterChoices}
+            onFiltersChange={setFilters}
+            onSortChange={setSort}
+          />
+          {/* Recorded fires must not leave the app passing for live data */}
+          {!demoShown && (
+            <ExportButtons
+              fires={shownResults}
+              hotspots={mapHotspots}
+              location={userLocation}
+              dataTime={dataUpdated}
+              roadDistances={roadDistances}
+              riskRules={riskRules}
+            />
+          )}
+          {shownResults.length === 0 && (
+            <p className="text-gray-600">{t("app.noMatches")}</p>
+          )}
+          {ratedResults.map(({ fire, risk }, index) => {
             return (
               <div
                 key={fire.FIREID || index}
-                className="bg-white rounded-lg p-6 border border-gray-200 shadow-sm hover:shadow-md transition-shadow"
+                className="relative overflow-hidden bg-white rounded-lg p-6 border border-gray-200 shadow-sm hover:shadow-md transition-shadow"
               >
+                {fire.demo && <DemoWatermark />}
                 <div className="flex items-start justify-between mb-4 flex-col sm:flex-row">
                   <div className="mb-2 sm:mb-0">
                     <h3 className="text-lg font-semibold text-gray-800">
-                      {fire.NAME || `Fire #${fire.PROVFIRENUM || fire.FIREID}`}
+                      {getFireName(fire, t)}
                     </h3>
                     <p className="text-gray-600 text-sm">
-                      ID: {fire.FIREID} | Region: {fire.REGION || "Unknown"}
+                      {t("detail.idRegion", {
+                        id: fire.FIREID,
+                        region: fire.REGION || t("app.unknown"),
+                      })}
                     </p>
                   </div>
                   <div className="text-right">
                     <div className="text-2xl font-bold text-gray-800">
-                      {fire.distance.toFixed(1)} km
+                      {t("detail.km", { distance: fire.distance })}
                     </div>
-                    <div className="text-sm text-gray-500">away</div>
+                    <div className="text-sm text-gray-500">
+                      {fire.distanceTo === "edge"
+                        ? t("app.fromEdge")
+                        : t("app.fromCentre")}
+                    </div>
+                    {roadDistances[fire.FIREID] && (
+                      <div className="text-sm text-gray-500">
+                        🚗{" "}
+                        {t("app.drive", {
+                          distance: roadDistances[fire.FIREID].distance,
+                          duration: formatDuration(
+                            roadDistances[fire.FIREID].duration,
+                            t
+                          ),
+                        })}
+                      </div>
+                    )}
                     <div
                       className={`text-xs font-medium px-2 py-1 rounded-full mt-1 border ${risk.color}`}
                     >
-                      {risk.level}
+                      {t(`risk.level.${risk.rank}`)}
                     </div>
+                    {fire.wind && (
+                      <div className="text-xs text-gray-500 mt-1">
+                        {risk.downwind ? `🌬️ ${t("app.downwind")} · ` : ""}
+                        {t("app.wind", {
+                          speed: Math.round(fire.wind.speed),
+                          direction: t(
+                            `compass.${compassDirection(fire.wind.direction)}`
+                          ),
+                        })}
+                      </div>
+                    )}
                   </div>
                 </div>
+                <p
+                  className={`mb-4 text-sm ${
+                    risk.rank > 0 ? "text-orange-800" : "text-gray-600"
+                  }`}
+                >
+                  {explainRisk(risk, t)}
+                </p>
                 <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
                   <div>
                     <span className="text-sm font-medium text-gray-500">
-                      Status:
+                      {t("app.status")}
                     </span>
-                    <div
-                      className={`inline-block px-2 py-1 rounded text-sm font-semibold border ${getStatusColor(
-                        fire.STATUS
-                      )} mt-1`}
-                    >
-                      {getStatusText(fire.STATUS)}
+                    <div className="mt-1">
+                      <StatusBadge status={fire.STATUS} />
                     </div>
                   </div>
                   <div>
                     <span className="text-sm font-medium text-gray-500">
-                      Area:
+                      {t("app.area")}
                     </span>
                     <div className="font-semibold text-gray-800">
-                      {fire.AREAEST ? `${fire.AREAEST} hectares` : "TBD"}
+                      {fire.AREAEST
+                        ? t("fire.area", { area: fire.AREAEST })
+                        : t("app.tbd")}
                     </div>
                   </div>
                   <div>
                     <span className="text-sm font-medium text-gray-500">
-                      Start Date:
+                      {t("app.startDate")}
                     </span>
                     <div className="font-semibold text-gray-800">
-                      {fire.FIREDATE
-                        ? new Date(fire.FIREDATE).toLocaleDateString()
-                        : "Unknown"}
+                      {fire.FIREDATE ? t.date(fire.FIREDATE) : t("app.unknown")}
                     </div>
                   </div>
                   <div>
                     <span className="text-sm font-medium text-gray-500">
-                      Cause:
+                      {t("app.cause")}
                     </span>
                     <div className="font-semibold text-gray-800">
-                      {fire.CAUSE || "Unknown"}
+                      {fire.CAUSE || t("app.unknown")}
                     </div>
                   </div>
                 </div>
-                {fire.distance < 50 && fire.STATUS === "OC" && (
+                {risk.alert && (
                   <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
                     <div className="flex items-start gap-2 text-red-800">
                       <span className="text-xl">🚨</span>
                       <div>
-                        <p className="font-medium">Critical Alert</p>
+                        <p className="font-medium">{t("alert.title")}</p>
                         <p className="text-sm">
-                          Out-of-control fire within 50km. Monitor emergency
-                          alerts, prepare evacuation plan, and follow official
-                          instructions.
+                          {t("alert.message", {
+                            level: t(`risk.level.${risk.rank}`).toLowerCase(),
+                          })}
                         </p>
                       </div>
                     </div>
                   </div>
                 )}
+                <button
+                  onClick={() => openFire(fire.FIREID)}
+                  className="mt-4 text-sm text-blue-700 underline hover:text-blue-900"
+                >
+                  {t("app.viewDetails")}
+                </button>
               </div>
             );
           })}
         </div>
       )}
 
-      {results.length === 0 && !loading && !error && (
+      {results.length === 0 && !loading && !error && !unavailable && (
         <div className="text-center py-8">
           <span className="text-6xl mb-4 block">🌲</span>
-          <p className="text-gray-600">
-            Enter an address to check for nearby wildfires
-          </p>
+          <p className="text-gray-600">{t("app.empty")}</p>
         </div>
       )}
 
+      <div className="mt-8">
+        <MonitorPanel
+          settings={monitor.settings}
+          onSettingsChange={monitor.updateSettings}
+          onEnabledChange={monitor.setEnabled}
+          events={monitor.events}
+          onClearEvents={monitor.clearEvents}
+          lastChecked={monitor.lastChecked}
+          permission={monitor.permission}
+          hasLocation={!!userLocation}
+        />
+        <RiskSettings
+          rules={riskRules}
+          deployment={deploymentRiskRules}
+          customized={riskRulesCustomized}
+          onChange={updateRiskRules}
+          onReset={resetRiskRules}
+        />
+        {!unavailable && (
+          <DataSourcePanel providers={providers} status={sourceStatus} />
+        )}
+      </div>
+
       <div className="mt-8 bg-blue-50 rounded-lg p-6 border border-blue-200">
         <h3 className="text-lg font-semibold text-blue-800 mb-3">
-          About This Tool
+          {t("about.title")}
         </h3>
         <div className="grid md:grid-cols-2 gap-4 text-blue-700">
           <div>
-            <h4 className="font-medium mb-2">How it works:</h4>
+            <h4 className="font-medium mb-2">{t("about.howItWorks")}</h4>
             <ul className="space-y-1 text-sm">
-              <li>• Uses official NL government wildfire data</li>
-              <li>• Calculates straight-line distances</li>
-              <li>• Updates data every 10 minutes</li>
-              <li>• Works entirely in your browser</li>
+              {HOW_IT_WORKS.map((key) => (
+                <li key={key}>• {t(`about.${key}`)}</li>
+              ))}
             </ul>
           </div>
           <div>
-            <h4 className="font-medium mb-2">Important notes:</h4>
+            <h4 className="font-medium mb-2">{t("about.notes")}</h4>
             <ul className="space-y-1 text-sm">
-              <li>• Distances are straight-line, not road distances</li>
-              <li>• Weather and terrain affect actual fire spread</li>
-              <li>• Always follow official emergency instructions</li>
-              <li>• Contact authorities for evacuation guidance</li>
-              <li>• Map also shows satellite thermal hotspots for context</li>
-              <li>
-                • Check for official advisories on the{" "}
-                <a
-                  href="https://www.gov.nl.ca/alerts/"
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="underline font-medium hover:text-blue-900"
-                >
-                  NL Public Alerts
-                </a>{" "}
-                page.
-              </li>
-              <li>
-                • For up-to-date info, see the{" "}
-                <a
-                  href="https://www.gov.nl.ca/releases/wildfire-news/"
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="underline font-medium hover:text-blue-900"
-                >
-                  latest wildfire news
-                </a>
-                .
-              </li>
-              <li>
-                • Know{" "}
-                <a
-                  href="https://www.getprepared.gc.ca/cnt/hzd/wldfrs-prp-en.aspx"
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="underline font-medium hover:text-blue-900"
-                >
-                  what to do in a wildfire
-                </a>
-                .
-              </li>
+              {NOTES.map((key) => (
+                <li key={key}>• {t(`about.${key}`)}</li>
+              ))}
+              {LINKS.map((key) => (
+                <li key={key}>
+                  • {t(`about.${key}.before`)}{" "}
+                  <a
+                    href={t(`about.${key}.url`)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="underline font-medium hover:text-blue-900"
+                  >
+                    {t(`about.${key}.link`)}
+                  </a>
+                  {t(`about.${key}.after`)}
+                </li>
+              ))}
             </ul>
           </div>
         </div>
@@ -952,4 +1361,14 @@ const WildfireProximityApp = () => {
   );
 };
 
+// Every string shown by the app comes from the chosen language's catalog
+const WildfireProximityApp = ({ providers = defaultProviders }) => {
+  const i18n = useLanguage();
+  return (
+    <I18nContext.Provider value={i18n}>
+      <WildfireProximity providers={providers} />
+    </I18nContext.Provider>
+  );
+};
+
 export default WildfireProximityApp;
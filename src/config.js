@@ -0,0 +1,55 @@
+// Runtime configuration. Everything can be overridden with REACT_APP_*
+// variables at build time, e.g. to point the app at a local mock ArcGIS
+// server or to run it entirely on the recorded fixtures.
+const env = process.env;
+
+const parseJson = (name) => {
+  try {
+    return env[name] ? JSON.parse(env[name]) : {};
+  } catch (err) {
+    console.error(`Invalid JSON in ${name}:`, err);
+    return {};
+  }
+};
+
+const config = {
+  // Which adapter to use for each kind of data ("fixture" replays the
+  // recorded responses in src/services/fixtures)
+  sources: {
+    fires: env.REACT_APP_FIRE_SOURCE || "arcgis",
+    hotspots: env.REACT_APP_HOTSPOT_SOURCE || "arcgis",
+    geocoder: env.REACT_APP_GEOCODER_SOURCE || "arcgis",
+    weather: env.REACT_APP_WEATHER_SOURCE || "open-meteo",
+    routing: env.REACT_APP_ROUTING_SOURCE || "osrm",
+  },
+  arcgis: {
+    firesUrl:
+      env.REACT_APP_ARCGIS_FIRES_URL ||
+      "https://services8.arcgis.com/aCyQID5qQcyrJMm2/arcgis/rest/services/FFA_Wildfire/FeatureServer/1",
+    // Fire perimeter polygons published alongside the fire points
+    perimetersUrl:
+      env.REACT_APP_ARCGIS_PERIMETERS_URL ||
+      "https://services8.arcgis.com/aCyQID5qQcyrJMm2/arcgis/rest/services/FFA_Wildfire/FeatureServer/0",
+    hotspotsUrl:
+      env.REACT_APP_ARCGIS_HOTSPOTS_URL ||
+      "https://services9.arcgis.com/RHVPKKiFTONKtxq3/arcgis/rest/services/Satellite_VIIRS_Thermal_Hotspots_and_Fire_Activity/FeatureServer/0",
+    geocoderUrl:
+      env.REACT_APP_ARCGIS_GEOCODER_URL ||
+      "https://geocode.arcgis.com/arcgis/rest/services/World/GeocodeServer",
+  },
+  openMeteo: {
+    url:
+      env.REACT_APP_OPEN_METEO_URL || "https://api.open-meteo.com/v1/forecast",
+  },
+  // Any OSRM-compatible server, e.g. a local instance for tests
+  osrm: {
+    url: env.REACT_APP_OSRM_URL || "https://router.project-osrm.org",
+  },
+  // Deployment overrides for the risk rules in src/utils/risk.js, e.g.
+  // REACT_APP_RISK_RULES='{"distances":{"extreme":15},"largeFire":500}'
+  risk: parseJson("REACT_APP_RISK_RULES"),
+  // Bounding box used to limit hotspot queries to Newfoundland & Labrador
+  extent: { xmin: -60, ymin: 46, xmax: -52, ymax: 52 },
+};
+
+export default config;
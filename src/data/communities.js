@@ -0,0 +1,47 @@
+// Communities reachable by road that can serve as evacuation destinations.
+const communities = [
+  { name: "St. John's", lat: 47.5615, lng: -52.7126 },
+  { name: "Mount Pearl", lat: 47.5189, lng: -52.8058 },
+  { name: "Paradise", lat: 47.5333, lng: -52.8667 },
+  { name: "Conception Bay South", lat: 47.5167, lng: -52.9833 },
+  { name: "Torbay", lat: 47.6667, lng: -52.7333 },
+  { name: "Holyrood", lat: 47.3883, lng: -53.1353 },
+  { name: "Whitbourne", lat: 47.4217, lng: -53.5289 },
+  { name: "Bay Roberts", lat: 47.5847, lng: -53.2783 },
+  { name: "Harbour Grace", lat: 47.705, lng: -53.2144 },
+  { name: "Carbonear", lat: 47.7328, lng: -53.2158 },
+  { name: "Placentia", lat: 47.2417, lng: -53.9625 },
+  { name: "Arnold's Cove", lat: 47.75, lng: -54.0 },
+  { name: "Clarenville", lat: 48.1667, lng: -53.9656 },
+  { name: "Trinity", lat: 48.3667, lng: -53.3583 },
+  { name: "Bonavista", lat: 48.65, lng: -53.113 },
+  { name: "Glovertown", lat: 48.6833, lng: -54.0167 },
+  { name: "Gambo", lat: 48.7833, lng: -54.2167 },
+  { name: "Marystown", lat: 47.1667, lng: -55.15 },
+  { name: "Grand Bank", lat: 47.1, lng: -55.7667 },
+  { name: "Harbour Breton", lat: 47.4833, lng: -55.8333 },
+  { name: "Gander", lat: 48.9566, lng: -54.6089 },
+  { name: "Musgrave Harbour", lat: 49.45, lng: -53.9667 },
+  { name: "Twillingate", lat: 49.65, lng: -54.7667 },
+  { name: "Lewisporte", lat: 49.25, lng: -55.05 },
+  { name: "Botwood", lat: 49.1431, lng: -55.3506 },
+  { name: "Bishop's Falls", lat: 49.0167, lng: -55.5 },
+  { name: "Grand Falls-Windsor", lat: 48.9333, lng: -55.6667 },
+  { name: "Springdale", lat: 49.5, lng: -56.0667 },
+  { name: "Baie Verte", lat: 49.9333, lng: -56.1833 },
+  { name: "Deer Lake", lat: 49.1744, lng: -57.4269 },
+  { name: "Pasadena", lat: 49.0167, lng: -57.6 },
+  { name: "Corner Brook", lat: 48.9508, lng: -57.9525 },
+  { name: "Rocky Harbour", lat: 49.65, lng: -57.9167 },
+  { name: "Stephenville", lat: 48.55, lng: -58.5833 },
+  { name: "Burgeo", lat: 47.6167, lng: -57.6167 },
+  { name: "Channel-Port aux Basques", lat: 47.5667, lng: -59.1333 },
+  { name: "Port au Choix", lat: 50.7167, lng: -57.3667 },
+  { name: "St. Anthony", lat: 51.3667, lng: -55.5833 },
+  { name: "L'Anse au Loup", lat: 51.5167, lng: -56.8333 },
+  { name: "Happy Valley-Goose Bay", lat: 53.3017, lng: -60.3261 },
+  { name: "Churchill Falls", lat: 53.5333, lng: -64.0 },
+  { name: "Labrador City", lat: 52.9463, lng: -66.9114 },
+];
+
+export default communities;
@@ -0,0 +1,34 @@
+import { useState, useEffect } from "react";
+
+const STORAGE_KEY = "wildfireAssets";
+
+const loadAssets = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+  } catch (err) {
+    console.error("Assets error:", err);
+    return [];
+  }
+};
+
+// Imported assets ({ id, name, type, lat, lng }) kept in localStorage. An
+// import replaces the previous set.
+const useAssets = () => {
+  const [assets, setAssets] = useState(loadAssets);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(assets));
+    } catch (err) {
+      console.error("Assets storage error:", err);
+    }
+  }, [assets]);
+
+  return {
+    assets,
+    replaceAssets: setAssets,
+    clearAssets: () => setAssets([]),
+  };
+};
+
+export default useAssets;
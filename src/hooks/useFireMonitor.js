@@ -0,0 +1,154 @@
+import { useState, useEffect, useRef } from "react";
+import { diffSnapshots } from "../utils/monitor";
+
+const SETTINGS_KEY = "wildfireMonitorSettings";
+const EVENTS_KEY = "wildfireMonitorEvents";
+const MAX_EVENTS = 50;
+
+const DEFAULT_SETTINGS = { enabled: false, intervalMinutes: 10, radius: 50 };
+
+const load = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (err) {
+    console.error("Monitor storage error:", err);
+    return fallback;
+  }
+};
+
+const save = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.error("Monitor storage error:", err);
+  }
+};
+
+const notificationsSupported = () => "Notification" in window;
+
+// Shows an event as a system notification, through the service worker
+// when one is registered: Android Chrome only allows those, and
+// `new Notification` can throw elsewhere too. Failing never loses the event.
+const notify = async (event) => {
+  if (!notificationsSupported() || Notification.permission !== "granted") {
+    return;
+  }
+  const options = { body: event.message, tag: event.id };
+  try {
+    const registration =
+      "serviceWorker" in navigator &&
+      (await navigator.serviceWorker.getRegistration());
+    if (registration) {
+      await registration.showNotification(event.title, options);
+    } else {
+      new Notification(event.title, options);
+    }
+  } catch (err) {
+    console.error("Notification error:", err);
+  }
+};
+
+// Opt-in monitoring mode. While enabled, polls `fetchFires` on a schedule,
+// compares each snapshot with the previous one and records the changes as
+// events, raising a browser notification for each one. Events are written
+// with the translator `t`, in the language chosen when they happen.
+const useFireMonitor = ({ fetchFires, location, riskRules, t }) => {
+  const [settings, setSettings] = useState(() => ({
+    ...DEFAULT_SETTINGS,
+    ...load(SETTINGS_KEY, {}),
+  }));
+  const [events, setEvents] = useState(() => load(EVENTS_KEY, []));
+  const [lastChecked, setLastChecked] = useState(null);
+  const [permission, setPermission] = useState(() =>
+    notificationsSupported() ? Notification.permission : "unsupported"
+  );
+
+  // Polls outlive renders, so they read the latest values through refs
+  const snapshotRef = useRef(null);
+  const fetchRef = useRef(fetchFires);
+  const locationRef = useRef(location);
+  const riskRulesRef = useRef(riskRules);
+  const translatorRef = useRef(t);
+  fetchRef.current = fetchFires;
+  locationRef.current = location;
+  riskRulesRef.current = riskRules;
+  translatorRef.current = t;
+
+  useEffect(() => save(SETTINGS_KEY, settings), [settings]);
+  useEffect(() => save(EVENTS_KEY, events), [events]);
+
+  useEffect(() => {
+    if (!settings.enabled) {
+      snapshotRef.current = null;
+      return;
+    }
+
+    let cancelled = false;
+    const poll = async () => {
+      try {
+        const fires = await fetchRef.current();
+        if (cancelled) return;
+
+        const previous = snapshotRef.current;
+        snapshotRef.current = fires;
+        setLastChecked(new Date());
+
+        // The first poll only sets the baseline
+        if (!previous) return;
+
+        const changes = diffSnapshots(previous, fires, {
+          location: locationRef.current,
+          radius: settings.radius,
+          riskRules: riskRulesRef.current,
+          t: translatorRef.current,
+        });
+        if (changes.length > 0) {
+          setEvents((current) =>
+            [...changes].reverse().concat(current).slice(0, MAX_EVENTS)
+          );
+          changes.forEach(notify);
+        }
+      } catch (err) {
+        console.error("Monitoring poll failed:", err);
+      }
+    };
+
+    poll();
+    const interval = setInterval(poll, settings.intervalMinutes * 60 * 1000);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [settings.enabled, settings.intervalMinutes, settings.radius]);
+
+  const updateSettings = (changes) =>
+    setSettings((current) => ({ ...current, ...changes }));
+
+  // Asks for notification permission the first time monitoring is enabled
+  const setEnabled = async (enabled) => {
+    if (
+      enabled &&
+      notificationsSupported() &&
+      Notification.permission === "default"
+    ) {
+      setPermission(await Notification.requestPermission());
+    }
+    updateSettings({ enabled });
+  };
+
+  const clearEvents = () => setEvents([]);
+
+  return {
+    settings,
+    updateSettings,
+    setEnabled,
+    events,
+    clearEvents,
+    lastChecked,
+    permission,
+  };
+};
+
+export default useFireMonitor;
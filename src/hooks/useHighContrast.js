@@ -0,0 +1,35 @@
+import { useState, useEffect } from "react";
+
+const STORAGE_KEY = "wildfireHighContrast";
+
+// Saved choice first, then the system's "more contrast" setting
+const loadHighContrast = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved !== null) return saved === "true";
+  } catch (err) {
+    console.error("Contrast error:", err);
+  }
+  return Boolean(
+    window.matchMedia && window.matchMedia("(prefers-contrast: more)").matches
+  );
+};
+
+// The high-contrast theme, saved in localStorage. It is applied as a
+// `high-contrast` class on the root element; see index.css.
+const useHighContrast = () => {
+  const [highContrast, setHighContrast] = useState(loadHighContrast);
+
+  useEffect(() => {
+    document.documentElement.classList.toggle("high-contrast", highContrast);
+    try {
+      localStorage.setItem(STORAGE_KEY, String(highContrast));
+    } catch (err) {
+      console.error("Contrast storage error:", err);
+    }
+  }, [highContrast]);
+
+  return [highContrast, setHighContrast];
+};
+
+export default useHighContrast;
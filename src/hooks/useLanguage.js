@@ -0,0 +1,35 @@
+import { useState, useEffect, useMemo } from "react";
+import { createTranslator, detectLanguage, LANGUAGES } from "../i18n/translate";
+
+const STORAGE_KEY = "wildfireLanguage";
+
+const loadLanguage = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved in LANGUAGES) return saved;
+  } catch (err) {
+    console.error("Language error:", err);
+  }
+  return detectLanguage(navigator.languages || [navigator.language || ""]);
+};
+
+// The user's language, saved in localStorage. The first visit follows the
+// browser's preferences. Also keeps the page's lang attribute in step so
+// screen readers pronounce the text correctly.
+const useLanguage = () => {
+  const [language, setLanguage] = useState(loadLanguage);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+    try {
+      localStorage.setItem(STORAGE_KEY, language);
+    } catch (err) {
+      console.error("Language storage error:", err);
+    }
+  }, [language]);
+
+  const t = useMemo(() => createTranslator(language), [language]);
+  return { language, setLanguage, t };
+};
+
+export default useLanguage;
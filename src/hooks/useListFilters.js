@@ -0,0 +1,42 @@
+import { useEffect } from "react";
+import { hasFilterParams } from "../utils/urlState";
+
+const STORAGE_KEY = "wildfireListFilters";
+
+// List filters and sort order. They live in the URL so a filtered view can
+// be shared, and are saved in localStorage so they carry over to the next
+// visit. A link that sets its own filters wins over the saved ones.
+const useListFilters = (urlState, navigate) => {
+  useEffect(() => {
+    if (hasFilterParams(window.location.search)) return;
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+      if (saved) navigate(saved, { replace: true });
+    } catch (err) {
+      console.error("Saved filters error:", err);
+    }
+  }, [navigate]);
+
+  const update = (changes) => {
+    const next = {
+      filters: urlState.filters,
+      sort: urlState.sort,
+      ...changes,
+    };
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    } catch (err) {
+      console.error("Saved filters storage error:", err);
+    }
+    navigate(next, { replace: true });
+  };
+
+  return {
+    filters: urlState.filters,
+    sort: urlState.sort,
+    setFilters: (filters) => update({ filters }),
+    setSort: (sort) => update({ sort }),
+  };
+};
+
+export default useListFilters;
@@ -0,0 +1,55 @@
+import { useState, useEffect, useCallback } from "react";
+
+const STORAGE_KEY = "wildfireMapLayers";
+
+// The base map and which overlays are switched on. Overlays are named as
+// in WildfireMap's OVERLAYS.
+export const DEFAULT_MAP_LAYERS = {
+  base: "streets",
+  fires: true,
+  areas: true,
+  downwind: true,
+  hotspots: true,
+  newFires: true,
+  location: true,
+  route: true,
+  places: true,
+  assets: true,
+};
+
+const loadLayers = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return { ...DEFAULT_MAP_LAYERS, ...saved };
+  } catch (err) {
+    console.error("Map layers error:", err);
+    return DEFAULT_MAP_LAYERS;
+  }
+};
+
+// The map's layer choices, saved in localStorage so every map in the app
+// opens the way the user last left one. Returns [layers, setLayer] where
+// setLayer(name, value) changes one of them.
+const useMapLayers = () => {
+  const [layers, setLayers] = useState(loadLayers);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(layers));
+    } catch (err) {
+      console.error("Map layers storage error:", err);
+    }
+  }, [layers]);
+
+  const setLayer = useCallback(
+    (name, value) =>
+      setLayers((current) =>
+        current[name] === value ? current : { ...current, [name]: value }
+      ),
+    []
+  );
+
+  return [layers, setLayer];
+};
+
+export default useMapLayers;
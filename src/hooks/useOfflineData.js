@@ -0,0 +1,44 @@
+import { useState, useEffect } from "react";
+
+// Tracks connectivity and whether the service worker answered data requests
+// from its offline cache. `staleSince` is the fetch time of the oldest data
+// currently being served from cache, or null when everything is live.
+const useOfflineData = () => {
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [responses, setResponses] = useState({});
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+    const handleMessage = (event) => {
+      const message = event.data;
+      if (message && message.type === "data-response") {
+        const path = new URL(message.url).pathname;
+        setResponses((current) => ({ ...current, [path]: message }));
+      }
+    };
+
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    if ("serviceWorker" in navigator) {
+      navigator.serviceWorker.addEventListener("message", handleMessage);
+    }
+
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+      if ("serviceWorker" in navigator) {
+        navigator.serviceWorker.removeEventListener("message", handleMessage);
+      }
+    };
+  }, []);
+
+  const cachedTimes = Object.values(responses)
+    .filter((response) => response.fromCache)
+    .map((response) => response.cachedAt);
+  const staleSince = cachedTimes.length > 0 ? Math.min(...cachedTimes) : null;
+
+  return { online, staleSince };
+};
+
+export default useOfflineData;
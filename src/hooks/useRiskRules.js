@@ -0,0 +1,50 @@
+import { useState, useEffect, useMemo } from "react";
+import config from "../config";
+import { mergeRiskRules, overrideRiskRules } from "../utils/risk";
+
+const STORAGE_KEY = "wildfireRiskRules";
+
+const loadOverrides = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+  } catch (err) {
+    console.error("Risk rules error:", err);
+    return {};
+  }
+};
+
+// Risk rules in effect: the defaults, then the deployment's config.risk, then
+// the user's own overrides, which are kept in localStorage. `deployment` is
+// what resetting goes back to.
+const useRiskRules = (deploymentRules = config.risk) => {
+  const [overrides, setOverrides] = useState(loadOverrides);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+    } catch (err) {
+      console.error("Risk rules storage error:", err);
+    }
+  }, [overrides]);
+
+  // Kept stable between renders so the map only redraws when they change
+  const deployment = useMemo(
+    () => mergeRiskRules(deploymentRules),
+    [deploymentRules]
+  );
+  const rules = useMemo(
+    () => mergeRiskRules(deploymentRules, overrides),
+    [deploymentRules, overrides]
+  );
+
+  return {
+    rules,
+    deployment,
+    customized: Object.keys(overrides).length > 0,
+    updateRules: (changes) =>
+      setOverrides((current) => overrideRiskRules(current, changes)),
+    resetRules: () => setOverrides({}),
+  };
+};
+
+export default useRiskRules;
@@ -0,0 +1,59 @@
+import { useState, useEffect } from "react";
+
+const STORAGE_KEY = "wildfireSavedPlaces";
+
+const loadPlaces = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+  } catch (err) {
+    console.error("Saved places error:", err);
+    return [];
+  }
+};
+
+// Named places ({ id, name, address, lat, lng }) kept in localStorage, in
+// the order the user arranged them.
+const useSavedPlaces = () => {
+  const [places, setPlaces] = useState(loadPlaces);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(places));
+    } catch (err) {
+      console.error("Saved places storage error:", err);
+    }
+  }, [places]);
+
+  const addPlace = (place) =>
+    setPlaces((current) => [
+      ...current,
+      { ...place, id: `place-${Date.now()}-${current.length}` },
+    ]);
+
+  const updatePlace = (id, changes) =>
+    setPlaces((current) =>
+      current.map((place) =>
+        place.id === id ? { ...place, ...changes } : place
+      )
+    );
+
+  const removePlace = (id) =>
+    setPlaces((current) => current.filter((place) => place.id !== id));
+
+  // Moves a place up (-1) or down (+1) in the list
+  const movePlace = (id, offset) =>
+    setPlaces((current) => {
+      const from = current.findIndex((place) => place.id === id);
+      const to = from + offset;
+      if (from < 0 || to < 0 || to >= current.length) {
+        return current;
+      }
+      const next = [...current];
+      next.splice(to, 0, next.splice(from, 1)[0]);
+      return next;
+    });
+
+  return { places, addPlace, updatePlace, removePlace, movePlace };
+};
+
+export default useSavedPlaces;
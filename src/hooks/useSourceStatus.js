@@ -0,0 +1,82 @@
+import { useState, useEffect, useCallback } from "react";
+import { isAbortError } from "../services/http";
+
+const STORAGE_KEY = "wildfireSourceStatus";
+
+// The data sources whose requests are tracked, in the order they're listed
+export const DATA_SOURCES = [
+  "fires",
+  "perimeters",
+  "hotspots",
+  "weather",
+  "geocoder",
+  "routing",
+];
+
+const loadStatus = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+  } catch (err) {
+    console.error("Source status error:", err);
+    return {};
+  }
+};
+
+// A source is failing when its last request failed
+export const isFailing = (status) =>
+  Boolean(
+    status &&
+      status.lastError &&
+      (!status.lastSuccess || status.lastError.time > status.lastSuccess)
+  );
+
+// When each data source last answered and last failed, as
+// { [source]: { lastSuccess, lastError: { message, time } } } with times in
+// ms, kept in localStorage so it survives reloads. track(source, promise)
+// records the outcome of a request and returns the promise unchanged.
+// Cancelled requests don't count, and a geocoder answering that an address
+// doesn't exist is a success.
+const useSourceStatus = () => {
+  const [status, setStatus] = useState(loadStatus);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(status));
+    } catch (err) {
+      console.error("Source status storage error:", err);
+    }
+  }, [status]);
+
+  const record = useCallback(
+    (source, update) =>
+      setStatus((current) => ({
+        ...current,
+        [source]: { ...current[source], ...update },
+      })),
+    []
+  );
+
+  const track = useCallback(
+    (source, promise) => {
+      promise.then(
+        () => record(source, { lastSuccess: Date.now() }),
+        (err) => {
+          if (isAbortError(err)) return;
+          if (err.notFound) {
+            record(source, { lastSuccess: Date.now() });
+          } else {
+            record(source, {
+              lastError: { message: err.message, time: Date.now() },
+            });
+          }
+        }
+      );
+      return promise;
+    },
+    [record]
+  );
+
+  return { status, track };
+};
+
+export default useSourceStatus;
@@ -0,0 +1,28 @@
+import { useState, useEffect, useCallback } from "react";
+import { parseAppUrl, buildAppUrl } from "../utils/urlState";
+
+// Keeps the page, searched location and filters in the address bar so a
+// view can be shared or bookmarked. `navigate` merges the given changes into
+// the current URL state and pushes a history entry unless `replace` is set.
+const useUrlState = () => {
+  const [urlState, setUrlState] = useState(() => parseAppUrl(window.location));
+
+  useEffect(() => {
+    const handlePopState = () => setUrlState(parseAppUrl(window.location));
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  const navigate = useCallback((changes, { replace = false } = {}) => {
+    const current = parseAppUrl(window.location);
+    const url = buildAppUrl({ ...current, ...changes });
+    if (url !== window.location.pathname + window.location.search) {
+      window.history[replace ? "replaceState" : "pushState"](null, "", url);
+    }
+    setUrlState(parseAppUrl(window.location));
+  }, []);
+
+  return [urlState, navigate];
+};
+
+export default useUrlState;
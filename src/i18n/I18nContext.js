@@ -0,0 +1,12 @@
+import { createContext, useContext } from "react";
+import { DEFAULT_LANGUAGE, english } from "./translate";
+
+// The chosen language for every component under WildfireProximityApp:
+// { language, setLanguage, t }. Outside the app it stays in English.
+export const I18nContext = createContext({
+  language: DEFAULT_LANGUAGE,
+  setLanguage: () => {},
+  t: english,
+});
+
+export const useI18n = () => useContext(I18nContext);
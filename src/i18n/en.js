@@ -0,0 +1,529 @@
+// English messages. Keys are grouped by where they are used; every key here
+// needs a counterpart in fr.js. Placeholders are {name}, or {name:1} for a
+// number with a fixed number of decimals. Messages with a "one" and an
+// "other" form are chosen by the {count} value.
+const en = {
+  // Fire status codes
+  "status.OC": "Out-of-Control",
+  "status.BH": "Being Held",
+  "status.UC": "Under Control",
+  "status.O": "Out",
+  "status.unknown": "Unknown",
+
+  // Fire records
+  "fire.unnamed": "Fire #{number}",
+  "fire.area": "{area} hectares",
+  "field.FIREID": "Fire ID",
+  "field.NAME": "Name",
+  "field.PROVFIRENUM": "Provincial fire number",
+  "field.STATUS": "Status",
+  "field.AREAEST": "Estimated area",
+  "field.FIREDATE": "Start date",
+  "field.CAUSE": "Cause",
+  "field.REGION": "Region",
+  "field.DISTRICT": "District",
+  "field.LATITUDE": "Latitude",
+  "field.LONGITUDE": "Longitude",
+  "field.OBJECTID": "Record ID",
+
+  // Compass points
+  "compass.N": "N",
+  "compass.NNE": "NNE",
+  "compass.NE": "NE",
+  "compass.ENE": "ENE",
+  "compass.E": "E",
+  "compass.ESE": "ESE",
+  "compass.SE": "SE",
+  "compass.SSE": "SSE",
+  "compass.S": "S",
+  "compass.SSW": "SSW",
+  "compass.SW": "SW",
+  "compass.WSW": "WSW",
+  "compass.W": "W",
+  "compass.WNW": "WNW",
+  "compass.NW": "NW",
+  "compass.NNW": "NNW",
+
+  // Times and durations
+  "time.justNow": "just now",
+  "time.minutesAgo": {
+    one: "{count} minute ago",
+    other: "{count} minutes ago",
+  },
+  "time.hoursAgo": { one: "{count} hour ago", other: "{count} hours ago" },
+  "time.daysAgo": { one: "{count} day ago", other: "{count} days ago" },
+  "time.minutes": "{minutes} min",
+  "time.hoursMinutes": "{hours} h {minutes} min",
+
+  // Risk ratings and the rules behind them
+  "risk.level.0": "MINIMAL RISK",
+  "risk.level.1": "LOW RISK",
+  "risk.level.2": "MODERATE RISK",
+  "risk.level.3": "HIGH RISK",
+  "risk.level.4": "EXTREME RISK",
+  "risk.reason.none": "No fires are reported.",
+  "risk.invalid.order":
+    "Each distance must be larger than the one above it, from extreme to low risk.",
+  "risk.invalid.largeFire": "The large fire size must be a positive number.",
+  "risk.invalid.growthFactor": "Fast growth must be a number of at least 1.",
+  "risk.reason.extreme":
+    "An out-of-control fire is {distance:1} km away, inside the {limit} km extreme-risk distance.",
+  "risk.reason.high":
+    "An out-of-control fire is {distance:1} km away, inside the {limit} km high-risk distance.",
+  "risk.reason.moderate":
+    "An out-of-control fire is {distance:1} km away, inside the {limit} km moderate-risk distance.",
+  "risk.reason.contained":
+    "This fire is {status}, so it is rated minimal risk at any distance.",
+  "risk.reason.watch.OC":
+    "An out-of-control fire is {distance:1} km away, inside the {limit} km watch distance.",
+  "risk.reason.watch.BH":
+    "A fire being held is {distance:1} km away, inside the {limit} km watch distance.",
+  "risk.reason.distant":
+    "The fire is {distance:1} km away, beyond the {limit} km watch distance.",
+  "risk.reason.downwind":
+    "you are downwind of this fire (wind from {direction} at {speed} km/h)",
+  "risk.reason.large-fire":
+    "the fire covers {area} hectares, at least the {limit} hectare large-fire size",
+  "risk.reason.growth":
+    "the fire grew {factor:1} times over in the last day, at least the {limit} times growth limit",
+  "risk.raised": "Raised from {level}: {reason}.",
+  "risk.applies": "{reason}.",
+
+  // Geolocation errors
+  "geolocation.unsupported":
+    "Location services are not supported by this browser.",
+  "geolocation.denied":
+    "Location permission was denied. Enter an address instead.",
+  "geolocation.unavailable":
+    "Your location is currently unavailable. Enter an address instead.",
+  "geolocation.timeout":
+    "Timed out while finding your location. Please try again.",
+  "geolocation.failed": "Could not get location.",
+
+  // Monitoring events
+  "monitor.newFire.title": "New wildfire nearby",
+  "monitor.newFire.message": "{name} ({status}) reported {distance:1} km away.",
+  "monitor.statusChange.title": "Wildfire status changed",
+  "monitor.statusChange.message": "{name} changed from {from} to {to}.",
+  "monitor.riskIncrease.title": "Wildfire risk increased",
+  "monitor.riskIncrease.message": "Risk for {place} rose from {from} to {to}.",
+  "monitor.yourLocation": "your location",
+
+  // Offline banner
+  "offline.liveUnavailable": "Live data is unavailable.",
+  "offline.offline": "You are offline.",
+  "offline.savedData": "Showing saved fire data last updated",
+  "offline.mayHaveChanged": "Conditions may have changed since then.",
+  "offline.willLoad": "Fire data will load when you reconnect.",
+
+  // Evacuation route
+  "evacuation.planning": "Planning a route away from the fires...",
+  "evacuation.none": "No route away from the fires could be found.",
+  "evacuation.failed": "Could not plan an evacuation route right now.",
+  "evacuation.title": "Suggested route away from the fires",
+  "evacuation.driveTo": "Drive to",
+  "evacuation.distance": "{distance:1} km, about {duration}.",
+  "evacuation.nearFire":
+    "This route passes close to an out-of-control fire ({fires}). Check road closures before leaving.",
+  "evacuation.disclaimer":
+    "A suggestion only. Always follow official evacuation orders and routes.",
+
+  // Hotspot confidence levels
+  "confidence.high": "high",
+  "confidence.nominal": "nominal",
+  "confidence.low": "low",
+
+  // Possible new fires
+  "newFires.title": "Possible new fires: {count}",
+  "newFires.intro":
+    "Satellite hotspots that are not near any fire in the provincial data. These are unconfirmed, but are often the earliest sign of a new fire.",
+  "newFires.item": "Possible new fire, not yet in provincial data",
+  "newFires.nearPlace": "{distance} km {direction} of {place}",
+  "newFires.fromSearch": "{distance:1} km from the searched location",
+  "newFires.hotspots": {
+    one: "{count} hotspot, {confidence} confidence",
+    other: "{count} hotspots, {confidence} confidence",
+  },
+  "newFires.lastDetected": "last detected {age}",
+  "newFires.showMap": "Show on map →",
+
+  // Hotspot controls
+  "hotspots.label": "Hotspots:",
+  "hotspots.mode.markers": "Markers",
+  "hotspots.mode.heatmap": "Heatmap",
+  "hotspots.detectedIn": "Detected in the last",
+  "hotspots.anyTime": "any time",
+  "hotspots.hours": { one: "{count} hour", other: "{count} hours" },
+  "hotspots.confidence": "Confidence:",
+  "hotspots.showing": "Showing {shown} of {total}",
+
+  // Risk rule settings
+  "riskSettings.title": "Risk Rules",
+  "riskSettings.customized": "(customized)",
+  "riskSettings.hide": "Hide",
+  "riskSettings.adjust": "Adjust thresholds",
+  "riskSettings.intro":
+    "Out-of-control fires are rated by distance. Fires out of control or being held are low risk inside the watch distance, and all other fires are minimal risk. A rating goes up one level for each of: being downwind, a large fire, and fast growth.",
+  "riskSettings.extreme": "Extreme risk within",
+  "riskSettings.high": "High risk within",
+  "riskSettings.moderate": "Moderate risk within",
+  "riskSettings.watch": "Low risk (watch) within",
+  "riskSettings.default": "Default: {value} km",
+  "riskSettings.largeFire": "Large fire from",
+  "riskSettings.growth": "Fast growth from",
+  "riskSettings.perDay": "× in a day",
+  "riskSettings.off": "off",
+  "riskSettings.alert": "Critical alert from",
+  "riskSettings.reset": "Reset to defaults",
+
+  // Fire list filters and sorting
+  "filters.within": "Within",
+  "filters.anyDistance": "any distance",
+  "filters.km": "{distance} km",
+  "filters.minArea": "Min. area",
+  "filters.hectares": "ha",
+  "filters.cause": "Cause",
+  "filters.region": "Region",
+  "filters.any": "any",
+  "filters.startedFrom": "Started from",
+  "filters.to": "to",
+  "filters.sortBy": "Sort by",
+  "filters.clear": {
+    one: "Clear {count} filter",
+    other: "Clear {count} filters",
+  },
+  "sort.distance": "Distance",
+  "sort.area": "Area",
+  "sort.start": "Start date",
+  "sort.risk": "Risk level",
+
+  // Export buttons. The exported files themselves stay in English.
+  "export.label": "Export:",
+
+  // Monitoring panel
+  "monitor.title": "Monitoring",
+  "monitor.watch": "Watch for changes",
+  "monitor.checkEvery": "Check every",
+  "monitor.alertWithin": "Alert for new fires within",
+  "monitor.km": "km",
+  "monitor.lastChecked": "Last checked: {time}",
+  "monitor.starting": "Starting...",
+  "monitor.needLocation":
+    "Search for a location to get new-fire and risk alerts.",
+  "monitor.unsupported":
+    "This browser does not support notifications. Changes are listed below.",
+  "monitor.blocked":
+    "Browser notifications are blocked. Changes are listed below.",
+  "monitor.clear": "Clear history",
+  "monitor.noChanges": "No changes detected yet.",
+
+  // Saved places
+  "places.title": "My Places",
+  "places.missing": "Please enter a name and an address",
+  "places.searchedLocation": "Searched location",
+  "places.highest": "Highest risk:",
+  "places.at": "at {place}",
+  "places.loading": "Loading fire data...",
+  "places.nearest": "Nearest fire:",
+  "places.away": "{distance:1} km away",
+  "places.fromEdge": "{distance:1} km from its edge",
+  "places.noFires": "No active wildfires",
+  "places.check": "Check",
+  "places.moveUp": "Move {place} up",
+  "places.moveDown": "Move {place} down",
+  "places.edit": "Edit",
+  "places.delete": "Delete",
+  "places.namePlaceholder": "Name (e.g., Cabin)",
+  "places.addressPlaceholder": "Address",
+  "places.saving": "Saving...",
+  "places.save": "Save Changes",
+  "places.add": "Add Place",
+  "places.cancel": "Cancel",
+  "places.saveSearched": "Save the searched location",
+  "places.saveSearchedAs": 'Save the searched location as "{name}"',
+
+  // Imported assets
+  "assets.title": "Our Assets",
+  "assets.import": "Import GeoJSON or CSV",
+  "assets.removeAll": "Remove all",
+  "assets.intro":
+    "Upload a CSV with name, lat and lng columns, or a GeoJSON file of points, to rank every site by the threat from nearby fires.",
+  "assets.readFailed": "Could not read the file.",
+  "assets.noPoints": "No points with valid coordinates were found.",
+  "assets.error.empty": "The file is empty.",
+  "assets.error.noCoordinates":
+    "The CSV needs latitude and longitude columns (e.g. lat and lng).",
+  "assets.error.notGeoJson": "The file is not a GeoJSON feature list.",
+  "assets.error.invalidJson": "The file is not valid JSON.",
+  "assets.unnamed": "Asset {number}",
+  "assets.imported": {
+    one: "Imported {count} asset from {file}.",
+    other: "Imported {count} assets from {file}.",
+  },
+  "assets.importedSkipped": {
+    one: "Imported {count} asset from {file}, skipped {skipped} without valid coordinates.",
+    other:
+      "Imported {count} assets from {file}, skipped {skipped} without valid coordinates.",
+  },
+  "assets.column.name": "Asset",
+  "assets.column.type": "Type",
+  "assets.column.distance": "Nearest fire",
+  "assets.column.risk": "Risk",
+  "assets.loading": "Loading...",
+  "assets.nearest": "{name}, {distance:1} km",
+  "assets.noneActive": "None active",
+
+  // Address search
+  "search.searching": "Searching...",
+  "search.search": "Search",
+  "search.locating": "Finding your location...",
+  "search.locate": "Use my current location",
+  "search.candidates": "Several places match. Which one did you mean?",
+
+  // Area chart
+  "chart.notEnough":
+    "Not enough history yet. A point is recorded each time fire data is loaded.",
+  "chart.label": "Estimated fire area over time",
+  "chart.hectares": "{area} ha",
+  "chart.point": "{time}: {area} ha ({status})",
+
+  // Fire detail page
+  "detail.back": "← Back",
+  "detail.historyFailed": "Could not load this fire's history.",
+  "detail.detailsFailed": "Could not load this fire's other details.",
+  "detail.idRegion": "ID: {id} | Region: {region}",
+  "detail.unknown": "Unknown",
+  "detail.inside": "The searched location is inside this fire's perimeter.",
+  "detail.insideAt":
+    "The searched location, {address}, is inside this fire's perimeter.",
+  "detail.km": "{distance:1} km",
+  "detail.fromEdge":
+    "{direction} ({bearing}°) of the searched location{address}, measured to the fire edge.",
+  "detail.fromCentre":
+    "{direction} ({bearing}°) of the searched location{address}, measured to the fire centre.",
+  "detail.details": "Details",
+  "detail.hotspotsWithin": "Hotspots within {distance} km",
+  "detail.loadingHotspots": "Loading hotspots...",
+  "detail.noHotspots": "No satellite hotspots detected near this fire.",
+  "detail.distance": "Distance",
+  "detail.confidence": "Confidence",
+  "detail.firePower": "Fire power",
+  "detail.detected": "Detected",
+  "detail.megawatts": "{power} MW",
+  "detail.areaOverTime": "Area over time",
+  "detail.growth": "{from} → {to} hectares since {since}",
+  "detail.loadingHistory": "Loading history...",
+  "detail.statusChanges": "Status changes",
+  "detail.noChanges": "No status changes recorded.",
+  "detail.noChangesSince": "No status changes recorded since {since}.",
+
+  // Hotspots on the map
+  "hotspot.type": "Type:",
+  "hotspot.thermal": "Thermal Hotspot",
+  "hotspot.name": "Thermal Hotspot ({confidence} confidence)",
+  "hotspot.confidence": "Confidence:",
+  "hotspot.detected": "Detected:",
+  "hotspot.intensity": "Intensity:",
+  "hotspot.distance": "Distance:",
+  "hotspot.unconfirmed": "Satellite detection - not confirmed fire",
+  "hotspot.inArea": {
+    one: "{count} hotspot in this area",
+    other: "{count} hotspots in this area",
+  },
+  "hotspot.count": { one: "{count} hotspot", other: "{count} hotspots" },
+
+  // Main page
+  "app.title": "NL Wildfire Proximity",
+  "app.subtitle":
+    "Check active wildfires near your location in Newfoundland & Labrador",
+  "app.lastUpdated": "Data last updated: {time}",
+  "app.refreshing": "updating…",
+  "app.viewMap": "View Interactive Map",
+  "app.placeholder":
+    "Enter your address (e.g., 123 Water Street, St. John's, NL)",
+  "app.enterAddress": "Please enter an address",
+  "app.lowScore":
+    'The closest match for "{query}" is {address}, but it is not a confident match. Check the location on the map or add the community name.',
+  "app.noFires":
+    "No active wildfires found in the database. Your area is clear.",
+  "app.fireMissing": "Fire {id} is not in the current fire data.",
+  "app.found": "Active Wildfires Found: {count}",
+  "app.foundOf": "of {total}",
+  "app.noMatches": "No active wildfires match these filters.",
+  "app.fromEdge": "from fire edge",
+  "app.fromCentre": "from fire centre",
+  "app.drive": "{distance:1} km · {duration} drive",
+  "app.downwind": "Downwind",
+  "app.wind": "Wind {speed} km/h from {direction}",
+  "app.windFrom": "{speed} km/h from {direction}",
+  "app.status": "Status:",
+  "app.area": "Area:",
+  "app.startDate": "Start Date:",
+  "app.cause": "Cause:",
+  "app.tbd": "TBD",
+  "app.unknown": "Unknown",
+  "app.viewDetails": "View fire details →",
+  "app.empty": "Enter an address to check for nearby wildfires",
+
+  // Critical alert on a fire card
+  "alert.title": "Critical Alert",
+  "alert.message":
+    "This fire is rated {level}. Monitor emergency alerts, prepare an evacuation plan, and follow official instructions.",
+
+  // Map page and popups
+  "map.title": "Wildfire Map View",
+  "map.backToList": "← Back to List",
+  "map.filtered":
+    "Showing {shown} of {total} fires matching your list filters.",
+  "map.changeFilters": "Change filters",
+  "map.placeholder": "Enter your address to see your location on the map",
+  "map.tip":
+    "Tip: click anywhere on the map to drop a pin and check that spot.",
+  "map.empty": "Enter an address to see wildfires and your location on the map",
+  "map.yourLocation": "Your Location",
+  "map.accuracy": "Accurate to about {accuracy} m",
+  "map.nearestFire": "Nearest fire:",
+  "map.fireDistance": "{name} ({distance:1} km)",
+  "map.riskLevel": "Risk Level:",
+  "map.distance": "Distance:",
+  "map.toEdge": "{distance:1} km to fire edge",
+  "map.toCentre": "{distance:1} km to fire centre",
+  "map.drive": "Drive:",
+  "map.driveDistance": "{distance:1} km, {duration}",
+  "map.driveTo": "Drive to {place}: {distance:1} km, about {duration}",
+  "map.wind": "Wind:",
+  "map.viewDetails": "View details",
+  "map.possibleFire": "Possible new fire",
+  "map.notProvincial": "Not yet in provincial data",
+  "map.hotspots": "Hotspots:",
+  "map.clusterHotspots": "{count} ({confidence} confidence)",
+  "map.lastDetected": "Last detected:",
+
+  // Map legend
+  "legend.title": "Legend",
+  "legend.OC": "Out-of-Control Fire",
+  "legend.BH": "Being Held Fire",
+  "legend.UC": "Under Control Fire",
+  "legend.O": "Out Fire",
+  "legend.area":
+    "Fire Area: perimeter, or a circle of the estimated size (solid: out of control, dashed: being held, dotted: under control or out)",
+  "legend.downwind": "Downwind Sector",
+  "legend.high": "High Confidence Hotspot",
+  "legend.nominal": "Nominal Confidence Hotspot",
+  "legend.low": "Low Confidence Hotspot",
+  "legend.cluster": "Hotspot Cluster (faded: older detection)",
+  "legend.possibleFire": "Possible New Fire (not in provincial data)",
+  "legend.location": "Your Location",
+  "legend.accuracy": "Location Accuracy",
+  "legend.evacuation": "Evacuation Route",
+  "legend.asset": "Asset (coloured and sized minimal → extreme risk)",
+  "legend.place": "Saved Place",
+
+  // About section
+  "about.title": "About This Tool",
+  "about.howItWorks": "How it works:",
+  "about.officialData": "Uses official NL government wildfire data",
+  "about.distances": "Calculates straight-line and driving distances",
+  "about.riskRating":
+    "Raises the risk rating for downwind, large or fast-growing fires",
+  "about.updates": "Updates data every 10 minutes",
+  "about.browser": "Works entirely in your browser",
+  "about.notes": "Important notes:",
+  "about.drivingTimes": "Driving times assume open roads and normal traffic",
+  "about.weather": "Weather and terrain affect actual fire spread",
+  "about.followOfficial": "Always follow official emergency instructions",
+  "about.authorities": "Contact authorities for evacuation guidance",
+  "about.hotspots": "Map also shows satellite thermal hotspots for context",
+  "about.alerts.before": "Check for official advisories on the",
+  "about.alerts.link": "NL Public Alerts",
+  "about.alerts.after": " page.",
+  "about.alerts.url": "https://www.gov.nl.ca/alerts/",
+  "about.news.before": "For up-to-date info, see the",
+  "about.news.link": "latest wildfire news",
+  "about.news.after": ".",
+  "about.news.url": "https://www.gov.nl.ca/releases/wildfire-news/",
+  "about.prepared.before": "Know",
+  "about.prepared.link": "what to do in a wildfire",
+  "about.prepared.after": ".",
+  "about.prepared.url":
+    "https://www.getprepared.gc.ca/cnt/hzd/wldfrs-prp-en.aspx",
+
+  // Language switcher
+  "language.label": "Language",
+
+  // Screen reader announcements and marker names
+  "a11y.searching": "Searching for wildfires...",
+  "a11y.results": {
+    one: "{count} active wildfire found.",
+    other: "{count} active wildfires found.",
+  },
+  "a11y.topRated": "Highest rating: {level}, for {name} at {distance:1} km.",
+  "a11y.alert": {
+    one: "Critical alert for {count} fire. Follow official instructions.",
+    other: "Critical alert for {count} fires. Follow official instructions.",
+  },
+  "a11y.fireMarker": "{name}, {status}",
+  "a11y.fireMarkerRisk": "{name}, {status}, {distance:1} km away, {level}",
+  "a11y.placeMarker": "Saved place {name}, {level}",
+  "a11y.locationMarker": "Your location: {address}",
+  "a11y.possibleFireMarker": {
+    one: "Possible new fire, {count} hotspot",
+    other: "Possible new fire, {count} hotspots",
+  },
+  "a11y.hotspotMarker": "Satellite hotspot, {confidence} confidence",
+
+  // High-contrast theme
+  "contrast.label": "High contrast",
+
+  // Map layer control
+  "layers.base.streets": "Streets (OpenStreetMap)",
+  "layers.base.topo": "Topographic",
+  "layers.base.satellite": "Satellite imagery",
+  "layers.fires": "Fire markers",
+  "layers.areas": "Fire areas",
+  "layers.downwind": "Downwind sectors",
+  "layers.hotspots": "Satellite hotspots",
+  "layers.newFires": "Possible new fires",
+  "layers.location": "Your location",
+  "layers.route": "Evacuation route",
+  "layers.places": "Saved places",
+  "layers.assets": "Assets",
+
+  // Live fire data unavailable
+  "unavailable.title": "Live fire data is unavailable",
+  "unavailable.body":
+    "The provincial wildfire service could not be reached, so no fires are shown.",
+  "unavailable.offline":
+    "You are offline and no fire data has been saved on this device, so no fires are shown.",
+  "unavailable.notAllClear": "This does not mean there are no fires near you.",
+  "unavailable.retry": "Try again",
+
+  // Demo data
+  "demo.show": "Show demo data",
+  "demo.title": "Demo data.",
+  "demo.banner":
+    "These are recorded sample fires, not current incidents. Do not use them for safety decisions.",
+  "demo.leave": "Leave demo",
+  "demo.label": "Demo data",
+  "demo.watermark": "Demo",
+
+  // Data source status
+  "sources.title": "Data Sources",
+  "sources.failing": "{count} failing",
+  "sources.show": "Show status",
+  "sources.hide": "Hide",
+  "sources.source": "Source",
+  "sources.lastSuccess": "Last success",
+  "sources.lastError": "Last error",
+  "sources.never": "Never",
+  "sources.none": "None",
+  "sources.off": "off",
+  "sources.fires": "Wildfires",
+  "sources.perimeters": "Fire perimeters",
+  "sources.hotspots": "Satellite hotspots",
+  "sources.weather": "Wind",
+  "sources.geocoder": "Address search",
+  "sources.routing": "Driving routes",
+};
+
+export default en;
@@ -0,0 +1,553 @@
+// French messages, with the same keys as en.js.
+const fr = {
+  // Fire status codes
+  "status.OC": "Non maîtrisé",
+  "status.BH": "Contenu",
+  "status.UC": "Maîtrisé",
+  "status.O": "Éteint",
+  "status.unknown": "Inconnu",
+
+  // Fire records
+  "fire.unnamed": "Feu no {number}",
+  "fire.area": "{area} hectares",
+  "field.FIREID": "Identifiant du feu",
+  "field.NAME": "Nom",
+  "field.PROVFIRENUM": "Numéro provincial du feu",
+  "field.STATUS": "État",
+  "field.AREAEST": "Superficie estimée",
+  "field.FIREDATE": "Date de début",
+  "field.CAUSE": "Cause",
+  "field.REGION": "Région",
+  "field.DISTRICT": "District",
+  "field.LATITUDE": "Latitude",
+  "field.LONGITUDE": "Longitude",
+  "field.OBJECTID": "Identifiant de l'enregistrement",
+
+  // Compass points
+  "compass.N": "N",
+  "compass.NNE": "NNE",
+  "compass.NE": "NE",
+  "compass.ENE": "ENE",
+  "compass.E": "E",
+  "compass.ESE": "ESE",
+  "compass.SE": "SE",
+  "compass.SSE": "SSE",
+  "compass.S": "S",
+  "compass.SSW": "SSO",
+  "compass.SW": "SO",
+  "compass.WSW": "OSO",
+  "compass.W": "O",
+  "compass.WNW": "ONO",
+  "compass.NW": "NO",
+  "compass.NNW": "NNO",
+
+  // Times and durations
+  "time.justNow": "à l'instant",
+  "time.minutesAgo": {
+    one: "il y a {count} minute",
+    other: "il y a {count} minutes",
+  },
+  "time.hoursAgo": {
+    one: "il y a {count} heure",
+    other: "il y a {count} heures",
+  },
+  "time.daysAgo": { one: "il y a {count} jour", other: "il y a {count} jours" },
+  "time.minutes": "{minutes} min",
+  "time.hoursMinutes": "{hours} h {minutes} min",
+
+  // Risk ratings and the rules behind them
+  "risk.level.0": "RISQUE MINIMAL",
+  "risk.level.1": "RISQUE FAIBLE",
+  "risk.level.2": "RISQUE MODÉRÉ",
+  "risk.level.3": "RISQUE ÉLEVÉ",
+  "risk.level.4": "RISQUE EXTRÊME",
+  "risk.reason.none": "Aucun feu n'est signalé.",
+  "risk.invalid.order":
+    "Chaque distance doit être plus grande que celle du dessus, du risque extrême au risque faible.",
+  "risk.invalid.largeFire":
+    "La taille d'un grand feu doit être un nombre positif.",
+  "risk.invalid.growthFactor":
+    "La croissance rapide doit être un nombre d'au moins 1.",
+  "risk.reason.extreme":
+    "Un feu non maîtrisé se trouve à {distance:1} km, en deçà de la distance de risque extrême de {limit} km.",
+  "risk.reason.high":
+    "Un feu non maîtrisé se trouve à {distance:1} km, en deçà de la distance de risque élevé de {limit} km.",
+  "risk.reason.moderate":
+    "Un feu non maîtrisé se trouve à {distance:1} km, en deçà de la distance de risque modéré de {limit} km.",
+  "risk.reason.contained":
+    "Ce feu est {status}; son risque est donc minimal à toute distance.",
+  "risk.reason.watch.OC":
+    "Un feu non maîtrisé se trouve à {distance:1} km, en deçà de la distance de surveillance de {limit} km.",
+  "risk.reason.watch.BH":
+    "Un feu contenu se trouve à {distance:1} km, en deçà de la distance de surveillance de {limit} km.",
+  "risk.reason.distant":
+    "Le feu se trouve à {distance:1} km, au-delà de la distance de surveillance de {limit} km.",
+  "risk.reason.downwind":
+    "vous êtes sous le vent de ce feu (vent du {direction} à {speed} km/h)",
+  "risk.reason.large-fire":
+    "le feu couvre {area} hectares, au moins la taille de grand feu de {limit} hectares",
+  "risk.reason.growth":
+    "le feu a grossi de {factor:1} fois en une journée, au moins la limite de croissance de {limit} fois",
+  "risk.raised": "Relevé depuis {level} : {reason}.",
+  "risk.applies": "{reason}.",
+
+  // Geolocation errors
+  "geolocation.unsupported":
+    "Ce navigateur ne prend pas en charge les services de localisation.",
+  "geolocation.denied":
+    "L'accès à la position a été refusé. Entrez plutôt une adresse.",
+  "geolocation.unavailable":
+    "Votre position est introuvable pour le moment. Entrez plutôt une adresse.",
+  "geolocation.timeout":
+    "La recherche de votre position a pris trop de temps. Veuillez réessayer.",
+  "geolocation.failed": "Impossible d'obtenir la position.",
+
+  // Monitoring events
+  "monitor.newFire.title": "Nouveau feu de forêt à proximité",
+  "monitor.newFire.message": "{name} ({status}) signalé à {distance:1} km.",
+  "monitor.statusChange.title": "Changement d'état d'un feu de forêt",
+  "monitor.statusChange.message": "{name} est passé de {from} à {to}.",
+  "monitor.riskIncrease.title": "Hausse du risque de feu de forêt",
+  "monitor.riskIncrease.message":
+    "Le risque pour {place} est passé de {from} à {to}.",
+  "monitor.yourLocation": "votre position",
+
+  // Offline banner
+  "offline.liveUnavailable": "Les données en direct ne sont pas disponibles.",
+  "offline.offline": "Vous êtes hors ligne.",
+  "offline.savedData": "Affichage des données enregistrées, mises à jour le",
+  "offline.mayHaveChanged": "La situation a pu changer depuis.",
+  "offline.willLoad":
+    "Les données sur les feux se chargeront à la reconnexion.",
+
+  // Evacuation route
+  "evacuation.planning": "Planification d'un itinéraire loin des feux...",
+  "evacuation.none": "Aucun itinéraire loin des feux n'a été trouvé.",
+  "evacuation.failed":
+    "Impossible de planifier un itinéraire d'évacuation pour le moment.",
+  "evacuation.title": "Itinéraire suggéré loin des feux",
+  "evacuation.driveTo": "Rendez-vous à",
+  "evacuation.distance": "{distance:1} km, environ {duration}.",
+  "evacuation.nearFire":
+    "Cet itinéraire passe près d'un feu non maîtrisé ({fires}). Vérifiez les fermetures de routes avant de partir.",
+  "evacuation.disclaimer":
+    "Simple suggestion. Suivez toujours les ordres et les itinéraires d'évacuation officiels.",
+
+  // Hotspot confidence levels
+  "confidence.high": "élevée",
+  "confidence.nominal": "nominale",
+  "confidence.low": "faible",
+
+  // Possible new fires
+  "newFires.title": "Nouveaux feux possibles : {count}",
+  "newFires.intro":
+    "Points chauds détectés par satellite qui ne sont proches d'aucun feu des données provinciales. Ils ne sont pas confirmés, mais sont souvent le premier signe d'un nouveau feu.",
+  "newFires.item": "Nouveau feu possible, absent des données provinciales",
+  "newFires.nearPlace": "À {distance} km au {direction} de {place}",
+  "newFires.fromSearch": "à {distance:1} km de l'endroit recherché",
+  "newFires.hotspots": {
+    one: "{count} point chaud, confiance {confidence}",
+    other: "{count} points chauds, confiance {confidence}",
+  },
+  "newFires.lastDetected": "dernière détection {age}",
+  "newFires.showMap": "Voir sur la carte →",
+
+  // Hotspot controls
+  "hotspots.label": "Points chauds :",
+  "hotspots.mode.markers": "Marqueurs",
+  "hotspots.mode.heatmap": "Carte de densité",
+  "hotspots.detectedIn": "Détectés au cours des dernières",
+  "hotspots.anyTime": "toutes périodes",
+  "hotspots.hours": { one: "{count} heure", other: "{count} heures" },
+  "hotspots.confidence": "Confiance :",
+  "hotspots.showing": "{shown} sur {total} affichés",
+
+  // Risk rule settings
+  "riskSettings.title": "Règles de risque",
+  "riskSettings.customized": "(personnalisées)",
+  "riskSettings.hide": "Masquer",
+  "riskSettings.adjust": "Ajuster les seuils",
+  "riskSettings.intro":
+    "Les feux non maîtrisés sont évalués selon la distance. Les feux non maîtrisés ou contenus présentent un risque faible en deçà de la distance de surveillance, et tous les autres feux un risque minimal. L'évaluation monte d'un niveau pour chacun de ces facteurs : être sous le vent, un grand feu et une croissance rapide.",
+  "riskSettings.extreme": "Risque extrême en deçà de",
+  "riskSettings.high": "Risque élevé en deçà de",
+  "riskSettings.moderate": "Risque modéré en deçà de",
+  "riskSettings.watch": "Risque faible (surveillance) en deçà de",
+  "riskSettings.default": "Par défaut : {value} km",
+  "riskSettings.largeFire": "Grand feu à partir de",
+  "riskSettings.growth": "Croissance rapide à partir de",
+  "riskSettings.perDay": "× en une journée",
+  "riskSettings.off": "désactivé",
+  "riskSettings.alert": "Alerte critique à partir de",
+  "riskSettings.reset": "Rétablir les valeurs par défaut",
+
+  // Fire list filters and sorting
+  "filters.within": "À moins de",
+  "filters.anyDistance": "toute distance",
+  "filters.km": "{distance} km",
+  "filters.minArea": "Superficie min.",
+  "filters.hectares": "ha",
+  "filters.cause": "Cause",
+  "filters.region": "Région",
+  "filters.any": "toutes",
+  "filters.startedFrom": "Début du",
+  "filters.to": "au",
+  "filters.sortBy": "Trier par",
+  "filters.clear": {
+    one: "Effacer {count} filtre",
+    other: "Effacer {count} filtres",
+  },
+  "sort.distance": "Distance",
+  "sort.area": "Superficie",
+  "sort.start": "Date de début",
+  "sort.risk": "Niveau de risque",
+
+  // Export buttons. The exported files themselves stay in English.
+  "export.label": "Exporter :",
+
+  // Monitoring panel
+  "monitor.title": "Surveillance",
+  "monitor.watch": "Surveiller les changements",
+  "monitor.checkEvery": "Vérifier toutes les",
+  "monitor.alertWithin": "Alerter pour les nouveaux feux à moins de",
+  "monitor.km": "km",
+  "monitor.lastChecked": "Dernière vérification : {time}",
+  "monitor.starting": "Démarrage...",
+  "monitor.needLocation":
+    "Recherchez un endroit pour recevoir les alertes de nouveaux feux et de risque.",
+  "monitor.unsupported":
+    "Ce navigateur ne prend pas en charge les notifications. Les changements sont listés ci-dessous.",
+  "monitor.blocked":
+    "Les notifications du navigateur sont bloquées. Les changements sont listés ci-dessous.",
+  "monitor.clear": "Effacer l'historique",
+  "monitor.noChanges": "Aucun changement détecté pour l'instant.",
+
+  // Saved places
+  "places.title": "Mes endroits",
+  "places.missing": "Veuillez entrer un nom et une adresse",
+  "places.searchedLocation": "Endroit recherché",
+  "places.highest": "Risque le plus élevé :",
+  "places.at": "à {place}",
+  "places.loading": "Chargement des données sur les feux...",
+  "places.nearest": "Feu le plus proche :",
+  "places.away": "à {distance:1} km",
+  "places.fromEdge": "à {distance:1} km de sa bordure",
+  "places.noFires": "Aucun feu de forêt actif",
+  "places.check": "Vérifier",
+  "places.moveUp": "Monter {place}",
+  "places.moveDown": "Descendre {place}",
+  "places.edit": "Modifier",
+  "places.delete": "Supprimer",
+  "places.namePlaceholder": "Nom (p. ex. chalet)",
+  "places.addressPlaceholder": "Adresse",
+  "places.saving": "Enregistrement...",
+  "places.save": "Enregistrer les modifications",
+  "places.add": "Ajouter l'endroit",
+  "places.cancel": "Annuler",
+  "places.saveSearched": "Enregistrer l'endroit recherché",
+  "places.saveSearchedAs": "Enregistrer l'endroit recherché sous « {name} »",
+
+  // Imported assets
+  "assets.title": "Nos actifs",
+  "assets.import": "Importer un GeoJSON ou un CSV",
+  "assets.removeAll": "Tout retirer",
+  "assets.intro":
+    "Téléversez un CSV avec les colonnes name, lat et lng, ou un fichier GeoJSON de points, pour classer chaque site selon la menace des feux à proximité.",
+  "assets.readFailed": "Impossible de lire le fichier.",
+  "assets.noPoints": "Aucun point avec des coordonnées valides n'a été trouvé.",
+  "assets.error.empty": "Le fichier est vide.",
+  "assets.error.noCoordinates":
+    "Le CSV doit avoir des colonnes de latitude et de longitude (p. ex. lat et lng).",
+  "assets.error.notGeoJson":
+    "Le fichier n'est pas une liste d'entités GeoJSON.",
+  "assets.error.invalidJson": "Le fichier n'est pas un JSON valide.",
+  "assets.unnamed": "Actif {number}",
+  "assets.imported": {
+    one: "{count} actif importé de {file}.",
+    other: "{count} actifs importés de {file}.",
+  },
+  "assets.importedSkipped": {
+    one: "{count} actif importé de {file}, {skipped} ignoré(s) faute de coordonnées valides.",
+    other:
+      "{count} actifs importés de {file}, {skipped} ignoré(s) faute de coordonnées valides.",
+  },
+  "assets.column.name": "Actif",
+  "assets.column.type": "Type",
+  "assets.column.distance": "Feu le plus proche",
+  "assets.column.risk": "Risque",
+  "assets.loading": "Chargement...",
+  "assets.nearest": "{name}, {distance:1} km",
+  "assets.noneActive": "Aucun feu actif",
+
+  // Address search
+  "search.searching": "Recherche...",
+  "search.search": "Rechercher",
+  "search.locating": "Recherche de votre position...",
+  "search.locate": "Utiliser ma position actuelle",
+  "search.candidates":
+    "Plusieurs endroits correspondent. Lequel vouliez-vous dire?",
+
+  // Area chart
+  "chart.notEnough":
+    "Pas encore assez d'historique. Un point est enregistré chaque fois que les données sur les feux sont chargées.",
+  "chart.label": "Superficie estimée du feu au fil du temps",
+  "chart.hectares": "{area} ha",
+  "chart.point": "{time} : {area} ha ({status})",
+
+  // Fire detail page
+  "detail.back": "← Retour",
+  "detail.historyFailed": "Impossible de charger l'historique de ce feu.",
+  "detail.detailsFailed": "Impossible de charger les autres détails de ce feu.",
+  "detail.idRegion": "ID : {id} | Région : {region}",
+  "detail.unknown": "Inconnue",
+  "detail.inside": "L'endroit recherché se trouve dans le périmètre de ce feu.",
+  "detail.insideAt":
+    "L'endroit recherché, {address}, se trouve dans le périmètre de ce feu.",
+  "detail.km": "{distance:1} km",
+  "detail.fromEdge":
+    "au {direction} ({bearing}°) de l'endroit recherché{address}, mesuré jusqu'à la bordure du feu.",
+  "detail.fromCentre":
+    "au {direction} ({bearing}°) de l'endroit recherché{address}, mesuré jusqu'au centre du feu.",
+  "detail.details": "Détails",
+  "detail.hotspotsWithin": "Points chauds à moins de {distance} km",
+  "detail.loadingHotspots": "Chargement des points chauds...",
+  "detail.noHotspots":
+    "Aucun point chaud détecté par satellite près de ce feu.",
+  "detail.distance": "Distance",
+  "detail.confidence": "Confiance",
+  "detail.firePower": "Puissance du feu",
+  "detail.detected": "Détecté",
+  "detail.megawatts": "{power} MW",
+  "detail.areaOverTime": "Superficie au fil du temps",
+  "detail.growth": "{from} → {to} hectares depuis le {since}",
+  "detail.loadingHistory": "Chargement de l'historique...",
+  "detail.statusChanges": "Changements d'état",
+  "detail.noChanges": "Aucun changement d'état enregistré.",
+  "detail.noChangesSince":
+    "Aucun changement d'état enregistré depuis le {since}.",
+
+  // Hotspots on the map
+  "hotspot.type": "Type :",
+  "hotspot.thermal": "Point chaud thermique",
+  "hotspot.name": "Point chaud thermique (confiance {confidence})",
+  "hotspot.confidence": "Confiance :",
+  "hotspot.detected": "Détecté :",
+  "hotspot.intensity": "Intensité :",
+  "hotspot.distance": "Distance :",
+  "hotspot.unconfirmed": "Détection satellite - feu non confirmé",
+  "hotspot.inArea": {
+    one: "{count} point chaud dans ce secteur",
+    other: "{count} points chauds dans ce secteur",
+  },
+  "hotspot.count": {
+    one: "{count} point chaud",
+    other: "{count} points chauds",
+  },
+
+  // Main page
+  "app.title": "Proximité des feux de forêt T.-N.-L.",
+  "app.subtitle":
+    "Vérifiez les feux de forêt actifs près de chez vous à Terre-Neuve-et-Labrador",
+  "app.lastUpdated": "Dernière mise à jour des données : {time}",
+  "app.refreshing": "mise à jour…",
+  "app.viewMap": "Voir la carte interactive",
+  "app.placeholder":
+    "Entrez votre adresse (p. ex. 123 Water Street, St. John's, NL)",
+  "app.enterAddress": "Veuillez entrer une adresse",
+  "app.lowScore":
+    "Le résultat le plus proche pour « {query} » est {address}, mais la correspondance est incertaine. Vérifiez l'endroit sur la carte ou ajoutez le nom de la localité.",
+  "app.noFires":
+    "Aucun feu de forêt actif dans la base de données. Votre secteur est sûr.",
+  "app.fireMissing": "Le feu {id} ne figure pas dans les données actuelles.",
+  "app.found": "Feux de forêt actifs trouvés : {count}",
+  "app.foundOf": "sur {total}",
+  "app.noMatches": "Aucun feu de forêt actif ne correspond à ces filtres.",
+  "app.fromEdge": "de la bordure du feu",
+  "app.fromCentre": "du centre du feu",
+  "app.drive": "{distance:1} km · {duration} de route",
+  "app.downwind": "Sous le vent",
+  "app.wind": "Vent de {speed} km/h du {direction}",
+  "app.windFrom": "{speed} km/h du {direction}",
+  "app.status": "État :",
+  "app.area": "Superficie :",
+  "app.startDate": "Date de début :",
+  "app.cause": "Cause :",
+  "app.tbd": "À déterminer",
+  "app.unknown": "Inconnue",
+  "app.viewDetails": "Voir les détails du feu →",
+  "app.empty":
+    "Entrez une adresse pour vérifier s'il y a des feux de forêt à proximité",
+
+  // Critical alert on a fire card
+  "alert.title": "Alerte critique",
+  "alert.message":
+    "Ce feu présente un {level}. Suivez les alertes d'urgence, préparez un plan d'évacuation et suivez les consignes officielles.",
+
+  // Map page and popups
+  "map.title": "Carte des feux de forêt",
+  "map.backToList": "← Retour à la liste",
+  "map.filtered":
+    "{shown} feux sur {total} correspondent aux filtres de votre liste.",
+  "map.changeFilters": "Modifier les filtres",
+  "map.placeholder":
+    "Entrez votre adresse pour voir votre position sur la carte",
+  "map.tip":
+    "Astuce : cliquez n'importe où sur la carte pour placer une épingle et vérifier cet endroit.",
+  "map.empty":
+    "Entrez une adresse pour voir les feux de forêt et votre position sur la carte",
+  "map.yourLocation": "Votre position",
+  "map.accuracy": "Précision d'environ {accuracy} m",
+  "map.nearestFire": "Feu le plus proche :",
+  "map.fireDistance": "{name} ({distance:1} km)",
+  "map.riskLevel": "Niveau de risque :",
+  "map.distance": "Distance :",
+  "map.toEdge": "{distance:1} km jusqu'à la bordure du feu",
+  "map.toCentre": "{distance:1} km jusqu'au centre du feu",
+  "map.drive": "En voiture :",
+  "map.driveDistance": "{distance:1} km, {duration}",
+  "map.driveTo": "Rendez-vous à {place} : {distance:1} km, environ {duration}",
+  "map.wind": "Vent :",
+  "map.viewDetails": "Voir les détails",
+  "map.possibleFire": "Nouveau feu possible",
+  "map.notProvincial": "Absent des données provinciales",
+  "map.hotspots": "Points chauds :",
+  "map.clusterHotspots": "{count} (confiance {confidence})",
+  "map.lastDetected": "Dernière détection :",
+
+  // Map legend
+  "legend.title": "Légende",
+  "legend.OC": "Feu non maîtrisé",
+  "legend.BH": "Feu contenu",
+  "legend.UC": "Feu maîtrisé",
+  "legend.O": "Feu éteint",
+  "legend.area":
+    "Zone du feu : périmètre, ou cercle de la superficie estimée (plein : non maîtrisé, tirets : contenu, pointillé : maîtrisé ou éteint)",
+  "legend.downwind": "Secteur sous le vent",
+  "legend.high": "Point chaud, confiance élevée",
+  "legend.nominal": "Point chaud, confiance nominale",
+  "legend.low": "Point chaud, confiance faible",
+  "legend.cluster": "Groupe de points chauds (pâle : détection plus ancienne)",
+  "legend.possibleFire":
+    "Nouveau feu possible (absent des données provinciales)",
+  "legend.location": "Votre position",
+  "legend.accuracy": "Précision de la position",
+  "legend.evacuation": "Itinéraire d'évacuation",
+  "legend.asset": "Actif (couleur et taille du risque minimal à extrême)",
+  "legend.place": "Endroit enregistré",
+
+  // About section
+  "about.title": "À propos de cet outil",
+  "about.howItWorks": "Fonctionnement :",
+  "about.officialData":
+    "Utilise les données officielles du gouvernement de T.-N.-L. sur les feux de forêt",
+  "about.distances": "Calcule les distances à vol d'oiseau et par la route",
+  "about.riskRating":
+    "Relève le niveau de risque des feux sous le vent, étendus ou en croissance rapide",
+  "about.updates": "Met les données à jour toutes les 10 minutes",
+  "about.browser": "Fonctionne entièrement dans votre navigateur",
+  "about.notes": "Remarques importantes :",
+  "about.drivingTimes":
+    "Les temps de route supposent des routes ouvertes et une circulation normale",
+  "about.weather":
+    "La météo et le terrain influent sur la propagation réelle du feu",
+  "about.followOfficial": "Suivez toujours les consignes officielles d'urgence",
+  "about.authorities":
+    "Communiquez avec les autorités pour obtenir des conseils d'évacuation",
+  "about.hotspots":
+    "La carte montre aussi les points chauds thermiques détectés par satellite, à titre indicatif",
+  "about.alerts.before": "Consultez les avis officiels sur la page",
+  "about.alerts.link": "NL Public Alerts",
+  "about.alerts.after": " (en anglais).",
+  "about.alerts.url": "https://www.gov.nl.ca/alerts/",
+  "about.news.before": "Pour des renseignements à jour, consultez les",
+  "about.news.link": "dernières nouvelles sur les feux de forêt",
+  "about.news.after": " (en anglais).",
+  "about.news.url": "https://www.gov.nl.ca/releases/wildfire-news/",
+  "about.prepared.before": "Sachez",
+  "about.prepared.link": "quoi faire en cas de feu de forêt",
+  "about.prepared.after": ".",
+  "about.prepared.url":
+    "https://www.preparez-vous.gc.ca/cnt/hzd/wldfrs-prp-fr.aspx",
+
+  // Language switcher
+  "language.label": "Langue",
+
+  // Screen reader announcements and marker names
+  "a11y.searching": "Recherche de feux de forêt...",
+  "a11y.results": {
+    one: "{count} feu de forêt actif trouvé.",
+    other: "{count} feux de forêt actifs trouvés.",
+  },
+  "a11y.topRated":
+    "Évaluation la plus élevée : {level}, pour {name} à {distance:1} km.",
+  "a11y.alert": {
+    one: "Alerte critique pour {count} feu. Suivez les consignes officielles.",
+    other:
+      "Alerte critique pour {count} feux. Suivez les consignes officielles.",
+  },
+  "a11y.fireMarker": "{name}, {status}",
+  "a11y.fireMarkerRisk": "{name}, {status}, à {distance:1} km, {level}",
+  "a11y.placeMarker": "Endroit enregistré {name}, {level}",
+  "a11y.locationMarker": "Votre position : {address}",
+  "a11y.possibleFireMarker": {
+    one: "Nouveau feu possible, {count} point chaud",
+    other: "Nouveau feu possible, {count} points chauds",
+  },
+  "a11y.hotspotMarker": "Point chaud satellite, confiance {confidence}",
+
+  // High-contrast theme
+  "contrast.label": "Contraste élevé",
+
+  // Contrôle des couches de la carte
+  "layers.base.streets": "Rues (OpenStreetMap)",
+  "layers.base.topo": "Topographique",
+  "layers.base.satellite": "Imagerie satellite",
+  "layers.fires": "Marqueurs de feux",
+  "layers.areas": "Zones des feux",
+  "layers.downwind": "Secteurs sous le vent",
+  "layers.hotspots": "Points chauds satellitaires",
+  "layers.newFires": "Nouveaux feux possibles",
+  "layers.location": "Votre position",
+  "layers.route": "Itinéraire d'évacuation",
+  "layers.places": "Lieux enregistrés",
+  "layers.assets": "Actifs",
+
+  // Données en direct indisponibles
+  "unavailable.title": "Les données en direct sur les feux sont indisponibles",
+  "unavailable.body":
+    "Le service provincial des feux de forêt est injoignable, aucun feu n'est donc affiché.",
+  "unavailable.offline":
+    "Vous êtes hors ligne et aucune donnée sur les feux n'est enregistrée sur cet appareil, aucun feu n'est donc affiché.",
+  "unavailable.notAllClear":
+    "Cela ne veut pas dire qu'il n'y a aucun feu près de chez vous.",
+  "unavailable.retry": "Réessayer",
+
+  // Données de démonstration
+  "demo.show": "Afficher des données de démonstration",
+  "demo.title": "Données de démonstration.",
+  "demo.banner":
+    "Ce sont des feux enregistrés à titre d'exemple, pas des incidents en cours. Ne vous en servez pas pour votre sécurité.",
+  "demo.leave": "Quitter la démo",
+  "demo.label": "Données de démonstration",
+  "demo.watermark": "Démo",
+
+  // État des sources de données
+  "sources.title": "Sources de données",
+  "sources.failing": "{count} en échec",
+  "sources.show": "Afficher l'état",
+  "sources.hide": "Masquer",
+  "sources.source": "Source",
+  "sources.lastSuccess": "Dernier succès",
+  "sources.lastError": "Dernière erreur",
+  "sources.never": "Jamais",
+  "sources.none": "Aucune",
+  "sources.off": "désactivée",
+  "sources.fires": "Feux de forêt",
+  "sources.perimeters": "Périmètres des feux",
+  "sources.hotspots": "Points chauds satellites",
+  "sources.weather": "Vent",
+  "sources.geocoder": "Recherche d'adresse",
+  "sources.routing": "Itinéraires routiers",
+};
+
+export default fr;
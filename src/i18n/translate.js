@@ -0,0 +1,65 @@
+import en from "./en";
+import fr from "./fr";
+
+// Supported languages. `locale` drives number and date formatting.
+export const LANGUAGES = {
+  en: { name: "English", locale: "en-CA", messages: en },
+  fr: { name: "Français", locale: "fr-CA", messages: fr },
+};
+
+export const DEFAULT_LANGUAGE = "en";
+
+// The first supported language among the browser's preferences, e.g.
+// "fr-CA" -> "fr", falling back to English.
+export const detectLanguage = (preferred = []) => {
+  const match = preferred
+    .map((tag) => tag.toLowerCase().split("-")[0])
+    .find((language) => language in LANGUAGES);
+  return match || DEFAULT_LANGUAGE;
+};
+
+// Translator for one language. t(key, values) looks the message up in that
+// language's catalog, then in English, then gives back the key itself, and
+// fills in its {name} placeholders. Numbers are formatted for the locale;
+// {name:1} fixes the number of decimals. Messages with plural forms are
+// objects ({ one, other }) chosen by values.count.
+//
+// The translator also carries the language and locale, plus number, date
+// and dateTime formatters.
+export const createTranslator = (language) => {
+  const { locale, messages } = LANGUAGES[language] || LANGUAGES.en;
+  const plurals = new Intl.PluralRules(locale);
+
+  const number = (value, digits = null) =>
+    new Intl.NumberFormat(
+      locale,
+      digits === null
+        ? { maximumFractionDigits: 2 }
+        : { minimumFractionDigits: digits, maximumFractionDigits: digits }
+    ).format(value);
+
+  const t = (key, values = {}) => {
+    let message = messages[key] ?? en[key] ?? key;
+    if (typeof message === "object") {
+      message = message[plurals.select(values.count)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)(?::(\d+))?\}/g, (match, name, digits) => {
+      const value = values[name];
+      if (value === undefined || value === null) return "";
+      return typeof value === "number"
+        ? number(value, digits === undefined ? null : Number(digits))
+        : String(value);
+    });
+  };
+
+  t.language = language in LANGUAGES ? language : DEFAULT_LANGUAGE;
+  t.locale = locale;
+  t.number = number;
+  t.date = (time) => new Date(time).toLocaleDateString(locale);
+  t.dateTime = (time) => new Date(time).toLocaleString(locale);
+  t.time = (time) => new Date(time).toLocaleTimeString(locale);
+  return t;
+};
+
+// Default for code that has no translator passed in: exports, logs and tests
+export const english = createTranslator(DEFAULT_LANGUAGE);
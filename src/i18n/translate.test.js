@@ -0,0 +1,63 @@
+import en from "./en";
+import fr from "./fr";
+import { createTranslator, detectLanguage } from "./translate";
+import { SORT_OPTIONS } from "../utils/fireFilters";
+
+test("createTranslator fills in placeholders and fixed decimals", () => {
+  const t = createTranslator("en");
+  expect(
+    t("monitor.newFire.message", {
+      name: "Fire #7",
+      status: "Out-of-Control",
+      distance: 12.345,
+    })
+  ).toBe("Fire #7 (Out-of-Control) reported 12.3 km away.");
+  expect(t("fire.area", { area: 1234.5 })).toBe("1,234.5 hectares");
+});
+
+test("createTranslator picks the plural form by count", () => {
+  const t = createTranslator("en");
+  expect(t("time.hoursAgo", { count: 1 })).toBe("1 hour ago");
+  expect(t("time.hoursAgo", { count: 3 })).toBe("3 hours ago");
+
+  const french = createTranslator("fr");
+  expect(french("time.hoursAgo", { count: 1 })).toBe("il y a 1 heure");
+  expect(french("time.hoursAgo", { count: 2 })).toBe("il y a 2 heures");
+});
+
+test("createTranslator formats numbers for the language's locale", () => {
+  const t = createTranslator("fr");
+  expect(t("risk.level.4")).toBe("RISQUE EXTRÊME");
+  expect(t("fire.area", { area: 1234.5 })).toMatch(/^1\s234,5 hectares$/);
+  expect(t.number(2.25, 1)).toMatch(/^2,[23]$/);
+});
+
+test("createTranslator falls back to English, then to the key", () => {
+  const t = createTranslator("xx");
+  expect(t.language).toBe("en");
+  expect(t("status.OC")).toBe("Out-of-Control");
+  expect(t("no.such.key")).toBe("no.such.key");
+});
+
+test("detectLanguage picks the first supported browser language", () => {
+  expect(detectLanguage(["fr-CA", "en-US"])).toBe("fr");
+  expect(detectLanguage(["de-DE", "en-GB"])).toBe("en");
+  expect(detectLanguage(["de-DE"])).toBe("en");
+  expect(detectLanguage([])).toBe("en");
+});
+
+test("the French catalog has every English message, with the same forms", () => {
+  const shape = (messages) =>
+    Object.entries(messages)
+      .map(([key, message]) =>
+        typeof message === "object"
+          ? `${key}:${Object.keys(message).sort()}`
+          : key
+      )
+      .sort();
+  expect(shape(fr)).toEqual(shape(en));
+});
+
+test("every sort order has a label", () => {
+  SORT_OPTIONS.forEach((key) => expect(en).toHaveProperty([`sort.${key}`]));
+});
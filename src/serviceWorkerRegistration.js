@@ -0,0 +1,29 @@
+// The content hash in the main bundle's file name, which changes with every
+// build. Only readable while the bundle runs its first pass.
+const getBuild = () => {
+  const script = document.currentScript;
+  const match = script && /\.([0-9a-f]+)\.js$/.exec(script.src);
+  return match ? match[1] : "";
+};
+
+// Registers public/service-worker.js. Only done in production builds, since
+// a caching worker gets in the way of the development server's hot reload.
+// The worker's URL carries the build, so each deploy installs a new worker
+// with caches of its own.
+export const register = () => {
+  if (
+    process.env.NODE_ENV !== "production" ||
+    !("serviceWorker" in navigator)
+  ) {
+    return;
+  }
+
+  const build = getBuild();
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js?build=${build}`)
+      .catch((err) =>
+        console.error("Service worker registration failed:", err)
+      );
+  });
+};
@@ -0,0 +1,175 @@
+import { isAbortError, queryArcgis, queryArcgisPages } from "../http";
+
+// Statuses we treat as an active fire. "O" (Out) fires are dropped.
+export const ACTIVE_STATUSES = ["OC", "BH", "UC"];
+
+const toFire = (feature) => ({
+  ...feature.attributes,
+  LATITUDE: feature.geometry ? feature.geometry.y : null,
+  LONGITUDE: feature.geometry ? feature.geometry.x : null,
+});
+
+export const parseFireFeatures = (data) =>
+  (data.features || [])
+    .map(toFire)
+    .filter(
+      (fire) =>
+        fire.LATITUDE &&
+        fire.LONGITUDE &&
+        fire.STATUS &&
+        ACTIVE_STATUSES.includes(fire.STATUS)
+    );
+
+// Groups polygon rings by FIREID. A fire can be split over several features.
+export const parsePerimeterFeatures = (data) =>
+  (data.features || []).reduce((perimeters, feature) => {
+    const id = feature.attributes && feature.attributes.FIREID;
+    if (id && feature.geometry && feature.geometry.rings) {
+      perimeters[id] = (perimeters[id] || []).concat(feature.geometry.rings);
+    }
+    return perimeters;
+  }, {});
+
+// The attributes the fire list reads or shows (see KNOWN_FIELDS in
+// utils/fireLabels). A fire's position comes from its geometry. The detail
+// page fetches every attribute with getFire.
+export const FIRE_FIELDS = [
+  "OBJECTID",
+  "FIREID",
+  "NAME",
+  "PROVFIRENUM",
+  "STATUS",
+  "AREAEST",
+  "FIREDATE",
+  "CAUSE",
+  "REGION",
+  "DISTRICT",
+];
+
+// Parameters limiting a query to features within `near.radius` km of
+// `near`, or none for the whole layer.
+export const getDistanceParams = (near) =>
+  near
+    ? {
+        geometry: `${near.lng},${near.lat}`,
+        geometryType: "esriGeometryPoint",
+        inSR: "4326",
+        spatialRel: "esriSpatialRelIntersects",
+        distance: near.radius,
+        units: "esriSRUnit_Kilometer",
+      }
+    : {};
+
+// A string literal for an ArcGIS where clause
+const quote = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+const ACTIVE_WHERE = `STATUS IN (${ACTIVE_STATUSES.map(quote).join(",")})`;
+
+// Fire incidents from the provincial FFA_Wildfire feature layers. Both
+// queries page through every match and take an optional `near` ({ lat, lng,
+// radius } in km) so the server only returns fires around a location.
+const createArcgisFireAdapter = ({ url, perimetersUrl }) => {
+  const queryFires = (params, signal) =>
+    queryArcgisPages(
+      `${url}/query`,
+      {
+        outFields: FIRE_FIELDS.join(","),
+        orderByFields: "OBJECTID",
+        returnGeometry: "true",
+        outSR: "4326",
+        ...params,
+      },
+      { signal }
+    );
+
+  // FIREIDs of the perimeters reaching within `near.radius` km
+  const getPerimeterIds = async (near, signal) => {
+    const data = await queryArcgisPages(
+      `${perimetersUrl}/query`,
+      {
+        where: "1=1",
+        ...getDistanceParams(near),
+        outFields: "FIREID",
+        orderByFields: "OBJECTID",
+        returnGeometry: "false",
+      },
+      { signal }
+    );
+    return (data.features || [])
+      .map((feature) => feature.attributes && feature.attributes.FIREID)
+      .filter(Boolean);
+  };
+
+  return {
+    name: "arcgis",
+
+    // Fire points are centres, so nearby fires also take in those whose
+    // perimeter reaches into range. Without perimeters (the request failing
+    // is reported by getPerimeters) only the centres count.
+    getFires: async ({ signal, near } = {}) => {
+      const fires = parseFireFeatures(
+        await queryFires(
+          { where: ACTIVE_WHERE, ...getDistanceParams(near) },
+          signal
+        )
+      );
+      if (!near) return fires;
+
+      let ids;
+      try {
+        ids = await getPerimeterIds(near, signal);
+      } catch (err) {
+        if (isAbortError(err)) throw err;
+        return fires;
+      }
+      const found = new Set(fires.map((fire) => fire.FIREID));
+      const missing = [...new Set(ids)].filter((id) => !found.has(id));
+      if (missing.length === 0) return fires;
+      const edges = await queryFires(
+        {
+          where: `${ACTIVE_WHERE} AND FIREID IN (${missing
+            .map(quote)
+            .join(",")})`,
+        },
+        signal
+      );
+      return fires.concat(parseFireFeatures(edges));
+    },
+
+    // Every attribute the layer has for one fire, or null if it's gone
+    getFire: async (fireId, { signal } = {}) => {
+      const data = await queryArcgis(
+        `${url}/query`,
+        {
+          where: `FIREID = ${quote(fireId)}`,
+          outFields: "*",
+          returnGeometry: "true",
+          outSR: "4326",
+        },
+        { signal }
+      );
+      const [feature] = data.features || [];
+      return feature ? toFire(feature) : null;
+    },
+
+    // Perimeters are matched on their polygons, like the fires getFires adds
+    // for them
+    getPerimeters: async ({ signal, near } = {}) => {
+      const data = await queryArcgisPages(
+        `${perimetersUrl}/query`,
+        {
+          where: "1=1",
+          ...getDistanceParams(near),
+          outFields: "FIREID",
+          orderByFields: "OBJECTID",
+          returnGeometry: "true",
+          outSR: "4326",
+        },
+        { signal }
+      );
+      return parsePerimeterFeatures(data);
+    },
+  };
+};
+
+export default createArcgisFireAdapter;
@@ -0,0 +1,114 @@
+import { isAbortError, queryArcgis } from "../http";
+
+// Newfoundland and Labrador, including Labrador, for biasing suggestions
+const NL_EXTENT = { xmin: -67.9, ymin: 46.5, xmax: -52.5, ymax: 60.5 };
+
+// Every candidate, best first as ArcGIS ranks them.
+export const parseCandidateList = (data) => {
+  if (!data.candidates || data.candidates.length === 0) {
+    throw Object.assign(
+      new Error(
+        "Address not found. Please try a more specific address in Newfoundland & Labrador."
+      ),
+      { notFound: true }
+    );
+  }
+
+  return data.candidates.map((candidate) => ({
+    lat: candidate.location.y,
+    lng: candidate.location.x,
+    score: candidate.score,
+    address: candidate.address,
+  }));
+};
+
+export const parseCandidates = (data) => parseCandidateList(data)[0];
+
+// Type-ahead suggestions, leaving out category matches like "Coffee Shop".
+export const parseSuggestions = (data) =>
+  (data.suggestions || [])
+    .filter((suggestion) => !suggestion.isCollection)
+    .map((suggestion) => suggestion.text);
+
+export const parseReverseGeocode = (data) => {
+  if (!data.address) {
+    throw Object.assign(new Error("No address found for this location."), {
+      notFound: true,
+    });
+  }
+  return {
+    lat: data.location.y,
+    lng: data.location.x,
+    address: data.address.LongLabel || data.address.Match_addr,
+  };
+};
+
+// ArcGIS World Geocoding Service, biased to Newfoundland & Labrador.
+const createArcgisGeocoder = ({ url }) => {
+  const findCandidates = async (address, { signal } = {}) => {
+    try {
+      const data = await queryArcgis(
+        `${url}/findAddressCandidates`,
+        {
+          SingleLine: address + ", Newfoundland and Labrador, Canada",
+          outSR: "4326",
+          maxLocations: 5,
+          countryCode: "CA",
+        },
+        { signal }
+      );
+      return parseCandidateList(data);
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      throw Object.assign(new Error(`Geocoding failed: ${err.message}`), {
+        notFound: err.notFound === true,
+      });
+    }
+  };
+
+  return {
+    name: "arcgis",
+
+    findCandidates,
+
+    geocode: async (address, options) =>
+      (await findCandidates(address, options))[0],
+
+    // Suggestions go stale with the next keystroke, so they get no retries
+    suggest: async (text, { signal } = {}) => {
+      const data = await queryArcgis(
+        `${url}/suggest`,
+        {
+          text,
+          maxSuggestions: 6,
+          countryCode: "CA",
+          searchExtent: JSON.stringify(NL_EXTENT),
+        },
+        { signal, retries: 0 }
+      );
+      return parseSuggestions(data);
+    },
+
+    reverseGeocode: async (lat, lng, { signal } = {}) => {
+      try {
+        const data = await queryArcgis(
+          `${url}/reverseGeocode`,
+          {
+            location: `${lng},${lat}`,
+            outSR: "4326",
+          },
+          { signal }
+        );
+        return parseReverseGeocode(data);
+      } catch (err) {
+        if (isAbortError(err)) throw err;
+        throw Object.assign(
+          new Error(`Reverse geocoding failed: ${err.message}`),
+          { notFound: err.notFound === true }
+        );
+      }
+    },
+  };
+};
+
+export default createArcgisGeocoder;
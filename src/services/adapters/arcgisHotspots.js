@@ -0,0 +1,49 @@
+import { queryArcgisPages } from "../http";
+
+export const parseHotspotFeatures = (data) =>
+  (data.features || [])
+    .map((feature) => ({
+      ...feature.attributes,
+      LATITUDE: feature.attributes.latitude,
+      LONGITUDE: feature.attributes.longitude,
+      FIREID: `hotspot-${feature.attributes.OBJECTID}`,
+      STATUS: feature.attributes.confidence,
+      isHotspot: true, // Flag to identify hotspots
+    }))
+    .filter((hotspot) => hotspot.LATITUDE && hotspot.LONGITUDE);
+
+// The attributes the app reads or shows
+export const HOTSPOT_FIELDS = [
+  "OBJECTID",
+  "latitude",
+  "longitude",
+  "confidence",
+  "frp",
+  "acq_date",
+];
+
+// VIIRS thermal hotspots, limited to the configured bounding box. A busy
+// fire season can run to many pages.
+const createArcgisHotspotAdapter = ({ url, extent }) => ({
+  name: "arcgis",
+
+  getHotspots: async ({ signal } = {}) => {
+    const data = await queryArcgisPages(
+      `${url}/query`,
+      {
+        where: "1=1",
+        geometry: JSON.stringify(extent),
+        geometryType: "esriGeometryEnvelope",
+        inSR: "4326",
+        spatialRel: "esriSpatialRelIntersects",
+        outFields: HOTSPOT_FIELDS.join(","),
+        orderByFields: "OBJECTID",
+        outSR: "4326",
+      },
+      { signal }
+    );
+    return parseHotspotFeatures(data);
+  },
+});
+
+export default createArcgisHotspotAdapter;
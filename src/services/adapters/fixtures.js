@@ -0,0 +1,107 @@
+import firesFixture from "../fixtures/fires.json";
+import perimetersFixture from "../fixtures/perimeters.json";
+import hotspotsFixture from "../fixtures/hotspots.json";
+import geocodeFixture from "../fixtures/geocode.json";
+import weatherFixture from "../fixtures/weather.json";
+import { parseFireFeatures, parsePerimeterFeatures } from "./arcgisFires";
+import { parseHotspotFeatures } from "./arcgisHotspots";
+import { parseCandidateList } from "./arcgisGeocoder";
+import { parseWind } from "./openMeteoWeather";
+import { calculateDistance, distanceToPolygonEdge } from "../../utils/geo";
+
+// Adapters that replay recorded service responses. They go through the same
+// parsers as the live adapters, so tests and demos exercise the real code.
+// Recorded fires are not current incidents, so each is flagged `demo` and
+// shown with a watermark.
+
+export const createFixtureFireAdapter = ({
+  data = firesFixture,
+  perimeters = perimetersFixture,
+} = {}) => ({
+  name: "fixture",
+  // Like the ArcGIS adapter, `near` takes in fires whose point or
+  // perimeter is in range
+  getFires: async ({ near } = {}) => {
+    const rings = parsePerimeterFeatures(perimeters);
+    return parseFireFeatures(data)
+      .filter(
+        (fire) =>
+          !near ||
+          calculateDistance(
+            near.lat,
+            near.lng,
+            fire.LATITUDE,
+            fire.LONGITUDE
+          ) <= near.radius ||
+          (Boolean(rings[fire.FIREID]) &&
+            distanceToPolygonEdge(near.lat, near.lng, rings[fire.FIREID]) <=
+              near.radius)
+      )
+      .map((fire) => ({ ...fire, demo: true }));
+  },
+  getFire: async (fireId) => {
+    const fire = parseFireFeatures(data).find((f) => f.FIREID === fireId);
+    return fire ? { ...fire, demo: true } : null;
+  },
+  getPerimeters: async () => parsePerimeterFeatures(perimeters),
+});
+
+export const createFixtureHotspotAdapter = ({
+  data = hotspotsFixture,
+} = {}) => ({
+  name: "fixture",
+  getHotspots: async () => parseHotspotFeatures(data),
+});
+
+export const createFixtureGeocoder = ({ data = geocodeFixture } = {}) => ({
+  name: "fixture",
+
+  // Matches any comma-separated part of the query against the recorded
+  // candidate addresses, e.g. "1 Main St, Gander" finds Gander.
+  findCandidates: async (address) => {
+    const terms = address
+      .toLowerCase()
+      .split(",")
+      .map((term) => term.trim())
+      .filter(Boolean);
+    const candidates = data.candidates.filter((candidate) =>
+      terms.some((term) => candidate.address.toLowerCase().includes(term))
+    );
+
+    try {
+      return parseCandidateList({ ...data, candidates });
+    } catch (err) {
+      throw Object.assign(new Error(`Geocoding failed: ${err.message}`), {
+        notFound: err.notFound === true,
+      });
+    }
+  },
+
+  geocode: async (address) =>
+    (await createFixtureGeocoder({ data }).findCandidates(address))[0],
+
+  // Recorded addresses that contain the typed text.
+  suggest: async (text) =>
+    data.candidates
+      .map((candidate) => candidate.address)
+      .filter((address) => address.toLowerCase().includes(text.toLowerCase()))
+      .slice(0, 6),
+
+  // Answers with the closest recorded candidate.
+  reverseGeocode: async (lat, lng) => {
+    const [nearest] = [...data.candidates].sort(
+      (a, b) =>
+        calculateDistance(lat, lng, a.location.y, a.location.x) -
+        calculateDistance(lat, lng, b.location.y, b.location.x)
+    );
+    return { lat, lng, address: nearest.address };
+  },
+});
+
+// Local stand-in for the weather service: the same recorded wind everywhere.
+export const createFixtureWeatherAdapter = ({
+  data = weatherFixture,
+} = {}) => ({
+  name: "fixture",
+  getWind: async (points) => points.map(() => parseWind(data)[0]),
+});
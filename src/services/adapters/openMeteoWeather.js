@@ -0,0 +1,32 @@
+import { fetchJson } from "../http";
+
+// Open-Meteo answers with a single object for one point and an array for
+// several. Wind speed is in km/h and direction is where it blows from.
+export const parseWind = (data) =>
+  (Array.isArray(data) ? data : [data]).map((location) => ({
+    speed: location.current.wind_speed_10m,
+    direction: location.current.wind_direction_10m,
+  }));
+
+// Current wind at each point from the Open-Meteo forecast API.
+const createOpenMeteoWeatherAdapter = ({ url }) => ({
+  name: "open-meteo",
+
+  getWind: async (points, { signal } = {}) => {
+    if (points.length === 0) return [];
+
+    const data = await fetchJson(
+      url,
+      {
+        latitude: points.map((point) => point.lat.toFixed(4)).join(","),
+        longitude: points.map((point) => point.lng.toFixed(4)).join(","),
+        current: "wind_speed_10m,wind_direction_10m",
+        wind_speed_unit: "kmh",
+      },
+      { signal }
+    );
+    return parseWind(data);
+  },
+});
+
+export default createOpenMeteoWeatherAdapter;
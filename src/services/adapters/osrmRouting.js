@@ -0,0 +1,56 @@
+import { fetchJson } from "../http";
+
+const toCoordinates = (points) =>
+  points.map((point) => `${point.lng},${point.lat}`).join(";");
+
+// OSRM reports metres and seconds; we use kilometres and minutes.
+export const parseTable = (data) => {
+  if (data.code !== "Ok") {
+    throw new Error(`Routing failed: ${data.message || data.code}`);
+  }
+  return data.durations[0].slice(1).map((duration, index) => {
+    const distance = data.distances[0][index + 1];
+    return duration == null || distance == null
+      ? null
+      : { distance: distance / 1000, duration: duration / 60 };
+  });
+};
+
+export const parseRoute = (data) => {
+  if (data.code !== "Ok" || !data.routes || data.routes.length === 0) {
+    throw new Error(`Routing failed: ${data.message || data.code}`);
+  }
+  const [route] = data.routes;
+  return {
+    distance: route.distance / 1000,
+    duration: route.duration / 60,
+    path: route.geometry.coordinates.map(([lng, lat]) => [lat, lng]),
+  };
+};
+
+// Driving distances and routes from any OSRM-compatible server.
+const createOsrmRoutingAdapter = ({ url, profile = "driving" }) => ({
+  name: "osrm",
+
+  getTable: async (origin, destinations, { signal } = {}) => {
+    if (destinations.length === 0) return [];
+
+    const data = await fetchJson(
+      `${url}/table/v1/${profile}/${toCoordinates([origin, ...destinations])}`,
+      { sources: "0", annotations: "distance,duration" },
+      { signal }
+    );
+    return parseTable(data);
+  },
+
+  getRoute: async (origin, destination, { signal } = {}) => {
+    const data = await fetchJson(
+      `${url}/route/v1/${profile}/${toCoordinates([origin, destination])}`,
+      { overview: "full", geometries: "geojson" },
+      { signal }
+    );
+    return parseRoute(data);
+  },
+});
+
+export default createOsrmRoutingAdapter;
@@ -0,0 +1,108 @@
+// Per-fire history kept in IndexedDB. Every successful fetch stores one
+// snapshot per FIREID so the detail view can chart growth over time.
+// Snapshots older than HISTORY_RETENTION are deleted as new ones arrive.
+
+const DB_NAME = "wildfireHistory";
+const DB_VERSION = 2;
+const STORE = "snapshots";
+
+export const HISTORY_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+// A failed or blocked open is forgotten, so the next call tries again
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      let blocked = false;
+      request.onupgradeneeded = (event) => {
+        const store =
+          event.oldVersion < 1
+            ? request.result.createObjectStore(STORE, {
+                keyPath: ["FIREID", "time"],
+              })
+            : request.transaction.objectStore(STORE);
+        if (!store.indexNames.contains("byFire")) {
+          store.createIndex("byFire", "FIREID");
+        }
+        store.createIndex("byTime", "time");
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        if (blocked) {
+          db.close();
+          return;
+        }
+        // Let a newer version open in another tab
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+      // Another tab still has the old version open
+      request.onblocked = () => {
+        blocked = true;
+        dbPromise = null;
+        reject(new Error("Fire history is open in another tab."));
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const isSupported = () => typeof indexedDB !== "undefined";
+
+export const recordSnapshots = async (fires, time = Date.now()) => {
+  if (!isSupported()) return;
+
+  const db = await openDb();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, "readwrite");
+    const store = tx.objectStore(STORE);
+    fires
+      .filter((fire) => fire.FIREID)
+      .forEach((fire) =>
+        store.put({
+          FIREID: fire.FIREID,
+          time,
+          AREAEST: fire.AREAEST ?? null,
+          STATUS: fire.STATUS,
+        })
+      );
+    const expired = store
+      .index("byTime")
+      .openCursor(IDBKeyRange.upperBound(time - HISTORY_RETENTION));
+    expired.onsuccess = () => {
+      const cursor = expired.result;
+      if (cursor) {
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+// Snapshots for one fire, oldest first
+export const getFireHistory = async (fireId) => {
+  if (!isSupported()) return [];
+
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const request = db
+      .transaction(STORE)
+      .objectStore(STORE)
+      .index("byFire")
+      .getAll(fireId);
+    request.onsuccess = () =>
+      resolve(request.result.sort((a, b) => a.time - b.time));
+    request.onerror = () => reject(request.error);
+  });
+};
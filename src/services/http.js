@@ -0,0 +1,209 @@
+// Shared request layer used by the data adapters. Every request has a
+// timeout, is retried with exponential backoff when the failure looks
+// temporary, and can be cancelled with an AbortSignal (`options.signal`).
+
+// Each attempt's timeout, how many times to retry after the first attempt,
+// and the wait before the first retry, doubled for every retry after it
+export const REQUEST_DEFAULTS = {
+  timeout: 15000,
+  retries: 2,
+  retryDelay: 500,
+};
+
+// Records asked for per ArcGIS query page. Services may return fewer (their
+// maxRecordCount), which paging allows for.
+export const ARCGIS_PAGE_SIZE = 1000;
+
+// Pages fetched before a query is given up as too large
+export const ARCGIS_MAX_PAGES = 50;
+
+export const buildUrl = (url, params) =>
+  params ? `${url}?${new URLSearchParams(params)}` : url;
+
+// Request failures carry `status` (HTTP or ArcGIS error code), `timedOut`,
+// or `truncated` for ArcGIS queries with more results than can be fetched
+const requestError = (message, details) =>
+  Object.assign(new Error(message), details);
+
+const cancelled = () =>
+  new DOMException("The request was cancelled.", "AbortError");
+
+// True for a request cancelled by its caller, which callers should ignore
+export const isAbortError = (err) => Boolean(err) && err.name === "AbortError";
+
+// Timeouts, network errors (fetch rejects with a TypeError), rate limiting
+// and server errors may well succeed on a second try. Anything else won't.
+const isTemporary = (err) =>
+  err.timedOut === true ||
+  err.name === "TypeError" ||
+  err.status === 429 ||
+  err.status >= 500;
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(cancelled());
+      return;
+    }
+    const stop = () => {
+      clearTimeout(timer);
+      reject(cancelled());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", stop);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", stop, { once: true });
+  });
+
+// One attempt. The timeout covers reading the body as well as the headers.
+const fetchOnce = async (url, { signal, timeout, check }) => {
+  if (signal && signal.aborted) throw cancelled();
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const stop = () => controller.abort();
+  if (signal) signal.addEventListener("abort", stop, { once: true });
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw requestError(`Request failed with status: ${response.status}`, {
+        status: response.status,
+      });
+    }
+    const data = await response.json();
+    if (check) check(data);
+    return data;
+  } catch (err) {
+    if (timedOut) {
+      throw requestError(`Request timed out after ${timeout / 1000} s`, {
+        timedOut: true,
+      });
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", stop);
+  }
+};
+
+// `options` overrides REQUEST_DEFAULTS and may add a `signal` to cancel the
+// request and a `check(data)` that throws for error responses.
+export const fetchJson = async (url, params, options = {}) => {
+  const { retries, retryDelay, ...attempt } = {
+    ...REQUEST_DEFAULTS,
+    ...options,
+  };
+  const fullUrl = buildUrl(url, params);
+
+  for (let tries = 0; ; tries += 1) {
+    try {
+      return await fetchOnce(fullUrl, attempt);
+    } catch (err) {
+      if (isAbortError(err) || tries >= retries || !isTemporary(err)) {
+        throw err;
+      }
+      await wait(retryDelay * 2 ** tries, attempt.signal);
+    }
+  }
+};
+
+// ArcGIS REST services answer errors with HTTP 200 and an `error` object,
+// whose code follows HTTP's, so a 504 from the service is retried too.
+export const queryArcgis = (url, params, options) =>
+  fetchJson(
+    url,
+    { f: "json", ...params },
+    {
+      ...options,
+      check: (data) => {
+        if (data.error) {
+          throw requestError(`API Error: ${data.error.message}`, {
+            status: data.error.code,
+          });
+        }
+      },
+    }
+  );
+
+// Whether the layer behind a query URL accepts resultOffset, from its
+// description. Asked once per layer unless the request fails.
+const paginationSupport = new Map();
+
+const supportsPagination = (url, options) => {
+  const layerUrl = url.replace(/\/query$/, "");
+  if (!paginationSupport.has(layerUrl)) {
+    const layer = queryArcgis(layerUrl, {}, options).then(
+      (info) =>
+        Boolean(
+          (info.advancedQueryCapabilities || {}).supportsPagination ||
+            info.supportsPagination
+        ),
+      (err) => {
+        paginationSupport.delete(layerUrl);
+        throw err;
+      }
+    );
+    paginationSupport.set(layerUrl, layer);
+  }
+  return paginationSupport.get(layerUrl);
+};
+
+const truncated = (reason) =>
+  requestError(`Too many results to fetch: ${reason}`, { truncated: true });
+
+// Every feature an ArcGIS query matches. When the first answer says there
+// are more (exceededTransferLimit) and the layer supports paging, the rest
+// is fetched a page at a time with resultOffset/resultRecordCount. Pass
+// orderByFields so pages don't overlap. Rather than return part of the
+// results, fails with `truncated` when the layer can't page, a page adds no
+// new features (the service ignoring the offset) or `maxPages` runs out.
+export const queryArcgisPages = async (
+  url,
+  params,
+  { pageSize = ARCGIS_PAGE_SIZE, maxPages = ARCGIS_MAX_PAGES, ...options } = {}
+) => {
+  const first = await queryArcgis(url, params, options);
+  if (!first.exceededTransferLimit) return first;
+  if (!(await supportsPagination(url, options))) {
+    throw truncated("the service doesn't support paging");
+  }
+
+  const idField = first.objectIdFieldName || "OBJECTID";
+  const seen = new Set();
+  const features = [];
+  let received = 0;
+  // The number of features on the page not seen before
+  const add = (page) => {
+    received += page.length;
+    const added = page.filter(({ attributes = {} }) => {
+      const id = attributes[idField];
+      if (id === undefined) return true;
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+    features.push(...added);
+    return added.length;
+  };
+  add(first.features || []);
+
+  for (let pages = 1; ; pages += 1) {
+    if (pages >= maxPages) throw truncated(`more than ${maxPages} pages`);
+    const data = await queryArcgis(
+      url,
+      { ...params, resultOffset: received, resultRecordCount: pageSize },
+      options
+    );
+    const added = add(data.features || []);
+    if (!data.exceededTransferLimit) {
+      return { ...data, features, exceededTransferLimit: false };
+    }
+    if (added === 0) throw truncated("a page repeated earlier results");
+  }
+};
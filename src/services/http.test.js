@@ -0,0 +1,182 @@
+import { fetchJson, isAbortError, queryArcgis, queryArcgisPages } from "./http";
+
+const respond = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+});
+
+// A fetch that only settles when its signal aborts
+const hang = (url, { signal }) =>
+  new Promise((resolve, reject) =>
+    signal.addEventListener("abort", () =>
+      reject(new DOMException("Aborted", "AbortError"))
+    )
+  );
+
+const fast = { retryDelay: 1, timeout: 50 };
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("fetchJson retries server errors and network failures", async () => {
+  global.fetch = jest
+    .fn()
+    .mockResolvedValueOnce(respond(503))
+    .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+    .mockResolvedValueOnce(respond(200, { ok: true }));
+
+  await expect(fetchJson("https://x.test/a", { q: 1 }, fast)).resolves.toEqual({
+    ok: true,
+  });
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+  expect(global.fetch.mock.calls[0][0]).toBe("https://x.test/a?q=1");
+});
+
+test("fetchJson gives up on client errors and after the last retry", async () => {
+  global.fetch = jest.fn().mockResolvedValue(respond(404));
+  await expect(fetchJson("https://x.test/a", null, fast)).rejects.toThrow(
+    "Request failed with status: 404"
+  );
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+
+  global.fetch = jest.fn().mockResolvedValue(respond(500));
+  await expect(
+    fetchJson("https://x.test/a", null, { ...fast, retries: 1 })
+  ).rejects.toMatchObject({ status: 500 });
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+});
+
+test("fetchJson times out each attempt", async () => {
+  global.fetch = jest.fn(hang);
+  await expect(
+    fetchJson("https://x.test/a", null, { ...fast, retries: 1 })
+  ).rejects.toMatchObject({
+    timedOut: true,
+    message: "Request timed out after 0.05 s",
+  });
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+});
+
+test("fetchJson stops, without retrying, when the caller aborts", async () => {
+  global.fetch = jest.fn(hang);
+  const controller = new AbortController();
+  const request = fetchJson("https://x.test/a", null, {
+    ...fast,
+    timeout: 10000,
+    signal: controller.signal,
+  });
+  controller.abort();
+
+  const error = await request.catch((err) => err);
+  expect(isAbortError(error)).toBe(true);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test("queryArcgis retries ArcGIS server errors reported in the body", async () => {
+  global.fetch = jest
+    .fn()
+    .mockResolvedValueOnce(
+      respond(200, { error: { code: 504, message: "Timeout" } })
+    )
+    .mockResolvedValueOnce(respond(200, { features: [] }));
+  await expect(queryArcgis("https://x.test/query", {}, fast)).resolves.toEqual({
+    features: [],
+  });
+
+  global.fetch = jest
+    .fn()
+    .mockResolvedValue(
+      respond(200, { error: { code: 400, message: "Invalid query" } })
+    );
+  await expect(queryArcgis("https://x.test/query", {}, fast)).rejects.toThrow(
+    "API Error: Invalid query"
+  );
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+const feature = (id) => ({ attributes: { OBJECTID: id } });
+const pagingLayer = respond(200, {
+  advancedQueryCapabilities: { supportsPagination: true },
+});
+
+test("queryArcgisPages follows exceededTransferLimit to the last page", async () => {
+  global.fetch = jest
+    .fn()
+    .mockResolvedValueOnce(
+      respond(200, {
+        features: [feature(1), feature(2)],
+        exceededTransferLimit: true,
+      })
+    )
+    .mockResolvedValueOnce(pagingLayer)
+    .mockResolvedValueOnce(
+      respond(200, { features: [feature(3)], exceededTransferLimit: true })
+    )
+    .mockResolvedValueOnce(respond(200, { features: [feature(4)] }));
+
+  const data = await queryArcgisPages(
+    "https://x.test/paged/query",
+    { where: "1=1" },
+    { ...fast, pageSize: 2 }
+  );
+  expect(data.features.map((f) => f.attributes.OBJECTID)).toEqual([1, 2, 3, 4]);
+  expect(data.exceededTransferLimit).toBe(false);
+
+  // The first page is a plain query; the service may cap pages below the
+  // requested size
+  const [query, layer, ...pages] = global.fetch.mock.calls.map(
+    ([url]) => new URL(url)
+  );
+  expect(query.searchParams.has("resultOffset")).toBe(false);
+  expect(layer.pathname).toBe("/paged");
+  expect(
+    pages.map(({ searchParams }) => [
+      searchParams.get("resultOffset"),
+      searchParams.get("resultRecordCount"),
+    ])
+  ).toEqual([
+    ["2", "2"],
+    ["3", "2"],
+  ]);
+});
+
+test("queryArcgisPages reports results it can't fetch in full", async () => {
+  const more = (...ids) =>
+    respond(200, { features: ids.map(feature), exceededTransferLimit: true });
+
+  // A layer that can't page
+  global.fetch = jest
+    .fn()
+    .mockResolvedValueOnce(more(1))
+    .mockResolvedValueOnce(respond(200, { supportsPagination: false }));
+  await expect(
+    queryArcgisPages("https://x.test/unpaged/query", {}, fast)
+  ).rejects.toMatchObject({ truncated: true });
+
+  // A service ignoring resultOffset
+  global.fetch = jest
+    .fn()
+    .mockResolvedValueOnce(more(1, 2))
+    .mockResolvedValueOnce(pagingLayer)
+    .mockResolvedValue(more(1, 2));
+  await expect(
+    queryArcgisPages("https://x.test/repeats/query", {}, fast)
+  ).rejects.toMatchObject({ truncated: true });
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+
+  // More pages than allowed
+  let next = 0;
+  global.fetch = jest.fn(async (url) =>
+    url.includes("/query") ? more((next += 1)) : pagingLayer
+  );
+  await expect(
+    queryArcgisPages(
+      "https://x.test/endless/query",
+      {},
+      { ...fast, maxPages: 3 }
+    )
+  ).rejects.toMatchObject({ truncated: true });
+  expect(global.fetch).toHaveBeenCalledTimes(4);
+});
@@ -0,0 +1,101 @@
+import config from "../config";
+import createArcgisFireAdapter from "./adapters/arcgisFires";
+import createArcgisHotspotAdapter from "./adapters/arcgisHotspots";
+import createArcgisGeocoder from "./adapters/arcgisGeocoder";
+import createOpenMeteoWeatherAdapter from "./adapters/openMeteoWeather";
+import createOsrmRoutingAdapter from "./adapters/osrmRouting";
+import {
+  createFixtureFireAdapter,
+  createFixtureHotspotAdapter,
+  createFixtureGeocoder,
+  createFixtureWeatherAdapter,
+} from "./adapters/fixtures";
+
+// Data-provider layer. Each kind of data has its own adapter interface:
+//
+//   fires:    { name, getFires() }        -> [{ FIREID, STATUS, LATITUDE, LONGITUDE, ... }]
+//             (`demo: true` on fires that are samples, not live incidents)
+//             optional getPerimeters()    -> { [FIREID]: rings } (ArcGIS [lng, lat] rings)
+//             Both take `near: { lat, lng, radius }` (km) in their options to
+//             only return fires within that distance, or everything without it.
+//   hotspots: { name, getHotspots() }     -> [{ FIREID, STATUS, LATITUDE, LONGITUDE, isHotspot, ... }]
+//   geocoder: { name, geocode(address) }  -> { lat, lng, score, address }
+//             reverseGeocode(lat, lng)    -> { lat, lng, address }
+//             optional findCandidates(address) -> [{ lat, lng, score, address }], best first
+//             optional suggest(text)      -> ["type-ahead suggestion", ...]
+//             (an address or location with no match rejects with `notFound: true`)
+//   weather:  { name, getWind(points) }   -> [{ speed, direction }] per { lat, lng }
+//             (km/h, and the compass bearing the wind blows from)
+//   routing:  { name, getTable(origin, destinations) } -> [{ distance, duration } | null]
+//             getRoute(origin, destination)  -> { distance, duration, path: [[lat, lng]] }
+//             (km and minutes; "none" disables road distances)
+//
+// Every method also takes a last, optional `{ signal }` argument: an
+// AbortSignal that cancels the request, e.g. when a newer search replaces
+// it. Requests go through src/services/http.js, which adds timeouts and
+// retries.
+//
+// Adapters are created by factories that receive the app config. Feeds from
+// other agencies can be added with the register* functions and selected
+// through config.sources without touching the UI.
+
+const registry = {
+  fires: {
+    arcgis: (cfg) =>
+      createArcgisFireAdapter({
+        url: cfg.arcgis.firesUrl,
+        perimetersUrl: cfg.arcgis.perimetersUrl,
+      }),
+    fixture: () => createFixtureFireAdapter(),
+  },
+  hotspots: {
+    arcgis: (cfg) =>
+      createArcgisHotspotAdapter({
+        url: cfg.arcgis.hotspotsUrl,
+        extent: cfg.extent,
+      }),
+    fixture: () => createFixtureHotspotAdapter(),
+  },
+  geocoder: {
+    arcgis: (cfg) => createArcgisGeocoder({ url: cfg.arcgis.geocoderUrl }),
+    fixture: () => createFixtureGeocoder(),
+  },
+  weather: {
+    "open-meteo": (cfg) =>
+      createOpenMeteoWeatherAdapter({ url: cfg.openMeteo.url }),
+    fixture: () => createFixtureWeatherAdapter(),
+  },
+  routing: {
+    osrm: (cfg) => createOsrmRoutingAdapter({ url: cfg.osrm.url }),
+    none: () => null,
+  },
+};
+
+const register = (kind) => (name, factory) => {
+  registry[kind][name] = factory;
+};
+
+export const registerFireAdapter = register("fires");
+export const registerHotspotAdapter = register("hotspots");
+export const registerGeocoder = register("geocoder");
+export const registerWeatherAdapter = register("weather");
+export const registerRoutingAdapter = register("routing");
+
+const create = (kind, cfg) => {
+  const name = cfg.sources[kind];
+  const factory = registry[kind][name];
+
+  if (!factory) {
+    throw new Error(`Unknown ${kind} adapter: "${name}"`);
+  }
+
+  return factory(cfg);
+};
+
+export const createProviders = (cfg = config) => ({
+  fires: create("fires", cfg),
+  hotspots: create("hotspots", cfg),
+  geocoder: create("geocoder", cfg),
+  weather: create("weather", cfg),
+  routing: create("routing", cfg),
+});
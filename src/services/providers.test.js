@@ -0,0 +1,265 @@
+import { createProviders, registerFireAdapter } from "./providers";
+import config from "../config";
+import firesFixture from "./fixtures/fires.json";
+import perimetersFixture from "./fixtures/perimeters.json";
+import { calculateDistance, distanceToPolygonEdge } from "../utils/geo";
+
+const fixtureConfig = {
+  ...config,
+  sources: {
+    fires: "fixture",
+    hotspots: "fixture",
+    geocoder: "fixture",
+    weather: "fixture",
+    routing: "none",
+  },
+};
+
+test("fixture adapters replay recorded ArcGIS responses", async () => {
+  const providers = createProviders(fixtureConfig);
+
+  const fires = await providers.fires.getFires();
+  expect(fires.map((fire) => fire.FIREID)).toEqual([
+    "NL-2025-Kingston",
+    "NL-2025-Ochre",
+    "NL-2025-Trinity",
+  ]);
+  expect(fires[0]).toMatchObject({ LATITUDE: 47.75, LONGITUDE: -53.18 });
+  expect(fires.every((fire) => fire.demo)).toBe(true);
+
+  const hotspots = await providers.hotspots.getHotspots();
+  expect(hotspots).toHaveLength(3);
+  expect(hotspots[0]).toMatchObject({
+    FIREID: "hotspot-101",
+    STATUS: "high",
+    isHotspot: true,
+  });
+});
+
+test("fires can be limited to a distance from a location", async () => {
+  const providers = createProviders(fixtureConfig);
+  const near = { lat: 47.75, lng: -53.18, radius: 10 };
+
+  const fires = await providers.fires.getFires({ near });
+  expect(fires.map((fire) => fire.FIREID)).toEqual([
+    "NL-2025-Kingston",
+    "NL-2025-Ochre",
+  ]);
+});
+
+test("the ArcGIS fire adapter asks the server for nearby fires and used fields", async () => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    status: 200,
+    json: async () => ({ features: [] }),
+  });
+  const providers = createProviders({
+    ...fixtureConfig,
+    sources: { ...fixtureConfig.sources, fires: "arcgis" },
+  });
+
+  await providers.fires.getFires({
+    near: { lat: 47.5, lng: -52.7, radius: 30 },
+  });
+  const params = new URL(global.fetch.mock.calls[0][0]).searchParams;
+  expect(Object.fromEntries(params)).toMatchObject({
+    geometry: "-52.7,47.5",
+    geometryType: "esriGeometryPoint",
+    distance: "30",
+    units: "esriSRUnit_Kilometer",
+    outFields:
+      "OBJECTID,FIREID,NAME,PROVFIRENUM,STATUS,AREAEST,FIREDATE,CAUSE,REGION,DISTRICT",
+  });
+  delete global.fetch;
+});
+
+test("the ArcGIS fire adapter adds fires whose perimeter is in range", async () => {
+  const answer = (features) => ({
+    ok: true,
+    status: 200,
+    json: async () => ({ features }),
+  });
+  const fire = (FIREID, x) => ({
+    attributes: { FIREID, STATUS: "OC" },
+    geometry: { x, y: 47.5 },
+  });
+  global.fetch = jest
+    .fn()
+    .mockResolvedValueOnce(answer([fire("NL-1", -52.7)]))
+    .mockResolvedValueOnce(
+      answer([
+        { attributes: { FIREID: "NL-1" } },
+        { attributes: { FIREID: "NL-2" } },
+      ])
+    )
+    .mockResolvedValueOnce(answer([fire("NL-2", -53.5)]));
+  const providers = createProviders({
+    ...fixtureConfig,
+    sources: { ...fixtureConfig.sources, fires: "arcgis" },
+  });
+
+  const fires = await providers.fires.getFires({
+    near: { lat: 47.5, lng: -52.7, radius: 30 },
+  });
+  expect(fires.map((f) => f.FIREID)).toEqual(["NL-1", "NL-2"]);
+  const params = new URL(global.fetch.mock.calls[2][0]).searchParams;
+  expect(params.get("where")).toBe(
+    "STATUS IN ('OC','BH','UC') AND FIREID IN ('NL-2')"
+  );
+  expect(params.has("geometry")).toBe(false);
+  delete global.fetch;
+});
+
+// The recorded fire layers behind a stand-in ArcGIS server that answers
+// distance and FIREID queries
+const serveRecordedLayers = async (url) => {
+  const { searchParams } = new URL(url);
+  const perimeterLayer = url.startsWith(config.arcgis.perimetersUrl);
+  const layer = perimeterLayer ? perimetersFixture : firesFixture;
+  let features = layer.features;
+  if (searchParams.has("geometry")) {
+    const [lng, lat] = searchParams.get("geometry").split(",").map(Number);
+    const radius = Number(searchParams.get("distance"));
+    features = features.filter(({ geometry }) =>
+      perimeterLayer
+        ? distanceToPolygonEdge(lat, lng, geometry.rings) <= radius
+        : calculateDistance(lat, lng, geometry.y, geometry.x) <= radius
+    );
+  }
+  const ids = /FIREID IN \(([^)]*)\)/.exec(searchParams.get("where"));
+  if (ids) {
+    features = features.filter(({ attributes }) =>
+      ids[1].includes(`'${attributes.FIREID}'`)
+    );
+  }
+  return { ok: true, status: 200, json: async () => ({ features }) };
+};
+
+test("the ArcGIS and fixture adapters return the same nearby fires", async () => {
+  global.fetch = jest.fn(serveRecordedLayers);
+  const arcgis = createProviders({
+    ...fixtureConfig,
+    sources: { ...fixtureConfig.sources, fires: "arcgis" },
+  });
+  const fixture = createProviders(fixtureConfig);
+  const ids = (fires) => fires.map((fire) => fire.FIREID).sort();
+
+  // Kingston's centre is 13 km away, the edge of its perimeter 8 km
+  const near = { lat: 47.75, lng: -53.0, radius: 10 };
+  const fires = await fixture.fires.getFires({ near });
+  expect(ids(fires)).toEqual(["NL-2025-Kingston"]);
+  expect(ids(await arcgis.fires.getFires({ near }))).toEqual(ids(fires));
+
+  const wider = { ...near, radius: 20 };
+  expect(ids(await arcgis.fires.getFires({ near: wider }))).toEqual(
+    ids(await fixture.fires.getFires({ near: wider }))
+  );
+  delete global.fetch;
+});
+
+test("the ArcGIS fire adapter fetches every attribute of one fire", async () => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    status: 200,
+    json: async () => ({
+      features: [
+        {
+          attributes: { FIREID: "NL-1", STATUS: "O", FUELTYPE: "C2" },
+          geometry: { x: -53.2, y: 47.7 },
+        },
+      ],
+    }),
+  });
+  const providers = createProviders({
+    ...fixtureConfig,
+    sources: { ...fixtureConfig.sources, fires: "arcgis" },
+  });
+
+  await expect(providers.fires.getFire("NL-1")).resolves.toEqual({
+    FIREID: "NL-1",
+    STATUS: "O",
+    FUELTYPE: "C2",
+    LATITUDE: 47.7,
+    LONGITUDE: -53.2,
+  });
+  const params = new URL(global.fetch.mock.calls[0][0]).searchParams;
+  expect(params.get("where")).toBe("FIREID = 'NL-1'");
+  expect(params.get("outFields")).toBe("*");
+  delete global.fetch;
+});
+
+test("fixture geocoder matches any part of the address", async () => {
+  const { geocoder } = createProviders(fixtureConfig);
+
+  await expect(geocoder.geocode("12 Elm Rd, Gander")).resolves.toMatchObject({
+    lat: 48.9566,
+    lng: -54.6089,
+  });
+  await expect(geocoder.geocode("Nowhere")).rejects.toThrow(
+    "Geocoding failed: Address not found"
+  );
+  await expect(geocoder.geocode("Nowhere")).rejects.toMatchObject({
+    notFound: true,
+  });
+});
+
+test("fixture geocoder lists every candidate and suggests addresses", async () => {
+  const { geocoder } = createProviders(fixtureConfig);
+
+  const candidates = await geocoder.findCandidates("Sandy Cove");
+  expect(candidates.map((c) => c.address)).toEqual([
+    "Sandy Cove, Bonavista Bay, Newfoundland and Labrador",
+    "Sandy Cove, Great Northern Peninsula, Newfoundland and Labrador",
+  ]);
+  await expect(geocoder.suggest("sandy")).resolves.toContain(
+    "Sandy Cove, Bonavista Bay, Newfoundland and Labrador"
+  );
+});
+
+test("fixture geocoder reverse-geocodes to the closest recorded place", async () => {
+  const { geocoder } = createProviders(fixtureConfig);
+
+  await expect(geocoder.reverseGeocode(48.95, -54.6)).resolves.toEqual({
+    lat: 48.95,
+    lng: -54.6,
+    address: "Gander, Newfoundland and Labrador",
+  });
+});
+
+test("fixture weather reports the recorded wind for every point", async () => {
+  const { weather } = createProviders(fixtureConfig);
+
+  await expect(
+    weather.getWind([
+      { lat: 47.75, lng: -53.18 },
+      { lat: 48.95, lng: -54.6 },
+    ])
+  ).resolves.toEqual([
+    { speed: 28.4, direction: 250 },
+    { speed: 28.4, direction: 250 },
+  ]);
+});
+
+test("custom adapters can be registered and selected by config", async () => {
+  registerFireAdapter("static", () => ({
+    name: "static",
+    getFires: async () => [{ FIREID: "X-1", STATUS: "OC" }],
+  }));
+
+  const providers = createProviders({
+    ...fixtureConfig,
+    sources: { ...fixtureConfig.sources, fires: "static" },
+  });
+
+  expect(providers.fires.name).toBe("static");
+  await expect(providers.fires.getFires()).resolves.toHaveLength(1);
+});
+
+test("unknown adapter names are rejected", () => {
+  expect(() =>
+    createProviders({
+      ...fixtureConfig,
+      sources: { ...fixtureConfig.sources, hotspots: "nope" },
+    })
+  ).toThrow('Unknown hotspots adapter: "nope"');
+});
@@ -0,0 +1,179 @@
+import { summarizeThreat } from "./risk";
+import { english } from "../i18n/translate";
+
+const LAT_COLUMNS = ["lat", "latitude", "y"];
+const LNG_COLUMNS = ["lng", "lon", "long", "longitude", "x"];
+const NAME_COLUMNS = ["name", "title", "label", "site", "id"];
+const TYPE_COLUMNS = ["type", "category", "kind"];
+
+// Splits CSV text into rows of cells, honouring quoted cells that contain
+// commas, doubled quotes or line breaks.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+};
+
+const findColumn = (headers, names) =>
+  headers.findIndex((header) => names.includes(header.trim().toLowerCase()));
+
+const isValidPoint = (lat, lng) =>
+  Number.isFinite(lat) &&
+  Number.isFinite(lng) &&
+  Math.abs(lat) <= 90 &&
+  Math.abs(lng) <= 180;
+
+// Import failures carry a `code`, shown as the "assets.error.<code>" message
+const importError = (code) =>
+  Object.assign(new Error(`Asset import failed: ${code}`), { code });
+
+const toAsset = (name, type, lat, lng, index) => ({
+  id: `asset-${index}`,
+  number: index + 1,
+  name: String(name || "").trim(),
+  type: String(type || "").trim(),
+  lat,
+  lng,
+});
+
+// Assets from a CSV with a header row. Latitude and longitude columns are
+// required; name and type columns are used when present.
+export const parseAssetCsv = (text) => {
+  const [headers, ...rows] = parseCsv(text);
+  if (!headers) throw importError("empty");
+  const latColumn = findColumn(headers, LAT_COLUMNS);
+  const lngColumn = findColumn(headers, LNG_COLUMNS);
+  if (latColumn === -1 || lngColumn === -1) {
+    throw importError("noCoordinates");
+  }
+  const nameColumn = findColumn(headers, NAME_COLUMNS);
+  const typeColumn = findColumn(headers, TYPE_COLUMNS);
+
+  const assets = [];
+  let skipped = 0;
+  rows.forEach((cells, index) => {
+    const lat = parseFloat(cells[latColumn]);
+    const lng = parseFloat(cells[lngColumn]);
+    if (!isValidPoint(lat, lng)) {
+      skipped++;
+      return;
+    }
+    assets.push(toAsset(cells[nameColumn], cells[typeColumn], lat, lng, index));
+  });
+  return { assets, skipped };
+};
+
+const findProperty = (properties, names) => {
+  const key = Object.keys(properties).find((property) =>
+    names.includes(property.toLowerCase())
+  );
+  return key ? properties[key] : "";
+};
+
+// Assets from the Point features of a GeoJSON FeatureCollection. Other
+// geometry types are skipped.
+export const parseAssetGeoJson = (data) => {
+  const features =
+    data.type === "FeatureCollection"
+      ? data.features || []
+      : data.type === "Feature"
+      ? [data]
+      : null;
+  if (!features) throw importError("notGeoJson");
+
+  const assets = [];
+  let skipped = 0;
+  features.forEach((feature, index) => {
+    const geometry = feature.geometry || {};
+    const [lng, lat] = geometry.type === "Point" ? geometry.coordinates : [];
+    if (!isValidPoint(lat, lng)) {
+      skipped++;
+      return;
+    }
+    const properties = feature.properties || {};
+    assets.push(
+      toAsset(
+        findProperty(properties, NAME_COLUMNS),
+        findProperty(properties, TYPE_COLUMNS),
+        lat,
+        lng,
+        index
+      )
+    );
+  });
+  return { assets, skipped };
+};
+
+// Picks the parser from the file name, falling back to sniffing the content.
+export const parseAssetFile = (fileName, text) => {
+  const isJson =
+    /\.(geo)?json$/i.test(fileName) ||
+    (!/\.csv$/i.test(fileName) && text.trim().startsWith("{"));
+  if (!isJson) return parseAssetCsv(text);
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw importError("invalidJson");
+  }
+  return parseAssetGeoJson(data);
+};
+
+// Unnamed assets are numbered by their row or feature in the imported file
+export const getAssetName = (asset, t = english) =>
+  asset.name || t("assets.unnamed", { number: asset.number });
+
+// The same threat summary as the saved places dashboard, for every asset.
+export const rankAssets = (assets, fires, riskRules) =>
+  assets.map((asset) => ({
+    ...asset,
+    ...summarizeThreat(asset, fires, riskRules),
+  }));
+
+const ASSET_SORTS = {
+  name: (a, b) => getAssetName(a).localeCompare(getAssetName(b)),
+  type: (a, b) => a.type.localeCompare(b.type),
+  distance: (a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity),
+  risk: (a, b) =>
+    b.risk.rank - a.risk.rank ||
+    (a.distance ?? Infinity) - (b.distance ?? Infinity),
+};
+
+export const sortAssets = (ranked, column, descending = false) => {
+  const sorted = [...ranked].sort(ASSET_SORTS[column] || ASSET_SORTS.risk);
+  return descending ? sorted.reverse() : sorted;
+};
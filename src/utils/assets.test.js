@@ -0,0 +1,100 @@
+import {
+  getAssetName,
+  parseAssetCsv,
+  parseAssetFile,
+  parseCsv,
+  rankAssets,
+  sortAssets,
+} from "./assets";
+
+test("parseCsv handles quoted cells and CRLF line endings", () => {
+  expect(parseCsv('name,lat\r\n"Cabin, ""North""",47.5\r\n\r\n')).toEqual([
+    ["name", "lat"],
+    ['Cabin, "North"', "47.5"],
+  ]);
+});
+
+test("parseAssetCsv finds the coordinate columns and skips bad rows", () => {
+  const { assets, skipped } = parseAssetCsv(
+    "Site,Type,Latitude,Longitude\nTower 1,tower,47.7,-53.2\nDepot,depot,,-53\n"
+  );
+  expect(assets).toEqual([
+    {
+      id: "asset-0",
+      number: 1,
+      name: "Tower 1",
+      type: "tower",
+      lat: 47.7,
+      lng: -53.2,
+    },
+  ]);
+  expect(skipped).toBe(1);
+  expect(() => parseAssetCsv("name,address\nA,B")).toThrow(
+    expect.objectContaining({ code: "noCoordinates" })
+  );
+});
+
+test("unnamed assets are numbered by their row", () => {
+  const { assets } = parseAssetCsv("lat,lng\n47.7,-53.2\n47.8,-53.3\n");
+  expect(assets.map((asset) => getAssetName(asset))).toEqual([
+    "Asset 1",
+    "Asset 2",
+  ]);
+  expect(() => parseAssetFile("sites.json", "{")).toThrow(
+    expect.objectContaining({ code: "invalidJson" })
+  );
+});
+
+test("parseAssetFile reads GeoJSON points", () => {
+  const { assets, skipped } = parseAssetFile(
+    "sites.geojson",
+    JSON.stringify({
+      type: "FeatureCollection",
+      features: [
+        {
+          type: "Feature",
+          properties: { NAME: "Cabin" },
+          geometry: { type: "Point", coordinates: [-53.2, 47.7] },
+        },
+        {
+          type: "Feature",
+          properties: { name: "Trail" },
+          geometry: { type: "LineString", coordinates: [] },
+        },
+      ],
+    })
+  );
+  expect(assets).toEqual([
+    {
+      id: "asset-0",
+      number: 1,
+      name: "Cabin",
+      type: "",
+      lat: 47.7,
+      lng: -53.2,
+    },
+  ]);
+  expect(skipped).toBe(1);
+});
+
+test("rankAssets and sortAssets put the most threatened asset first", () => {
+  const fires = [
+    { FIREID: "F1", STATUS: "OC", LATITUDE: 47.75, LONGITUDE: -53.18 },
+  ];
+  const ranked = rankAssets(
+    [
+      { id: "far", name: "Far", type: "", lat: 49.0, lng: -55.0 },
+      { id: "near", name: "Near", type: "", lat: 47.76, lng: -53.19 },
+    ],
+    fires
+  );
+  expect(ranked[1].risk.level).toBe("EXTREME RISK");
+  expect(sortAssets(ranked, "risk").map((asset) => asset.id)).toEqual([
+    "near",
+    "far",
+  ]);
+  expect(sortAssets(ranked, "name", true).map((asset) => asset.id)).toEqual([
+    "near",
+    "far",
+  ]);
+});
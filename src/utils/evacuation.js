@@ -0,0 +1,127 @@
+import {
+  angleDifference,
+  calculateBearing,
+  calculateDistance,
+  getFireDistance,
+} from "./geo";
+import { coversQuery, getFireQuery } from "./fireFilters";
+
+// threatRadius: fires (OC or BH) closer than this decide which way is "away"
+// minDistance:  ignore communities this close, they are where the user is
+// routeBuffer:  flag routes passing this close to an out-of-control fire
+// candidates:   how many communities to ask the router about
+export const EVACUATION = {
+  threatRadius: 100,
+  minDistance: 5,
+  routeBuffer: 5,
+  candidates: 3,
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const isThreat = (fire) =>
+  ["OC", "BH"].includes(fire.STATUS) && fire.distance < EVACUATION.threatRadius;
+
+// Average bearing from the location to the threatening fires, weighted so
+// nearer fires count more. Null when nothing is threatening.
+export const getThreatBearing = (location, fires) => {
+  const threats = fires.filter(isThreat);
+  if (threats.length === 0) return null;
+
+  let x = 0;
+  let y = 0;
+  threats.forEach((fire) => {
+    const bearing = toRadians(
+      calculateBearing(
+        location.lat,
+        location.lng,
+        fire.LATITUDE,
+        fire.LONGITUDE
+      )
+    );
+    const weight = 1 / Math.max(fire.distance, 1);
+    x += weight * Math.cos(bearing);
+    y += weight * Math.sin(bearing);
+  });
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+// Out-of-control fires that come within `buffer` km of a route.
+export const findFiresNearRoute = (
+  path,
+  fires,
+  buffer = EVACUATION.routeBuffer
+) =>
+  fires.filter(
+    (fire) =>
+      fire.STATUS === "OC" &&
+      path.some(
+        ([lat, lng]) => getFireDistance({ lat, lng }, fire).distance < buffer
+      )
+  );
+
+// The fires to plan a way out from `location` with, as fires measured from
+// it. `fires` were loaded for `scope` (a fire `near` query, null for all);
+// a radius filter can leave out threats that decide which way is away and
+// fires along the road out. `fetchFires(near)` loads and measures more:
+// those within the threat radius, and every fire once one threatens.
+export const getEvacuationFires = async (
+  location,
+  fires,
+  scope,
+  fetchFires
+) => {
+  if (!scope) return fires;
+  const threatQuery = getFireQuery(location, EVACUATION.threatRadius);
+  const nearby = coversQuery(scope, threatQuery)
+    ? fires
+    : await fetchFires(threatQuery);
+  return getThreatBearing(location, nearby) === null
+    ? nearby
+    : fetchFires(null);
+};
+
+// Nearest communities that lie away from the fires (at least 90 degrees off
+// the threat bearing) and are not themselves close to an out-of-control fire.
+export const findEvacuationCandidates = (location, fires, communities) => {
+  const threatBearing = getThreatBearing(location, fires);
+  if (threatBearing === null) return [];
+
+  return communities
+    .map((community) => ({
+      ...community,
+      distance: calculateDistance(
+        location.lat,
+        location.lng,
+        community.lat,
+        community.lng
+      ),
+      bearing: calculateBearing(
+        location.lat,
+        location.lng,
+        community.lat,
+        community.lng
+      ),
+    }))
+    .filter(
+      (community) =>
+        community.distance >= EVACUATION.minDistance &&
+        angleDifference(community.bearing, threatBearing) >= 90 &&
+        findFiresNearRoute([[community.lat, community.lng]], fires).length === 0
+    )
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, EVACUATION.candidates);
+};
+
+// Picks the quickest route that stays clear of out-of-control fires, or the
+// quickest one overall (flagged) when none does.
+export const chooseEvacuationRoute = (options) => {
+  const byDuration = [...options].sort(
+    (a, b) => a.route.duration - b.route.duration
+  );
+  return (
+    byDuration.find((option) => option.firesNearRoute.length === 0) ||
+    byDuration[0] ||
+    null
+  );
+};
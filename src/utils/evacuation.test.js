@@ -0,0 +1,111 @@
+import {
+  chooseEvacuationRoute,
+  findEvacuationCandidates,
+  findFiresNearRoute,
+  getEvacuationFires,
+  getThreatBearing,
+} from "./evacuation";
+import { getFireQuery } from "./fireFilters";
+
+const location = { lat: 48.0, lng: -54.0 };
+// Out-of-control fire about 15 km due north
+const northFire = {
+  FIREID: "north",
+  STATUS: "OC",
+  LATITUDE: 48.135,
+  LONGITUDE: -54.0,
+  distance: 15,
+};
+
+const communities = [
+  { name: "North Town", lat: 48.3, lng: -54.0 },
+  { name: "South Town", lat: 47.8, lng: -54.0 },
+  { name: "Far South Town", lat: 47.5, lng: -54.0 },
+  { name: "Next Door", lat: 48.01, lng: -54.0 },
+];
+
+test("getThreatBearing points at the threatening fires", () => {
+  expect(getThreatBearing(location, [northFire])).toBeCloseTo(0, 0);
+  expect(
+    getThreatBearing(location, [{ ...northFire, STATUS: "UC" }])
+  ).toBeNull();
+});
+
+test("findEvacuationCandidates keeps communities away from the fires", () => {
+  expect(
+    findEvacuationCandidates(location, [northFire], communities).map(
+      (community) => community.name
+    )
+  ).toEqual(["South Town", "Far South Town"]);
+});
+
+test("findFiresNearRoute flags routes that pass an out-of-control fire", () => {
+  const throughFire = [
+    [48.0, -54.0],
+    [48.135, -54.01],
+    [48.3, -54.0],
+  ];
+  const awayFromFire = [
+    [48.0, -54.0],
+    [47.8, -54.0],
+  ];
+
+  expect(findFiresNearRoute(throughFire, [northFire])).toEqual([northFire]);
+  expect(findFiresNearRoute(awayFromFire, [northFire])).toEqual([]);
+  expect(
+    findFiresNearRoute(throughFire, [{ ...northFire, STATUS: "BH" }])
+  ).toEqual([]);
+});
+
+test("chooseEvacuationRoute prefers the quickest route clear of fires", () => {
+  const quickButFlagged = {
+    route: { duration: 10 },
+    firesNearRoute: [northFire],
+  };
+  const slowerAndClear = { route: { duration: 20 }, firesNearRoute: [] };
+
+  expect(chooseEvacuationRoute([quickButFlagged, slowerAndClear])).toBe(
+    slowerAndClear
+  );
+  expect(chooseEvacuationRoute([quickButFlagged])).toBe(quickButFlagged);
+  expect(chooseEvacuationRoute([])).toBeNull();
+});
+
+test("getEvacuationFires looks past the list radius for threats", async () => {
+  // A 10 km filter loaded fires within 10 km; this one is 60 km north
+  const scope = getFireQuery(location, 10);
+  const farFire = {
+    ...northFire,
+    FIREID: "far",
+    LATITUDE: 48.54,
+    distance: 60,
+  };
+  const fetchFires = jest.fn(async () => [farFire]);
+
+  const fires = await getEvacuationFires(location, [], scope, fetchFires);
+  expect(fires).toEqual([farFire]);
+  expect(fetchFires.mock.calls).toEqual([
+    [getFireQuery(location, 100)],
+    [null],
+  ]);
+  expect(
+    findEvacuationCandidates(location, fires, communities).map(
+      (community) => community.name
+    )
+  ).toEqual(["South Town", "Far South Town"]);
+
+  // Nothing threatening nearby: no need for every fire
+  fetchFires.mockClear();
+  fetchFires.mockResolvedValue([]);
+  await expect(
+    getEvacuationFires(location, [], scope, fetchFires)
+  ).resolves.toEqual([]);
+  expect(fetchFires).toHaveBeenCalledTimes(1);
+
+  // Fires loaded without a radius are all there is
+  fetchFires.mockClear();
+  await expect(
+    getEvacuationFires(location, [northFire], null, fetchFires)
+  ).resolves.toEqual([northFire]);
+  expect(fetchFires).not.toHaveBeenCalled();
+});
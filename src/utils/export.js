@@ -0,0 +1,215 @@
+import { calculateBearing, compassDirection } from "./geo";
+import { assessFireRisk } from "./risk";
+import { getFireName, getHotspotName, getStatusText } from "./fireLabels";
+import { normalizeConfidence } from "./hotspots";
+
+const toIso = (time) => (time ? new Date(time).toISOString() : "");
+
+const round = (value, digits) =>
+  value === null || value === undefined || Number.isNaN(value)
+    ? ""
+    : Number(value.toFixed(digits));
+
+// Flat records for every fire and hotspot in the export, with the computed
+// distance, bearing and risk relative to the searched location, and that
+// location plus the data timestamp repeated on each record so a single row
+// still makes sense on its own in a spreadsheet.
+export const buildExportRecords = ({
+  fires,
+  hotspots = [],
+  location,
+  dataTime,
+  roadDistances = {},
+  riskRules,
+}) => {
+  const context = {
+    search_address: location ? location.address || "" : "",
+    search_lat: location ? round(location.lat, 5) : "",
+    search_lng: location ? round(location.lng, 5) : "",
+    data_time: toIso(dataTime),
+  };
+  const bearingTo = (item) =>
+    location
+      ? calculateBearing(
+          location.lat,
+          location.lng,
+          item.LATITUDE,
+          item.LONGITUDE
+        )
+      : null;
+
+  const fireRecords = fires.map((fire) => {
+    const bearing = bearingTo(fire);
+    const road = roadDistances[fire.FIREID];
+    const risk = location
+      ? assessFireRisk(location, fire, fire.distance, riskRules)
+      : null;
+    return {
+      type: "fire",
+      id: fire.FIREID,
+      name: getFireName(fire),
+      status: getStatusText(fire.STATUS),
+      area_ha: fire.AREAEST ?? "",
+      cause: fire.CAUSE || "",
+      region: fire.REGION || "",
+      start_date: toIso(fire.FIREDATE),
+      confidence: "",
+      frp_mw: "",
+      latitude: round(fire.LATITUDE, 5),
+      longitude: round(fire.LONGITUDE, 5),
+      distance_km: round(fire.distance, 2),
+      distance_to: fire.distanceTo || "",
+      bearing_deg: round(bearing, 0),
+      direction: bearing === null ? "" : compassDirection(bearing),
+      risk_level: risk ? risk.level : "",
+      risk_reason: risk ? risk.explanation : "",
+      drive_km: road ? round(road.distance, 1) : "",
+      drive_min: road ? round(road.duration, 0) : "",
+      ...context,
+    };
+  });
+
+  const hotspotRecords = hotspots.map((hotspot) => {
+    const bearing = bearingTo(hotspot);
+    return {
+      type: "hotspot",
+      id: hotspot.FIREID,
+      name: getHotspotName(hotspot),
+      status: "",
+      area_ha: "",
+      cause: "",
+      region: "",
+      start_date: toIso(hotspot.acq_date),
+      confidence: normalizeConfidence(hotspot.confidence),
+      frp_mw: hotspot.frp ?? "",
+      latitude: round(hotspot.LATITUDE, 5),
+      longitude: round(hotspot.LONGITUDE, 5),
+      distance_km: round(hotspot.distance, 2),
+      distance_to: "",
+      bearing_deg: round(bearing, 0),
+      direction: bearing === null ? "" : compassDirection(bearing),
+      risk_level: "",
+      risk_reason: "",
+      drive_km: "",
+      drive_min: "",
+      ...context,
+    };
+  });
+
+  return [...fireRecords, ...hotspotRecords];
+};
+
+const csvCell = (value) => {
+  const text = String(value ?? "");
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (records) => {
+  if (records.length === 0) return "";
+  const columns = Object.keys(records[0]);
+  return [
+    columns.join(","),
+    ...records.map((record) =>
+      columns.map((column) => csvCell(record[column])).join(",")
+    ),
+  ].join("\r\n");
+};
+
+export const toGeoJson = (records, { location, dataTime } = {}) => ({
+  type: "FeatureCollection",
+  // Foreign members: ignored by GIS tools but kept for reference
+  searchLocation: location
+    ? { address: location.address || "", lat: location.lat, lng: location.lng }
+    : null,
+  dataTime: toIso(dataTime),
+  features: records.map((record) => ({
+    type: "Feature",
+    geometry: {
+      type: "Point",
+      coordinates: [record.longitude, record.latitude],
+    },
+    properties: record,
+  })),
+});
+
+const xmlEscape = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// KML colours are aabbggrr
+const KML_STYLES = {
+  "Out-of-Control": "ff2626dc",
+  "Being Held": "ffea3393",
+  "Under Control": "ff4aa316",
+  hotspot: "ff0b9ef5",
+  search: "fff6823b",
+};
+
+const kmlStyleId = (record) =>
+  record.type === "hotspot"
+    ? "hotspot"
+    : (record.status || "fire").replace(/\W/g, "");
+
+export const toKml = (records, { location, dataTime } = {}) => {
+  const styles = Object.entries(KML_STYLES)
+    .map(
+      ([name, color]) =>
+        `<Style id="${name.replace(
+          /\W/g,
+          ""
+        )}"><IconStyle><color>${color}</color><Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon></IconStyle></Style>`
+    )
+    .join("\n    ");
+
+  const placemark = (record) => {
+    const data = Object.entries(record)
+      .map(
+        ([key, value]) =>
+          `<Data name="${key}"><value>${xmlEscape(value)}</value></Data>`
+      )
+      .join("");
+    return `<Placemark><name>${xmlEscape(
+      record.name
+    )}</name><styleUrl>#${kmlStyleId(
+      record
+    )}</styleUrl><ExtendedData>${data}</ExtendedData><Point><coordinates>${
+      record.longitude
+    },${record.latitude}</coordinates></Point></Placemark>`;
+  };
+
+  const searchPlacemark = location
+    ? `<Placemark><name>Searched location</name><description>${xmlEscape(
+        location.address || ""
+      )}</description><styleUrl>#search</styleUrl><Point><coordinates>${
+        location.lng
+      },${location.lat}</coordinates></Point></Placemark>`
+    : "";
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    "    <name>NL Wildfire Proximity</name>",
+    `    <description>${xmlEscape(
+      [
+        location &&
+          `Searched location: ${location.address || ""} (${location.lat}, ${
+            location.lng
+          })`,
+        dataTime && `Data time: ${toIso(dataTime)}`,
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )}</description>`,
+    `    ${styles}`,
+    searchPlacemark && `    ${searchPlacemark}`,
+    ...records.map((record) => `    ${placemark(record)}`),
+    "  </Document>",
+    "</kml>",
+  ]
+    .filter(Boolean)
+    .join("\n");
+};
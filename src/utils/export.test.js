@@ -0,0 +1,71 @@
+import { buildExportRecords, toCsv, toGeoJson, toKml } from "./export";
+
+const location = { lat: 47.7, lng: -53.2, address: 'Carbonear, "NL"' };
+const dataTime = Date.UTC(2025, 6, 1, 12);
+const records = buildExportRecords({
+  fires: [
+    {
+      FIREID: "F1",
+      NAME: "Test, Fire",
+      STATUS: "OC",
+      AREAEST: 120,
+      LATITUDE: 47.75,
+      LONGITUDE: -53.18,
+      distance: 5.8123,
+      distanceTo: "centroid",
+    },
+  ],
+  hotspots: [
+    {
+      FIREID: "hotspot-1",
+      LATITUDE: 47.76,
+      LONGITUDE: -53.17,
+      confidence: "h",
+      frp: 12.5,
+      distance: 7.1,
+    },
+  ],
+  location,
+  dataTime,
+  roadDistances: { F1: { distance: 9.44, duration: 12.2 } },
+});
+
+test("buildExportRecords adds the computed and search fields", () => {
+  expect(records[0]).toMatchObject({
+    type: "fire",
+    status: "Out-of-Control",
+    distance_km: 5.81,
+    bearing_deg: 15,
+    direction: "NNE",
+    risk_level: "EXTREME RISK",
+    drive_km: 9.4,
+    drive_min: 12,
+    search_address: 'Carbonear, "NL"',
+    data_time: "2025-07-01T12:00:00.000Z",
+  });
+  expect(records[1]).toMatchObject({
+    type: "hotspot",
+    name: "Thermal Hotspot (high confidence)",
+    confidence: "high",
+    frp_mw: 12.5,
+    risk_level: "",
+  });
+});
+
+test("toCsv quotes values containing commas or quotes", () => {
+  const [header, fire] = toCsv(records).split("\r\n");
+  expect(header.startsWith("type,id,name,status,area_ha")).toBe(true);
+  expect(fire).toContain('"Test, Fire"');
+  expect(fire).toContain('"Carbonear, ""NL"""');
+});
+
+test("toGeoJson and toKml place features at lng,lat", () => {
+  const geojson = toGeoJson(records, { location, dataTime });
+  expect(geojson.features[0].geometry.coordinates).toEqual([-53.18, 47.75]);
+  expect(geojson.dataTime).toBe("2025-07-01T12:00:00.000Z");
+
+  const kml = toKml(records, { location, dataTime });
+  expect(kml).toContain("<coordinates>-53.18,47.75</coordinates>");
+  expect(kml).toContain("<styleUrl>#OutofControl</styleUrl>");
+  expect(kml).toContain("Carbonear, &quot;NL&quot;");
+});
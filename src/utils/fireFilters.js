@@ -0,0 +1,90 @@
+import { assessFireRisk } from "./risk";
+import { calculateDistance } from "./geo";
+
+// statuses: fire statuses to show
+// radius:   only fires within this many km of the searched location
+// minArea:  only fires at least this many hectares
+// cause, region: exact match, "" for any
+// from, to: start date range as YYYY-MM-DD (local), "" for open-ended
+export const DEFAULT_FILTERS = {
+  statuses: ["OC", "BH", "UC"],
+  radius: null,
+  minArea: null,
+  cause: "",
+  region: "",
+  from: "",
+  to: "",
+};
+
+// Sort orders, labelled by the "sort.<key>" messages
+export const SORT_OPTIONS = ["distance", "area", "start", "risk"];
+
+export const DEFAULT_SORT = "distance";
+
+const startOfDay = (date) => new Date(`${date}T00:00:00`).getTime();
+
+export const filterFires = (fires, filters) => {
+  const { statuses, radius, minArea, cause, region, from, to } = {
+    ...DEFAULT_FILTERS,
+    ...filters,
+  };
+  const fromTime = from ? startOfDay(from) : null;
+  const toTime = to ? startOfDay(to) + 24 * 60 * 60 * 1000 : null;
+
+  return fires.filter(
+    (fire) =>
+      statuses.includes(fire.STATUS) &&
+      (!radius || fire.distance <= radius) &&
+      (!minArea || (fire.AREAEST || 0) >= minArea) &&
+      (!cause || fire.CAUSE === cause) &&
+      (!region || fire.REGION === region) &&
+      (fromTime === null || (fire.FIREDATE && fire.FIREDATE >= fromTime)) &&
+      (toTime === null || (fire.FIREDATE && fire.FIREDATE < toTime))
+  );
+};
+
+// Largest, newest or riskiest first; distance (the default) nearest first.
+// Ties fall back to distance.
+export const sortFires = (fires, sort, location, riskRules) => {
+  const byDistance = (a, b) => a.distance - b.distance;
+  const keys = {
+    area: (fire) => fire.AREAEST || 0,
+    start: (fire) => fire.FIREDATE || 0,
+    risk: (fire) =>
+      location
+        ? assessFireRisk(location, fire, fire.distance, riskRules).rank
+        : 0,
+  };
+  const key = keys[sort];
+  if (!key) return [...fires].sort(byDistance);
+  return [...fires].sort((a, b) => key(b) - key(a) || byDistance(a, b));
+};
+
+// Distinct causes and regions among the loaded fires, for the filter menus.
+export const getFilterChoices = (fires) => {
+  const distinct = (field) =>
+    [...new Set(fires.map((fire) => fire[field]).filter(Boolean))].sort();
+  return { causes: distinct("CAUSE"), regions: distinct("REGION") };
+};
+
+export const countActiveFilters = (filters) =>
+  Object.keys(DEFAULT_FILTERS).filter(
+    (key) =>
+      JSON.stringify(filters[key]) !== JSON.stringify(DEFAULT_FILTERS[key])
+  ).length;
+
+// The `near` option for a fire query that covers the radius filter around
+// a location, or null (all fires) without one. Fire adapters answer it with
+// the fires whose point or perimeter is in range, so a big fire whose edge
+// is inside the filter is there even when its centre isn't.
+export const getFireQuery = (location, radius) =>
+  radius ? { lat: location.lat, lng: location.lng, radius } : null;
+
+// Whether fires loaded for `loaded` include every fire `wanted` asks for.
+// Null stands for all fires.
+export const coversQuery = (loaded, wanted) =>
+  !loaded ||
+  (Boolean(wanted) &&
+    calculateDistance(loaded.lat, loaded.lng, wanted.lat, wanted.lng) +
+      wanted.radius <=
+      loaded.radius);
@@ -0,0 +1,89 @@
+import {
+  coversQuery,
+  filterFires,
+  getFilterChoices,
+  getFireQuery,
+  sortFires,
+} from "./fireFilters";
+
+const day = (date) => new Date(`${date}T12:00:00`).getTime();
+const fires = [
+  {
+    FIREID: "a",
+    STATUS: "OC",
+    distance: 40,
+    AREAEST: 20,
+    CAUSE: "Lightning",
+    REGION: "ET",
+    FIREDATE: day("2025-07-02"),
+  },
+  {
+    FIREID: "b",
+    STATUS: "UC",
+    distance: 5,
+    AREAEST: 900,
+    CAUSE: "Human",
+    REGION: "WT",
+    FIREDATE: day("2025-06-20"),
+  },
+  {
+    FIREID: "c",
+    STATUS: "BH",
+    distance: 80,
+    AREAEST: 300,
+    CAUSE: "Lightning",
+    REGION: "ET",
+    FIREDATE: day("2025-07-10"),
+  },
+];
+const ids = (list) => list.map((fire) => fire.FIREID);
+
+test("filterFires combines every filter", () => {
+  expect(ids(filterFires(fires, {}))).toEqual(["a", "b", "c"]);
+  expect(ids(filterFires(fires, { statuses: ["OC", "BH"] }))).toEqual([
+    "a",
+    "c",
+  ]);
+  expect(ids(filterFires(fires, { radius: 50, minArea: 100 }))).toEqual(["b"]);
+  expect(ids(filterFires(fires, { cause: "Lightning", region: "ET" }))).toEqual(
+    ["a", "c"]
+  );
+  expect(
+    ids(filterFires(fires, { from: "2025-07-01", to: "2025-07-02" }))
+  ).toEqual(["a"]);
+});
+
+test("sortFires orders by the chosen field, largest or newest first", () => {
+  expect(ids(sortFires(fires, "distance"))).toEqual(["b", "a", "c"]);
+  expect(ids(sortFires(fires, "area"))).toEqual(["b", "c", "a"]);
+  expect(ids(sortFires(fires, "start"))).toEqual(["c", "a", "b"]);
+  expect(ids(sortFires(fires, "risk", { lat: 47.5, lng: -53 }))).toEqual([
+    "a",
+    "c",
+    "b",
+  ]);
+});
+
+test("getFilterChoices lists distinct causes and regions", () => {
+  expect(getFilterChoices(fires)).toEqual({
+    causes: ["Human", "Lightning"],
+    regions: ["ET", "WT"],
+  });
+});
+
+test("getFireQuery asks for the radius filter and coversQuery reuses wider loads", () => {
+  const home = { lat: 47.56, lng: -52.71 };
+  const query = getFireQuery(home, 20);
+  expect(query).toEqual({ ...home, radius: 20 });
+  expect(getFireQuery(home, null)).toBeNull();
+
+  expect(coversQuery(null, query)).toBe(true);
+  expect(coversQuery(query, getFireQuery(home, 10))).toBe(true);
+  expect(coversQuery(query, getFireQuery(home, 50))).toBe(false);
+  expect(coversQuery(query, null)).toBe(false);
+  // 15 km further west still fits inside a load 30 km wider
+  const west = { lat: 47.56, lng: -52.91 };
+  expect(coversQuery(getFireQuery(home, 50), getFireQuery(west, 20))).toBe(
+    true
+  );
+});
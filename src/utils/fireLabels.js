@@ -0,0 +1,132 @@
+// Display helpers for fire and hotspot records shared by the list, map and dashboards.
+// Text comes out in the language of the translator `t` (English by default).
+import { english } from "../i18n/translate";
+import { normalizeConfidence } from "./hotspots";
+
+// How each status looks everywhere it appears: badge classes for the lists,
+// a colour for the map, charts and legend, a shape so statuses can be told
+// apart without relying on colour, and the line style of its fire area.
+export const FIRE_STATUSES = {
+  OC: {
+    hex: "#dc2626",
+    badge: "text-red-700 bg-red-100 border-red-300",
+    shape: "triangle",
+    line: "solid",
+  },
+  BH: {
+    hex: "#9333ea",
+    badge: "text-purple-700 bg-purple-100 border-purple-300",
+    shape: "diamond",
+    line: "dashed",
+  },
+  UC: {
+    hex: "#16a34a",
+    badge: "text-green-700 bg-green-100 border-green-300",
+    shape: "circle",
+    line: "dotted",
+  },
+  O: {
+    hex: "#6b7280",
+    badge: "text-gray-700 bg-gray-100 border-gray-300",
+    shape: "square",
+    line: "dotted",
+  },
+};
+
+export const STATUS_CODES = Object.keys(FIRE_STATUSES);
+
+// Unknown statuses look like "O"
+export const getStatusStyle = (status) =>
+  FIRE_STATUSES[status] || FIRE_STATUSES.O;
+
+export const getStatusColor = (status) => getStatusStyle(status).badge;
+
+export const getStatusHex = (status) => getStatusStyle(status).hex;
+
+const SHAPE_SYMBOLS = {
+  triangle: "▲",
+  diamond: "◆",
+  circle: "●",
+  square: "■",
+};
+
+export const getStatusShape = (status) => getStatusStyle(status).shape;
+
+export const getStatusSymbol = (status) =>
+  SHAPE_SYMBOLS[getStatusShape(status)];
+
+export const getStatusText = (status, t = english) =>
+  t(`status.${STATUS_CODES.includes(status) ? status : "unknown"}`);
+
+export const getFireName = (fire, t = english) =>
+  fire.NAME || t("fire.unnamed", { number: fire.PROVFIRENUM || fire.FIREID });
+
+export const getHotspotName = (hotspot, t = english) =>
+  t("hotspot.name", {
+    confidence: t(`confidence.${normalizeConfidence(hotspot.confidence)}`),
+  });
+
+// The FFA_Wildfire attributes we know about, in display order. Their labels
+// are the "field.<name>" messages. Anything else the layer returns is shown
+// under a label derived from its field name.
+export const KNOWN_FIELDS = [
+  "FIREID",
+  "NAME",
+  "PROVFIRENUM",
+  "STATUS",
+  "AREAEST",
+  "FIREDATE",
+  "CAUSE",
+  "REGION",
+  "DISTRICT",
+  "LATITUDE",
+  "LONGITUDE",
+  "OBJECTID",
+];
+
+// Fields the app adds to a fire record after loading it
+const COMPUTED_FIELDS = [
+  "distance",
+  "distanceTo",
+  "perimeter",
+  "wind",
+  "growth",
+  "demo",
+];
+
+const labelFromFieldName = (field) => {
+  const words = field.replace(/_/g, " ").trim().toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// ArcGIS date fields arrive as epoch milliseconds
+const isDateField = (field, value) =>
+  /DATE|TIME/i.test(field) && typeof value === "number" && value > 1e11;
+
+const formatAttribute = (field, value, t) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (field === "STATUS") return getStatusText(value, t);
+  if (field === "AREAEST") return t("fire.area", { area: value });
+  if (field === "LATITUDE" || field === "LONGITUDE") return t.number(value, 5);
+  if (isDateField(field, value)) return t.dateTime(value);
+  return String(value);
+};
+
+// Every attribute of a fire as { field, label, value } rows, known fields
+// first in KNOWN_FIELDS order and the rest alphabetically.
+export const getFireAttributes = (fire, t = english) => {
+  const known = KNOWN_FIELDS.filter((field) => field in fire);
+  const others = Object.keys(fire)
+    .filter(
+      (field) =>
+        !KNOWN_FIELDS.includes(field) && !COMPUTED_FIELDS.includes(field)
+    )
+    .sort();
+  return [...known, ...others].map((field) => ({
+    field,
+    label: KNOWN_FIELDS.includes(field)
+      ? t(`field.${field}`)
+      : labelFromFieldName(field),
+    value: formatAttribute(field, fire[field], t),
+  }));
+};
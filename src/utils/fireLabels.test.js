@@ -0,0 +1,54 @@
+import {
+  getFireAttributes,
+  getStatusColor,
+  getStatusHex,
+  getStatusShape,
+  getStatusSymbol,
+  STATUS_CODES,
+} from "./fireLabels";
+
+test("getFireAttributes labels known fields and keeps unknown ones", () => {
+  const rows = getFireAttributes({
+    CAUSE: "Lightning",
+    FIREID: "NL-2025-1",
+    STATUS: "OC",
+    AREAEST: 1200,
+    FUEL_TYPE: "Boreal spruce",
+    RESPONSE: null,
+    distance: 3.2,
+    perimeter: [],
+    demo: true,
+  });
+  expect(rows.map((row) => [row.label, row.value])).toEqual([
+    ["Fire ID", "NL-2025-1"],
+    ["Status", "Out-of-Control"],
+    ["Estimated area", `${(1200).toLocaleString()} hectares`],
+    ["Cause", "Lightning"],
+    ["Fuel type", "Boreal spruce"],
+    ["Response", "—"],
+  ]);
+});
+
+test("getFireAttributes formats epoch date fields", () => {
+  const time = Date.UTC(2025, 6, 1, 12);
+  const [row] = getFireAttributes({ LASTUPDATE: time });
+  expect(row).toEqual({
+    field: "LASTUPDATE",
+    label: "Lastupdate",
+    value: new Date(time).toLocaleString("en-CA"),
+  });
+});
+
+test("every status has its own shape", () => {
+  const shapes = ["OC", "BH", "UC", "O"].map(getStatusShape);
+  expect(new Set(shapes).size).toBe(4);
+  expect(getStatusShape("??")).toBe(getStatusShape("O"));
+  expect(getStatusSymbol("OC")).toBe("▲");
+});
+
+test("every status has its own colour, and unknown ones look like out", () => {
+  expect(new Set(STATUS_CODES.map(getStatusHex)).size).toBe(4);
+  expect(getStatusHex("BH")).toBe("#9333ea");
+  expect(getStatusHex("??")).toBe(getStatusHex("O"));
+  expect(getStatusColor("??")).toBe(getStatusColor("O"));
+});
@@ -0,0 +1,165 @@
+// Distance helpers. Coordinates are WGS84 degrees, distances are kilometres.
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Length of one degree of latitude (or of longitude at the equator)
+export const KM_PER_DEGREE = toRadians(EARTH_RADIUS_KM);
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+// Great-circle (haversine) distance between two points.
+export const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+};
+
+// Initial compass bearing (0-360, clockwise from north) from point 1 to 2.
+export const calculateBearing = (lat1, lon1, lat2, lon2) => {
+  const dLon = toRadians(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRadians(lat2));
+  const x =
+    Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2)) -
+    Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(dLon);
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+};
+
+// Point reached by travelling `distance` km from a start point on a bearing.
+export const destinationPoint = (lat, lng, bearing, distance) => {
+  const angular = distance / EARTH_RADIUS_KM;
+  const theta = toRadians(bearing);
+  const lat1 = toRadians(lat);
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angular) +
+      Math.cos(lat1) * Math.sin(angular) * Math.cos(theta)
+  );
+  const lng2 =
+    toRadians(lng) +
+    Math.atan2(
+      Math.sin(theta) * Math.sin(angular) * Math.cos(lat1),
+      Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+    );
+  return [toDegrees(lat2), toDegrees(lng2)];
+};
+
+// Smallest difference between two bearings, 0-180 degrees.
+export const angleDifference = (a, b) => {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+};
+
+const COMPASS_POINTS =
+  "N NNE NE ENE E ESE SE SSE S SSW SW WSW W WNW NW NNW".split(" ");
+
+export const compassDirection = (bearing) =>
+  COMPASS_POINTS[Math.round((((bearing % 360) + 360) % 360) / 22.5) % 16];
+
+// Even-odd ray casting over every ring, so holes are handled too.
+// Rings use the ArcGIS layout: arrays of [longitude, latitude] pairs.
+export const isInsidePolygon = (lat, lng, rings) => {
+  let inside = false;
+  rings.forEach((ring) => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      const aboveI = yi > lat;
+      const aboveJ = yj > lat;
+      if (
+        aboveI !== aboveJ &&
+        lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi
+      ) {
+        inside = !inside;
+      }
+    }
+  });
+  return inside;
+};
+
+// Shortest distance from a point to the edge of a polygon, or 0 when the
+// point is inside it. Each segment is measured on a local equirectangular
+// projection centred on the point, which is accurate to well under 1% at
+// the distances we care about.
+export const distanceToPolygonEdge = (lat, lng, rings) => {
+  if (isInsidePolygon(lat, lng, rings)) {
+    return 0;
+  }
+
+  const kmPerDegLat = (Math.PI * EARTH_RADIUS_KM) / 180;
+  const kmPerDegLng = kmPerDegLat * Math.cos(toRadians(lat));
+  const project = ([x, y]) => [
+    (x - lng) * kmPerDegLng,
+    (y - lat) * kmPerDegLat,
+  ];
+
+  let shortest = Infinity;
+  rings.forEach((ring) => {
+    for (let i = 1; i < ring.length; i++) {
+      const [ax, ay] = project(ring[i - 1]);
+      const [bx, by] = project(ring[i]);
+      const dx = bx - ax;
+      const dy = by - ay;
+      const lengthSq = dx * dx + dy * dy;
+      // Position of the closest point along the segment, clamped to [0, 1]
+      const t =
+        lengthSq === 0
+          ? 0
+          : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+      shortest = Math.min(shortest, Math.hypot(ax + t * dx, ay + t * dy));
+    }
+  });
+  return shortest;
+};
+
+// Closest of a list of named places ({ name, lat, lng }) to a point, with
+// its distance and the bearing from the place to the point.
+export const findNearestPlace = (point, places) =>
+  places.reduce((nearest, place) => {
+    const distance = calculateDistance(
+      place.lat,
+      place.lng,
+      point.lat,
+      point.lng
+    );
+    return nearest && nearest.distance <= distance
+      ? nearest
+      : {
+          place,
+          distance,
+          bearing: calculateBearing(place.lat, place.lng, point.lat, point.lng),
+        };
+  }, null);
+
+// Distance from a location to a fire: to the nearest perimeter edge when the
+// fire has one, otherwise to its reported centroid.
+export const getFireDistance = (location, fire) => {
+  if (fire.perimeter && fire.perimeter.length > 0) {
+    return {
+      distance: distanceToPolygonEdge(
+        location.lat,
+        location.lng,
+        fire.perimeter
+      ),
+      distanceTo: "edge",
+    };
+  }
+  return {
+    distance: calculateDistance(
+      location.lat,
+      location.lng,
+      fire.LATITUDE,
+      fire.LONGITUDE
+    ),
+    distanceTo: "centroid",
+  };
+};
+
+// Leaflet wants [lat, lng]; ArcGIS rings are [lng, lat].
+export const ringsToLatLngs = (rings) =>
+  rings.map((ring) => ring.map(([x, y]) => [y, x]));
@@ -0,0 +1,79 @@
+import {
+  angleDifference,
+  calculateBearing,
+  calculateDistance,
+  compassDirection,
+  distanceToPolygonEdge,
+  getFireDistance,
+  isInsidePolygon,
+} from "./geo";
+
+// Roughly 11 km x 7.5 km box around Carbonear
+const square = [
+  [
+    [-53.3, 47.7],
+    [-53.2, 47.7],
+    [-53.2, 47.8],
+    [-53.3, 47.8],
+    [-53.3, 47.7],
+  ],
+];
+
+test("calculateDistance matches known great-circle distances", () => {
+  // St. John's to Gander is about 209 km as the crow flies
+  expect(calculateDistance(47.5615, -52.7093, 48.9566, -54.6089)).toBeCloseTo(
+    209.4,
+    1
+  );
+  expect(calculateDistance(47.5, -53, 47.5, -53)).toBe(0);
+});
+
+test("isInsidePolygon handles points inside, outside and in holes", () => {
+  expect(isInsidePolygon(47.75, -53.25, square)).toBe(true);
+  expect(isInsidePolygon(47.9, -53.25, square)).toBe(false);
+
+  const withHole = [
+    ...square,
+    [
+      [-53.26, 47.74],
+      [-53.24, 47.74],
+      [-53.24, 47.76],
+      [-53.26, 47.76],
+      [-53.26, 47.74],
+    ],
+  ];
+  expect(isInsidePolygon(47.75, -53.25, withHole)).toBe(false);
+});
+
+test("distanceToPolygonEdge measures to the nearest edge, not a vertex", () => {
+  // 0.1 degrees of latitude north of the top edge is about 11.1 km
+  expect(distanceToPolygonEdge(47.9, -53.25, square)).toBeCloseTo(11.1, 1);
+  expect(distanceToPolygonEdge(47.75, -53.25, square)).toBe(0);
+});
+
+test("getFireDistance falls back to the centroid without a perimeter", () => {
+  const location = { lat: 47.9, lng: -53.25 };
+  const fire = { LATITUDE: 47.75, LONGITUDE: -53.25 };
+
+  expect(getFireDistance(location, fire)).toEqual({
+    distance: calculateDistance(47.9, -53.25, 47.75, -53.25),
+    distanceTo: "centroid",
+  });
+  expect(getFireDistance(location, { ...fire, perimeter: square })).toEqual({
+    distance: distanceToPolygonEdge(47.9, -53.25, square),
+    distanceTo: "edge",
+  });
+});
+
+test("calculateBearing and compassDirection agree on the main directions", () => {
+  expect(calculateBearing(47.5, -53, 48.5, -53)).toBeCloseTo(0, 5);
+  expect(compassDirection(calculateBearing(47.5, -53, 47.5, -52))).toBe("E");
+  expect(compassDirection(calculateBearing(47.5, -53, 46.5, -53))).toBe("S");
+  expect(compassDirection(250)).toBe("WSW");
+  expect(compassDirection(359)).toBe("N");
+});
+
+test("angleDifference wraps around north", () => {
+  expect(angleDifference(350, 10)).toBe(20);
+  expect(angleDifference(90, 270)).toBe(180);
+});
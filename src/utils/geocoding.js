@@ -0,0 +1,22 @@
+// minScore:     below this the best candidate is probably the wrong place
+// similarScore: candidates within this many points of the best one are
+//               too close to call, so the user picks
+export const GEOCODING = { minScore: 90, similarScore: 2 };
+
+// Decides whether a geocoding result can be used as is. `alternatives` holds
+// the near-equal candidates when there is more than one, otherwise it is
+// empty; `lowScore` is set when even the best candidate scores poorly.
+export const assessCandidates = (candidates) => {
+  const sorted = [...candidates].sort((a, b) => b.score - a.score);
+  const [best] = sorted;
+  const alternatives = sorted.filter(
+    (candidate, index) =>
+      best.score - candidate.score <= GEOCODING.similarScore &&
+      sorted.findIndex((other) => other.address === candidate.address) === index
+  );
+  return {
+    best,
+    alternatives: alternatives.length > 1 ? alternatives : [],
+    lowScore: best.score < GEOCODING.minScore,
+  };
+};
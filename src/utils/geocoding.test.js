@@ -0,0 +1,30 @@
+import { assessCandidates } from "./geocoding";
+
+const candidate = (address, score) => ({ address, score, lat: 0, lng: 0 });
+
+test("assessCandidates accepts a clear winner", () => {
+  const result = assessCandidates([
+    candidate("Gander", 100),
+    candidate("Gander Bay", 88),
+  ]);
+  expect(result.best.address).toBe("Gander");
+  expect(result.alternatives).toEqual([]);
+  expect(result.lowScore).toBe(false);
+});
+
+test("assessCandidates offers near-equal candidates once each", () => {
+  const { alternatives } = assessCandidates([
+    candidate("Sandy Cove, Bonavista Bay", 99.2),
+    candidate("Sandy Cove, Great Northern Peninsula", 100),
+    candidate("Sandy Cove, Bonavista Bay", 98.5),
+    candidate("Sandy Point", 91),
+  ]);
+  expect(alternatives.map((item) => item.address)).toEqual([
+    "Sandy Cove, Great Northern Peninsula",
+    "Sandy Cove, Bonavista Bay",
+  ]);
+});
+
+test("assessCandidates flags a low best score", () => {
+  expect(assessCandidates([candidate("Main St", 74)]).lowScore).toBe(true);
+});
@@ -0,0 +1,36 @@
+// Promise wrapper around the browser Geolocation API. Error messages are in
+// the language of the translator `t`.
+import { english } from "../i18n/translate";
+
+const GEOLOCATION_ERRORS = {
+  1: "geolocation.denied",
+  2: "geolocation.unavailable",
+  3: "geolocation.timeout",
+};
+
+export const getCurrentPosition = (options = {}, t = english) =>
+  new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error(t("geolocation.unsupported")));
+      return;
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      (position) =>
+        resolve({
+          lat: position.coords.latitude,
+          lng: position.coords.longitude,
+          accuracy: position.coords.accuracy, // metres
+        }),
+      (err) =>
+        reject(
+          new Error(t(GEOLOCATION_ERRORS[err.code] || "geolocation.failed"))
+        ),
+      {
+        enableHighAccuracy: true,
+        timeout: 15000,
+        maximumAge: 60000,
+        ...options,
+      }
+    );
+  });
@@ -0,0 +1,34 @@
+// Helpers for reading a fire's snapshot history (oldest first).
+
+// Each point where STATUS differs from the previous snapshot.
+export const getStatusChanges = (snapshots) =>
+  snapshots.flatMap((snapshot, i) =>
+    i > 0 && snapshot.STATUS !== snapshots[i - 1].STATUS
+      ? [
+          {
+            time: snapshot.time,
+            from: snapshots[i - 1].STATUS,
+            to: snapshot.STATUS,
+          },
+        ]
+      : []
+  );
+
+// Area growth over the last `windowMs`, measured from the latest snapshot
+// taken before the window (or the first one we have) to the newest one.
+export const summarizeGrowth = (snapshots, windowMs = 24 * 60 * 60 * 1000) => {
+  const withArea = snapshots.filter((snapshot) => snapshot.AREAEST != null);
+  if (withArea.length < 2) return null;
+
+  const latest = withArea[withArea.length - 1];
+  const cutoff = latest.time - windowMs;
+  const before = withArea.filter((snapshot) => snapshot.time <= cutoff);
+  const baseline = before.length > 0 ? before[before.length - 1] : withArea[0];
+
+  return {
+    since: baseline.time,
+    from: baseline.AREAEST,
+    to: latest.AREAEST,
+    factor: baseline.AREAEST > 0 ? latest.AREAEST / baseline.AREAEST : null,
+  };
+};
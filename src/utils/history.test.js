@@ -0,0 +1,37 @@
+import { getStatusChanges, summarizeGrowth } from "./history";
+
+const HOUR = 60 * 60 * 1000;
+const snapshots = [
+  { time: 0, AREAEST: 100, STATUS: "OC" },
+  { time: 6 * HOUR, AREAEST: 150, STATUS: "OC" },
+  { time: 20 * HOUR, AREAEST: 200, STATUS: "BH" },
+  { time: 30 * HOUR, AREAEST: 600, STATUS: "BH" },
+  { time: 36 * HOUR, AREAEST: 600, STATUS: "UC" },
+];
+
+test("getStatusChanges lists each change with its time", () => {
+  expect(getStatusChanges(snapshots)).toEqual([
+    { time: 20 * HOUR, from: "OC", to: "BH" },
+    { time: 36 * HOUR, from: "BH", to: "UC" },
+  ]);
+  expect(getStatusChanges([])).toEqual([]);
+});
+
+test("summarizeGrowth compares against the last snapshot before the window", () => {
+  expect(summarizeGrowth(snapshots)).toEqual({
+    since: 6 * HOUR,
+    from: 150,
+    to: 600,
+    factor: 4,
+  });
+});
+
+test("summarizeGrowth uses the first snapshot when history is short", () => {
+  expect(summarizeGrowth(snapshots.slice(0, 3))).toEqual({
+    since: 0,
+    from: 100,
+    to: 200,
+    factor: 2,
+  });
+  expect(summarizeGrowth(snapshots.slice(0, 1))).toBeNull();
+});
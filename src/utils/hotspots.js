@@ -0,0 +1,280 @@
+import { calculateDistance, getFireDistance, KM_PER_DEGREE } from "./geo";
+
+// How far from a fire's edge (or centre) a hotspot counts as "nearby", in km
+export const NEARBY_HOTSPOT_RADIUS = 5;
+
+// Hotspots within `radius` km of a fire, nearest first, with that distance.
+export const findNearbyHotspots = (
+  fire,
+  hotspots,
+  radius = NEARBY_HOTSPOT_RADIUS
+) =>
+  hotspots
+    .map((hotspot) => ({
+      ...hotspot,
+      distance: getFireDistance(
+        { lat: hotspot.LATITUDE, lng: hotspot.LONGITUDE },
+        fire
+      ).distance,
+    }))
+    .filter((hotspot) => hotspot.distance <= radius)
+    .sort((a, b) => a.distance - b.distance);
+
+const HOUR = 60 * 60 * 1000;
+
+// Acquisition age filter choices, in hours
+export const HOTSPOT_AGES = [6, 24, 72];
+
+export const CONFIDENCE_LEVELS = ["high", "nominal", "low"];
+
+// Hotspot colour for each confidence level, on the map and in its legend
+export const CONFIDENCE_COLORS = {
+  high: "#dc2626",
+  nominal: "#f59e0b",
+  low: "#facc15",
+};
+
+// VIIRS reports confidence as "high"/"nominal"/"low" or just "h"/"n"/"l".
+export const normalizeConfidence = (confidence) => {
+  const value = String(confidence || "").toLowerCase();
+  return CONFIDENCE_LEVELS.find((level) => level[0] === value[0]) || "low";
+};
+
+// Hours since the satellite pass, or null when the record has no date.
+export const getHotspotAge = (hotspot, now = Date.now()) =>
+  hotspot.acq_date ? (now - hotspot.acq_date) / HOUR : null;
+
+// `maxAge` in hours (null for any age) and the confidence levels to keep.
+export const filterHotspots = (
+  hotspots,
+  { maxAge = null, confidence = CONFIDENCE_LEVELS } = {},
+  now = Date.now()
+) =>
+  hotspots.filter((hotspot) => {
+    if (!confidence.includes(normalizeConfidence(hotspot.confidence))) {
+      return false;
+    }
+    if (maxAge === null) return true;
+    const age = getHotspotAge(hotspot, now);
+    return age !== null && age <= maxAge;
+  });
+
+// Grid cell size in degrees for a map zoom level: about 60 px on screen.
+export const getCellSize = (zoom) => 80 / 2 ** zoom;
+
+// Buckets hotspots into square grid cells. Each cell reports its bounds,
+// the hotspots in it, their centroid and the highest confidence among them.
+export const binHotspots = (hotspots, cellSize) => {
+  const cells = {};
+  hotspots.forEach((hotspot) => {
+    const row = Math.floor(hotspot.LATITUDE / cellSize);
+    const col = Math.floor(hotspot.LONGITUDE / cellSize);
+    const key = `${row}:${col}`;
+    if (!cells[key]) {
+      cells[key] = {
+        key,
+        bounds: [
+          [row * cellSize, col * cellSize],
+          [(row + 1) * cellSize, (col + 1) * cellSize],
+        ],
+        hotspots: [],
+      };
+    }
+    cells[key].hotspots.push(hotspot);
+  });
+
+  return Object.values(cells).map((cell) => {
+    const count = cell.hotspots.length;
+    const ranks = cell.hotspots.map((hotspot) =>
+      CONFIDENCE_LEVELS.indexOf(normalizeConfidence(hotspot.confidence))
+    );
+    return {
+      ...cell,
+      count,
+      lat: cell.hotspots.reduce((sum, h) => sum + h.LATITUDE, 0) / count,
+      lng: cell.hotspots.reduce((sum, h) => sum + h.LONGITUDE, 0) / count,
+      confidence: CONFIDENCE_LEVELS[Math.min(...ranks)],
+    };
+  });
+};
+
+// matchDistance: a hotspot this close to a known fire belongs to that fire
+// linkDistance:  unmatched hotspots this close together form one cluster
+// maxAge:        only detections this recent (hours) can flag a new fire
+export const NEW_FIRE = {
+  matchDistance: 10,
+  linkDistance: 3,
+  maxAge: 72,
+};
+
+// The box around a fire's perimeter (or centre) widened by `pad` km, as
+// { south, north, west, east }. Points outside it are further than `pad`.
+const getPaddedBounds = (fire, pad) => {
+  const points =
+    fire.perimeter && fire.perimeter.length > 0
+      ? fire.perimeter.flat()
+      : [[fire.LONGITUDE, fire.LATITUDE]];
+  const box = points.reduce(
+    (bounds, [lng, lat]) => ({
+      south: Math.min(bounds.south, lat),
+      north: Math.max(bounds.north, lat),
+      west: Math.min(bounds.west, lng),
+      east: Math.max(bounds.east, lng),
+    }),
+    { south: Infinity, north: -Infinity, west: Infinity, east: -Infinity }
+  );
+  const latPad = pad / KM_PER_DEGREE;
+  // Degrees of longitude are shortest on the side nearer the pole
+  const poleward = Math.min(
+    89,
+    Math.max(Math.abs(box.south), Math.abs(box.north)) + latPad
+  );
+  const lngPad = latPad / Math.cos((poleward * Math.PI) / 180);
+  return {
+    south: box.south - latPad,
+    north: box.north + latPad,
+    west: box.west - lngPad,
+    east: box.east + lngPad,
+  };
+};
+
+const isInBounds = (bounds, { lat, lng }) =>
+  lat >= bounds.south &&
+  lat <= bounds.north &&
+  lng >= bounds.west &&
+  lng <= bounds.east;
+
+// Nearest known fire within `maxDistance` km of each hotspot, as
+// `matchedFire: { fireId, distance }`, or null when there is none. Only
+// fires whose padded bounds hold the hotspot are measured precisely.
+export const matchHotspotsToFires = (
+  hotspots,
+  fires,
+  maxDistance = NEW_FIRE.matchDistance
+) => {
+  const bounded = fires.map((fire) => ({
+    fire,
+    bounds: getPaddedBounds(fire, maxDistance),
+  }));
+  return hotspots.map((hotspot) => {
+    const point = { lat: hotspot.LATITUDE, lng: hotspot.LONGITUDE };
+    let matchedFire = null;
+    bounded.forEach(({ fire, bounds }) => {
+      if (!isInBounds(bounds, point)) return;
+      const { distance } = getFireDistance(point, fire);
+      if (
+        distance <= maxDistance &&
+        (!matchedFire || distance < matchedFire.distance)
+      ) {
+        matchedFire = { fireId: fire.FIREID, distance };
+      }
+    });
+    return { ...hotspot, matchedFire };
+  });
+};
+
+// Single-linkage clusters: hotspots chained together by gaps of at most
+// `linkDistance` km end up in the same group. Groups keep the input order,
+// by their first member.
+export const clusterNearbyHotspots = (
+  hotspots,
+  linkDistance = NEW_FIRE.linkDistance
+) => {
+  const parent = hotspots.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  // Only hotspots in the same or neighbouring grid cells can be linked, so
+  // just those pairs are compared. Cells are a little more than
+  // linkDistance across, east-west too at the highest latitude present.
+  const maxLatitude = hotspots.reduce(
+    (max, hotspot) => Math.max(max, Math.abs(hotspot.LATITUDE)),
+    0
+  );
+  const rowSize = (linkDistance * 1.01) / KM_PER_DEGREE;
+  const colSize =
+    rowSize / Math.max(Math.cos((maxLatitude * Math.PI) / 180), 0.01);
+  const cellOf = (hotspot) => [
+    Math.floor(hotspot.LATITUDE / rowSize),
+    Math.floor(hotspot.LONGITUDE / colSize),
+  ];
+  const cells = new Map();
+  hotspots.forEach((hotspot, index) => {
+    const key = cellOf(hotspot).join(":");
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(index);
+  });
+
+  hotspots.forEach((a, i) => {
+    const [row, col] = cellOf(a);
+    for (let dRow = -1; dRow <= 1; dRow++) {
+      for (let dCol = -1; dCol <= 1; dCol++) {
+        (cells.get(`${row + dRow}:${col + dCol}`) || []).forEach((j) => {
+          const b = hotspots[j];
+          if (
+            j > i &&
+            calculateDistance(
+              a.LATITUDE,
+              a.LONGITUDE,
+              b.LATITUDE,
+              b.LONGITUDE
+            ) <= linkDistance
+          ) {
+            parent[find(j)] = find(i);
+          }
+        });
+      }
+    }
+  });
+
+  const groups = new Map();
+  hotspots.forEach((hotspot, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(hotspot);
+  });
+  return [...groups.values()];
+};
+
+// Clusters of recent hotspots that no known fire accounts for, most recently
+// detected first. Often the first sign of a fire the province hasn't logged.
+export const findPossibleNewFires = (hotspots, fires, now = Date.now()) => {
+  const recent = hotspots.filter((hotspot) => {
+    const age = getHotspotAge(hotspot, now);
+    return age === null || age <= NEW_FIRE.maxAge;
+  });
+  const unmatched = matchHotspotsToFires(recent, fires).filter(
+    (hotspot) => !hotspot.matchedFire
+  );
+
+  return clusterNearbyHotspots(unmatched)
+    .map((members) => {
+      const count = members.length;
+      const lat = members.reduce((sum, h) => sum + h.LATITUDE, 0) / count;
+      const lng = members.reduce((sum, h) => sum + h.LONGITUDE, 0) / count;
+      const dates = members.map((h) => h.acq_date).filter(Boolean);
+      const ranks = members.map((h) =>
+        CONFIDENCE_LEVELS.indexOf(normalizeConfidence(h.confidence))
+      );
+      return {
+        id: `possible-${members[0].FIREID}`,
+        lat,
+        lng,
+        count,
+        hotspots: members,
+        confidence: CONFIDENCE_LEVELS[Math.min(...ranks)],
+        lastDetected: dates.length > 0 ? Math.max(...dates) : null,
+        radius: Math.max(
+          ...members.map((h) =>
+            calculateDistance(lat, lng, h.LATITUDE, h.LONGITUDE)
+          )
+        ),
+      };
+    })
+    .sort((a, b) => (b.lastDetected || 0) - (a.lastDetected || 0));
+};
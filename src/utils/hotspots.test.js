@@ -0,0 +1,167 @@
+import {
+  binHotspots,
+  clusterNearbyHotspots,
+  filterHotspots,
+  findNearbyHotspots,
+  findPossibleNewFires,
+  matchHotspotsToFires,
+} from "./hotspots";
+
+const fire = { FIREID: "F1", LATITUDE: 47.75, LONGITUDE: -53.18 };
+const hotspots = [
+  { FIREID: "hotspot-1", LATITUDE: 47.78, LONGITUDE: -53.18 },
+  { FIREID: "hotspot-2", LATITUDE: 47.751, LONGITUDE: -53.181 },
+  { FIREID: "hotspot-3", LATITUDE: 48.2, LONGITUDE: -53.18 },
+];
+
+test("findNearbyHotspots keeps hotspots within the radius, nearest first", () => {
+  const nearby = findNearbyHotspots(fire, hotspots);
+  expect(nearby.map((hotspot) => hotspot.FIREID)).toEqual([
+    "hotspot-2",
+    "hotspot-1",
+  ]);
+  expect(nearby[1].distance).toBeCloseTo(3.3, 1);
+  expect(findNearbyHotspots(fire, hotspots, 1)).toHaveLength(1);
+});
+
+test("hotspots inside a perimeter are at distance zero", () => {
+  const withPerimeter = {
+    ...fire,
+    perimeter: [
+      [
+        [-53.2, 47.77],
+        [-53.16, 47.77],
+        [-53.16, 47.79],
+        [-53.2, 47.79],
+        [-53.2, 47.77],
+      ],
+    ],
+  };
+  expect(findNearbyHotspots(withPerimeter, hotspots)[0]).toMatchObject({
+    FIREID: "hotspot-1",
+    distance: 0,
+  });
+});
+
+test("matchHotspotsToFires measures to the perimeter up to the match distance", () => {
+  const withPerimeter = {
+    ...fire,
+    perimeter: [
+      [
+        [-53.2, 47.77],
+        [-53.16, 47.77],
+        [-53.16, 47.79],
+        [-53.2, 47.79],
+        [-53.2, 47.77],
+      ],
+    ],
+  };
+  // 9 and 11 km east of the perimeter, and 7 km both north and east of its
+  // corner (9.9 km)
+  const matched = matchHotspotsToFires(
+    [
+      { FIREID: "east-9", LATITUDE: 47.78, LONGITUDE: -53.0395 },
+      { FIREID: "east-11", LATITUDE: 47.78, LONGITUDE: -53.0128 },
+      { FIREID: "corner", LATITUDE: 47.853, LONGITUDE: -53.066 },
+    ],
+    [withPerimeter, { FIREID: "F2", LATITUDE: 49.5, LONGITUDE: -56.0 }]
+  );
+  expect(matched.map((hotspot) => hotspot.matchedFire)).toEqual([
+    { fireId: "F1", distance: expect.closeTo(9, 0) },
+    null,
+    { fireId: "F1", distance: expect.closeTo(9.9, 0) },
+  ]);
+});
+
+const HOUR = 60 * 60 * 1000;
+const now = Date.UTC(2025, 7, 1, 12);
+const detections = [
+  { FIREID: "a", confidence: "high", acq_date: now - 2 * HOUR },
+  { FIREID: "b", confidence: "n", acq_date: now - 20 * HOUR },
+  { FIREID: "c", confidence: "low", acq_date: now - 50 * HOUR },
+  { FIREID: "d", confidence: "nominal" },
+];
+
+test("filterHotspots applies acquisition age and confidence", () => {
+  const ids = (list) => list.map((hotspot) => hotspot.FIREID);
+  expect(ids(filterHotspots(detections, {}, now))).toEqual([
+    "a",
+    "b",
+    "c",
+    "d",
+  ]);
+  expect(ids(filterHotspots(detections, { maxAge: 24 }, now))).toEqual([
+    "a",
+    "b",
+  ]);
+  expect(
+    ids(filterHotspots(detections, { confidence: ["nominal"] }, now))
+  ).toEqual(["b", "d"]);
+});
+
+test("binHotspots groups hotspots sharing a grid cell", () => {
+  const cells = binHotspots(
+    [
+      { LATITUDE: 47.71, LONGITUDE: -53.21, confidence: "low" },
+      { LATITUDE: 47.73, LONGITUDE: -53.23, confidence: "h" },
+      { LATITUDE: 48.9, LONGITUDE: -54.6, confidence: "nominal" },
+    ],
+    0.5
+  );
+  expect(cells).toHaveLength(2);
+  expect(cells[0]).toMatchObject({
+    count: 2,
+    confidence: "high",
+    bounds: [
+      [47.5, -53.5],
+      [48, -53],
+    ],
+  });
+  expect(cells[0].lat).toBeCloseTo(47.72);
+  expect(cells[1].count).toBe(1);
+});
+
+test("findPossibleNewFires clusters recent hotspots no fire accounts for", () => {
+  const spot = (FIREID, LATITUDE, LONGITUDE, hoursAgo, confidence) => ({
+    FIREID,
+    LATITUDE,
+    LONGITUDE,
+    confidence,
+    acq_date: now - hoursAgo * HOUR,
+  });
+  const possible = findPossibleNewFires(
+    [
+      spot("near-fire", 47.76, -53.18, 1, "high"),
+      spot("new-1", 48.5, -54.0, 5, "low"),
+      spot("new-2", 48.51, -54.02, 3, "high"),
+      spot("other", 49.2, -55.0, 30, "nominal"),
+      spot("stale", 49.8, -56.0, 100, "high"),
+    ],
+    [fire],
+    now
+  );
+
+  expect(
+    possible.map((cluster) => cluster.hotspots.map((h) => h.FIREID))
+  ).toEqual([["new-1", "new-2"], ["other"]]);
+  expect(possible[0]).toMatchObject({
+    count: 2,
+    confidence: "high",
+    lastDetected: now - 3 * HOUR,
+  });
+  expect(possible[0].lat).toBeCloseTo(48.505);
+});
+
+test("clusterNearbyHotspots links chains across grid cells", () => {
+  // Hotspots 2 km apart heading north-east, and one well away from them
+  const chain = Array.from({ length: 30 }, (_, index) => ({
+    FIREID: `chain-${index}`,
+    LATITUDE: 53.5 + index * 0.0127,
+    LONGITUDE: -60.2 + index * 0.0214,
+  }));
+  const apart = { FIREID: "apart", LATITUDE: 54.0, LONGITUDE: -59.0 };
+  const groups = clusterNearbyHotspots([apart, ...chain.reverse()]);
+
+  expect(groups.map((group) => group.length)).toEqual([1, 30]);
+  expect(groups[1][0].FIREID).toBe("chain-29");
+});
@@ -0,0 +1,84 @@
+import { getFireDistance } from "./geo";
+import { summarizeThreat } from "./risk";
+import { getFireName, getStatusText } from "./fireLabels";
+import { english } from "../i18n/translate";
+
+// Compares two polls of the fire feed and describes what changed for the
+// monitored location:
+//   - "new-fire":      a fire that was not in the last snapshot, within `radius` km
+//   - "status-change": a fire's STATUS changed (e.g. BH -> OC)
+//   - "risk-increase": the overall risk level for the location went up
+// Without a location only status changes can be detected. Titles and
+// messages are in the language of the translator `t`.
+export const diffSnapshots = (
+  previous,
+  current,
+  {
+    location = null,
+    radius = 50,
+    time = Date.now(),
+    riskRules,
+    t = english,
+  } = {}
+) => {
+  const events = [];
+  const previousById = new Map(previous.map((fire) => [fire.FIREID, fire]));
+
+  current.forEach((fire) => {
+    const before = previousById.get(fire.FIREID);
+
+    if (!before) {
+      if (!location) return;
+      const { distance } = getFireDistance(location, fire);
+      if (distance <= radius) {
+        events.push({
+          type: "new-fire",
+          fireId: fire.FIREID,
+          title: t("monitor.newFire.title"),
+          message: t("monitor.newFire.message", {
+            name: getFireName(fire, t),
+            status: getStatusText(fire.STATUS, t),
+            distance,
+          }),
+        });
+      }
+      return;
+    }
+
+    if (before.STATUS !== fire.STATUS) {
+      events.push({
+        type: "status-change",
+        fireId: fire.FIREID,
+        title: t("monitor.statusChange.title"),
+        message: t("monitor.statusChange.message", {
+          name: getFireName(fire, t),
+          from: getStatusText(before.STATUS, t),
+          to: getStatusText(fire.STATUS, t),
+        }),
+      });
+    }
+  });
+
+  if (location) {
+    const riskBefore = summarizeThreat(location, previous, riskRules).risk;
+    const riskNow = summarizeThreat(location, current, riskRules).risk;
+    if (riskNow.rank > riskBefore.rank) {
+      events.push({
+        type: "risk-increase",
+        fireId: null,
+        title: t("monitor.riskIncrease.title"),
+        message: t("monitor.riskIncrease.message", {
+          place: location.address || t("monitor.yourLocation"),
+          from: t(`risk.level.${riskBefore.rank}`),
+          to: t(`risk.level.${riskNow.rank}`),
+        }),
+      });
+    }
+  }
+
+  return events.map((event, index) => ({
+    ...event,
+    id: `${time}-${index}`,
+    time,
+  }));
+};
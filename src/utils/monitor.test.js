@@ -0,0 +1,67 @@
+import { diffSnapshots } from "./monitor";
+
+const location = { lat: 47.56, lng: -52.71, address: "St. John's" };
+const fire = (id, status, lat, lng) => ({
+  FIREID: id,
+  NAME: `Fire ${id}`,
+  STATUS: status,
+  LATITUDE: lat,
+  LONGITUDE: lng,
+});
+
+test("reports new fires only inside the radius", () => {
+  const previous = [fire("a", "UC", 47.56, -52.9)];
+  const current = [
+    ...previous,
+    fire("near", "UC", 47.6, -52.71), // ~4 km
+    fire("far", "UC", 48.5, -52.71), // ~105 km
+  ];
+
+  const events = diffSnapshots(previous, current, { location, radius: 50 });
+
+  expect(events.map((event) => [event.type, event.fireId])).toEqual([
+    ["new-fire", "near"],
+  ]);
+});
+
+test("reports status changes for any fire", () => {
+  const events = diffSnapshots(
+    [fire("a", "BH", 49, -57)],
+    [fire("a", "OC", 49, -57)],
+    { time: 1000 }
+  );
+
+  expect(events).toEqual([
+    {
+      type: "status-change",
+      fireId: "a",
+      title: "Wildfire status changed",
+      message: "Fire a changed from Being Held to Out-of-Control.",
+      id: "1000-0",
+      time: 1000,
+    },
+  ]);
+});
+
+test("reports when the overall risk for the location goes up", () => {
+  // ~20 km away: Being Held is LOW RISK, Out-of-Control is HIGH RISK
+  const events = diffSnapshots(
+    [fire("a", "BH", 47.74, -52.71)],
+    [fire("a", "OC", 47.74, -52.71)],
+    { location }
+  );
+
+  expect(events.map((event) => event.type)).toEqual([
+    "status-change",
+    "risk-increase",
+  ]);
+  expect(events[1].message).toBe(
+    "Risk for St. John's rose from LOW RISK to HIGH RISK."
+  );
+});
+
+test("stays quiet when nothing changed or risk went down", () => {
+  const previous = [fire("a", "OC", 47.74, -52.71)];
+  expect(diffSnapshots(previous, previous, { location })).toEqual([]);
+  expect(diffSnapshots(previous, [], { location })).toEqual([]);
+});
@@ -0,0 +1,339 @@
+import {
+  angleDifference,
+  calculateBearing,
+  compassDirection,
+  destinationPoint,
+  getFireDistance,
+} from "./geo";
+import { getStatusText } from "./fireLabels";
+import { english } from "../i18n/translate";
+
+// Risk levels from lowest to highest; `rank` is the index, `color` the
+// badge classes and `hex` the colour used on the map.
+export const RISK_LEVELS = [
+  {
+    level: "MINIMAL RISK",
+    rank: 0,
+    color: "text-green-800 bg-green-100 border-green-300",
+    hex: "#16a34a",
+  },
+  {
+    level: "LOW RISK",
+    rank: 1,
+    color: "text-yellow-800 bg-yellow-100 border-yellow-300",
+    hex: "#ca8a04",
+  },
+  {
+    level: "MODERATE RISK",
+    rank: 2,
+    color: "text-orange-800 bg-orange-100 border-orange-300",
+    hex: "#ea580c",
+  },
+  {
+    level: "HIGH RISK",
+    rank: 3,
+    color: "text-red-800 bg-red-100 border-red-300",
+    hex: "#dc2626",
+  },
+  {
+    level: "EXTREME RISK",
+    rank: 4,
+    color: "text-red-900 bg-red-200 border-red-400",
+    hex: "#7f1d1d",
+  },
+];
+
+// Rules the ratings are computed from. A deployment can override them
+// through config.risk and each user through the risk settings panel; see
+// mergeRiskRules. Setting `largeFire` or `growthFactor` to null turns that
+// rule off.
+export const DEFAULT_RISK_RULES = {
+  // Out-of-control fires closer than these distances (km) are extreme, high
+  // and moderate risk
+  distances: { extreme: 10, high: 25, moderate: 50 },
+  // Fires out of control or being held closer than this (km) are low risk
+  watch: 100,
+  // Raise a rating one level for fires at least this big (hectares)...
+  largeFire: 1000,
+  // ...and for fires whose area grew at least this many times over in the
+  // last day
+  growthFactor: 2,
+  // Downwind sector of a fire: locations within `halfAngle` degrees of the
+  // downwind bearing and `reach` km of the fire, when the wind is at least
+  // `minSpeed` km/h, are raised one level
+  wind: { halfAngle: 30, reach: 50, minSpeed: 10 },
+  // Ratings of at least this rank come with a critical alert
+  alertRank: 2,
+};
+
+// Applies one set of rule overrides. Nested groups (distances, wind) are
+// merged key by key so an override can change a single value.
+export const overrideRiskRules = (rules, override) =>
+  Object.entries(override || {}).reduce(
+    (merged, [key, value]) => ({
+      ...merged,
+      [key]:
+        value && typeof value === "object" && !Array.isArray(value)
+          ? { ...merged[key], ...value }
+          : value,
+    }),
+    rules
+  );
+
+// Why a set of rules can't be used, as a message key, or null when it can.
+// Zone distances must grow from extreme to watch; the optional thresholds
+// are off (null) or finite numbers, growth at least 1×.
+export const checkRiskRules = ({
+  distances,
+  watch,
+  largeFire,
+  growthFactor,
+}) => {
+  const zones = [distances.extreme, distances.high, distances.moderate, watch];
+  const ordered = zones.every(
+    (km, index) =>
+      Number.isFinite(km) && km > 0 && (index === 0 || km > zones[index - 1])
+  );
+  if (!ordered) return "risk.invalid.order";
+  if (largeFire !== null && !(Number.isFinite(largeFire) && largeFire > 0)) {
+    return "risk.invalid.largeFire";
+  }
+  if (
+    growthFactor !== null &&
+    !(Number.isFinite(growthFactor) && growthFactor >= 1)
+  ) {
+    return "risk.invalid.growthFactor";
+  }
+  return null;
+};
+
+// The defaults with each set of overrides layered on top, in order.
+export const mergeRiskRules = (...overrides) =>
+  overrides.reduce(overrideRiskRules, DEFAULT_RISK_RULES);
+
+// Reads out one reason in the language of the translator `t`. Reasons keep
+// raw values (status and compass codes, numbers) so they can be read out
+// in any language; raising reasons also say which level they raised from.
+export const describeReason = (reason, t = english) => {
+  const { status, direction, ...values } = reason.values;
+  const text = t(reason.key, {
+    ...values,
+    ...(status !== undefined && {
+      status: getStatusText(status, t).toLowerCase(),
+    }),
+    ...(direction !== undefined && { direction: t(`compass.${direction}`) }),
+  });
+  if (reason.raisedFrom === undefined) return text;
+  return reason.raisedFrom === null
+    ? t("risk.applies", {
+        reason: text.charAt(0).toUpperCase() + text.slice(1),
+      })
+    : t("risk.raised", {
+        level: t(`risk.level.${reason.raisedFrom}`),
+        reason: text,
+      });
+};
+
+// The whole explanation for a rating: every reason, in order.
+export const explainRisk = (risk, t = english) =>
+  risk.reasons.map((reason) => describeReason(reason, t)).join(" ");
+
+const createReason = (rule, key, values, raisedFrom) => {
+  const reason = { rule, key, values, raisedFrom };
+  return { ...reason, text: describeReason(reason) };
+};
+
+const withReason = (level, rule, key, values = {}) => ({
+  ...level,
+  rule,
+  reasons: [createReason(rule, key, values)],
+});
+
+// Risk rating for a location relative to a single fire, from straight-line
+// distance and status only. `rule` names the rule that produced it.
+export const getRiskLevel = (distance, status, rules = DEFAULT_RISK_RULES) => {
+  const { distances, watch } = rules;
+  if (!Number.isFinite(distance)) {
+    return withReason(RISK_LEVELS[0], "none", "risk.reason.none");
+  }
+  if (status === "OC") {
+    const zone = [
+      ["extreme", 4],
+      ["high", 3],
+      ["moderate", 2],
+    ].find(([name]) => distance < distances[name]);
+    if (zone) {
+      const [name, rank] = zone;
+      return withReason(RISK_LEVELS[rank], name, `risk.reason.${name}`, {
+        distance,
+        limit: distances[name],
+      });
+    }
+  }
+  if (status !== "OC" && status !== "BH") {
+    return withReason(RISK_LEVELS[0], "contained", "risk.reason.contained", {
+      status,
+    });
+  }
+  if (distance < watch) {
+    return withReason(RISK_LEVELS[1], "watch", `risk.reason.watch.${status}`, {
+      distance,
+      limit: watch,
+    });
+  }
+  return withReason(RISK_LEVELS[0], "distant", "risk.reason.distant", {
+    distance,
+    limit: watch,
+  });
+};
+
+const spreadsWithWind = (fire, rules) =>
+  ["OC", "BH"].includes(fire.STATUS) &&
+  fire.wind &&
+  fire.wind.speed >= rules.wind.minSpeed;
+
+const isDownwind = (location, fire, distance, rules) => {
+  if (!spreadsWithWind(fire, rules) || distance > rules.wind.reach) {
+    return false;
+  }
+  const bearing = calculateBearing(
+    fire.LATITUDE,
+    fire.LONGITUDE,
+    location.lat,
+    location.lng
+  );
+  const downwind = (fire.wind.direction + 180) % 360;
+  return angleDifference(bearing, downwind) <= rules.wind.halfAngle;
+};
+
+// Rules that raise a rating one level each. Each returns the values for its
+// "risk.reason.<rule>" message when it applies, or null. Size and growth only
+// count for fires that are already a threat, i.e. rated above minimal on
+// distance and status.
+const RAISING_RULES = [
+  {
+    rule: "downwind",
+    check: (location, fire, distance, rules) =>
+      isDownwind(location, fire, distance, rules)
+        ? {
+            direction: compassDirection(fire.wind.direction),
+            speed: Math.round(fire.wind.speed),
+          }
+        : null,
+  },
+  {
+    rule: "large-fire",
+    check: (location, fire, distance, rules, base) =>
+      rules.largeFire != null &&
+      base.rank > 0 &&
+      fire.AREAEST >= rules.largeFire
+        ? { area: fire.AREAEST, limit: rules.largeFire }
+        : null,
+  },
+  {
+    rule: "growth",
+    check: (location, fire, distance, rules, base) =>
+      rules.growthFactor != null &&
+      base.rank > 0 &&
+      fire.growth &&
+      fire.growth.factor >= rules.growthFactor
+        ? { factor: fire.growth.factor, limit: rules.growthFactor }
+        : null,
+  },
+];
+
+// Risk for a location from one fire: the distance and status rating, raised
+// one level by each raising rule that applies (downwind, large fire, fast
+// growth). `reasons` lists every rule that shaped the rating, `explanation`
+// reads them out in English (see explainRisk for other languages) and
+// `alert` says whether it warrants a critical alert.
+export const assessFireRisk = (
+  location,
+  fire,
+  distance = fire.distance,
+  rules = DEFAULT_RISK_RULES
+) => {
+  const base = getRiskLevel(distance, fire.STATUS, rules);
+
+  const risk = RAISING_RULES.reduce((current, { rule, check }) => {
+    const values = check(location, fire, distance, rules, base);
+    if (!values) return current;
+    const raised =
+      RISK_LEVELS[Math.min(current.rank + 1, RISK_LEVELS.length - 1)];
+    return {
+      ...current,
+      ...raised,
+      rule,
+      reasons: [
+        ...current.reasons,
+        createReason(
+          rule,
+          `risk.reason.${rule}`,
+          values,
+          raised.rank > current.rank ? current.rank : null
+        ),
+      ],
+    };
+  }, base);
+
+  const assessed = {
+    ...risk,
+    ...(risk.rank > base.rank && { baseLevel: base.level }),
+    downwind: risk.reasons.some((reason) => reason.rule === "downwind"),
+    alert: risk.rank >= rules.alertRank,
+  };
+  return { ...assessed, explanation: explainRisk(assessed) };
+};
+
+// Outline of a fire's downwind sector as Leaflet [lat, lng] points, or null
+// when the wind is too light to matter.
+export const getDownwindCone = (fire, rules = DEFAULT_RISK_RULES) => {
+  if (!spreadsWithWind(fire, rules)) return null;
+
+  const downwind = (fire.wind.direction + 180) % 360;
+  const arc = [];
+  for (
+    let offset = -rules.wind.halfAngle;
+    offset <= rules.wind.halfAngle;
+    offset += 5
+  ) {
+    arc.push(
+      destinationPoint(
+        fire.LATITUDE,
+        fire.LONGITUDE,
+        downwind + offset,
+        rules.wind.reach
+      )
+    );
+  }
+  return [[fire.LATITUDE, fire.LONGITUDE], ...arc];
+};
+
+// Overall threat to one location: the nearest fire with its distance, and
+// the highest risk rating produced by any fire.
+export const summarizeThreat = (
+  location,
+  fires,
+  rules = DEFAULT_RISK_RULES
+) => {
+  let nearest = null;
+  let risk = null;
+
+  fires.forEach((fire) => {
+    const { distance, distanceTo } = getFireDistance(location, fire);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { fire, distance, distanceTo };
+    }
+    const fireRisk = assessFireRisk(location, fire, distance, rules);
+    if (!risk || fireRisk.rank > risk.rank) {
+      risk = fireRisk;
+    }
+  });
+
+  return {
+    nearestFire: nearest && nearest.fire,
+    distance: nearest ? nearest.distance : null,
+    distanceTo: nearest && nearest.distanceTo,
+    risk: risk || assessFireRisk(location, { STATUS: null }, Infinity, rules),
+  };
+};
@@ -0,0 +1,196 @@
+import {
+  assessFireRisk,
+  checkRiskRules,
+  DEFAULT_RISK_RULES,
+  getDownwindCone,
+  getRiskLevel,
+  mergeRiskRules,
+  summarizeThreat,
+} from "./risk";
+
+test("getRiskLevel rates out-of-control fires by distance", () => {
+  expect(getRiskLevel(5, "OC").level).toBe("EXTREME RISK");
+  expect(getRiskLevel(20, "OC").level).toBe("HIGH RISK");
+  expect(getRiskLevel(40, "OC").level).toBe("MODERATE RISK");
+  expect(getRiskLevel(80, "OC").level).toBe("LOW RISK");
+  expect(getRiskLevel(5, "BH").level).toBe("LOW RISK");
+  expect(getRiskLevel(5, "UC").level).toBe("MINIMAL RISK");
+});
+
+test("getRiskLevel explains which rule produced the rating", () => {
+  expect(getRiskLevel(20, "OC")).toMatchObject({
+    rule: "high",
+    reasons: [
+      {
+        rule: "high",
+        text: "An out-of-control fire is 20.0 km away, inside the 25 km high-risk distance.",
+      },
+    ],
+  });
+  expect(getRiskLevel(120, "BH").reasons[0].text).toBe(
+    "The fire is 120.0 km away, beyond the 100 km watch distance."
+  );
+  expect(getRiskLevel(5, "UC").reasons[0].text).toBe(
+    "This fire is under control, so it is rated minimal risk at any distance."
+  );
+});
+
+test("getRiskLevel uses configured distances", () => {
+  const rules = mergeRiskRules({ distances: { extreme: 30 }, watch: 150 });
+
+  expect(rules.distances).toEqual({ extreme: 30, high: 25, moderate: 50 });
+  expect(getRiskLevel(20, "OC", rules).level).toBe("EXTREME RISK");
+  expect(getRiskLevel(120, "BH", rules).level).toBe("LOW RISK");
+  expect(DEFAULT_RISK_RULES.distances.extreme).toBe(10);
+});
+
+test("checkRiskRules wants ordered distances and finite thresholds", () => {
+  expect(checkRiskRules(DEFAULT_RISK_RULES)).toBeNull();
+  expect(
+    checkRiskRules(mergeRiskRules({ largeFire: null, growthFactor: null }))
+  ).toBeNull();
+  expect(checkRiskRules(mergeRiskRules({ distances: { extreme: 30 } }))).toBe(
+    "risk.invalid.order"
+  );
+  expect(checkRiskRules(mergeRiskRules({ watch: 50 }))).toBe(
+    "risk.invalid.order"
+  );
+  expect(checkRiskRules(mergeRiskRules({ largeFire: NaN }))).toBe(
+    "risk.invalid.largeFire"
+  );
+  expect(checkRiskRules(mergeRiskRules({ growthFactor: 0.5 }))).toBe(
+    "risk.invalid.growthFactor"
+  );
+});
+
+test("summarizeThreat reports the nearest fire and the highest risk", () => {
+  const fires = [
+    // Under control, right next door
+    { FIREID: "near", STATUS: "UC", LATITUDE: 47.56, LONGITUDE: -52.72 },
+    // Out of control, about 20 km away
+    { FIREID: "far", STATUS: "OC", LATITUDE: 47.74, LONGITUDE: -52.71 },
+  ];
+  const summary = summarizeThreat({ lat: 47.56, lng: -52.71 }, fires);
+
+  expect(summary.nearestFire.FIREID).toBe("near");
+  expect(summary.distance).toBeLessThan(1);
+  expect(summary.distanceTo).toBe("centroid");
+  expect(summary.risk.level).toBe("HIGH RISK");
+});
+
+test("summarizeThreat handles an empty fire list", () => {
+  const summary = summarizeThreat({ lat: 47.56, lng: -52.71 }, []);
+
+  expect(summary).toMatchObject({
+    nearestFire: null,
+    distance: null,
+    distanceTo: null,
+  });
+  expect(summary.risk).toMatchObject({
+    level: "MINIMAL RISK",
+    explanation: "No fires are reported.",
+    alert: false,
+  });
+});
+
+describe("assessFireRisk", () => {
+  // Fire 20 km due west of the location, which puts the location due east
+  const location = { lat: 47.56, lng: -52.71 };
+  const fire = {
+    STATUS: "OC",
+    LATITUDE: 47.56,
+    LONGITUDE: -52.976,
+    distance: 20,
+  };
+
+  test("raises the rating one level inside the downwind sector", () => {
+    // Westerly wind blows towards the east, i.e. towards the location
+    const risk = assessFireRisk(location, {
+      ...fire,
+      wind: { speed: 30, direction: 270 },
+    });
+
+    expect(risk.level).toBe("EXTREME RISK");
+    expect(risk.baseLevel).toBe("HIGH RISK");
+    expect(risk.explanation).toBe(
+      "An out-of-control fire is 20.0 km away, inside the 25 km high-risk distance. " +
+        "Raised from HIGH RISK: you are downwind of this fire (wind from W at 30 km/h)."
+    );
+  });
+
+  test("leaves the rating alone upwind, in light wind or without wind data", () => {
+    const base = getRiskLevel(20, "OC");
+    [
+      { ...fire, wind: { speed: 30, direction: 90 } },
+      { ...fire, wind: { speed: 5, direction: 270 } },
+      fire,
+    ].forEach((unraised) => {
+      const risk = assessFireRisk(location, unraised);
+      expect(risk.level).toBe(base.level);
+      expect(risk.reasons).toEqual(base.reasons);
+      expect(risk.downwind).toBe(false);
+    });
+  });
+
+  test("raises large and fast-growing fires once per rule", () => {
+    const risk = assessFireRisk(location, {
+      ...fire,
+      STATUS: "BH",
+      AREAEST: 1500,
+      growth: { factor: 3 },
+    });
+
+    expect(risk.level).toBe("HIGH RISK");
+    expect(risk.baseLevel).toBe("LOW RISK");
+    expect(risk.reasons.map((reason) => reason.rule)).toEqual([
+      "watch",
+      "large-fire",
+      "growth",
+    ]);
+    expect(risk.reasons[2].text).toBe(
+      "Raised from MODERATE RISK: the fire grew 3.0 times over in the last day, at least the 2 times growth limit."
+    );
+  });
+
+  test("does not raise fires that are no threat, or rules turned off", () => {
+    const big = { ...fire, AREAEST: 5000, growth: { factor: 4 } };
+
+    expect(assessFireRisk(location, { ...big, STATUS: "UC" }).level).toBe(
+      "MINIMAL RISK"
+    );
+    expect(
+      assessFireRisk(
+        location,
+        big,
+        20,
+        mergeRiskRules({ largeFire: null, growthFactor: null })
+      ).level
+    ).toBe("HIGH RISK");
+  });
+
+  test("flags ratings at or above the alert rank", () => {
+    expect(assessFireRisk(location, { ...fire, distance: 40 }).alert).toBe(
+      true
+    );
+    expect(assessFireRisk(location, { ...fire, distance: 80 }).alert).toBe(
+      false
+    );
+    expect(
+      assessFireRisk(location, fire, 40, mergeRiskRules({ alertRank: 3 })).alert
+    ).toBe(false);
+  });
+});
+
+test("getDownwindCone starts at the fire and fans out downwind", () => {
+  const cone = getDownwindCone({
+    STATUS: "OC",
+    LATITUDE: 47.56,
+    LONGITUDE: -52.976,
+    wind: { speed: 30, direction: 270 },
+  });
+
+  expect(cone[0]).toEqual([47.56, -52.976]);
+  // Every arc point lies east of the fire
+  cone.slice(1).forEach(([, lng]) => expect(lng).toBeGreaterThan(-52.976));
+  expect(getDownwindCone({ STATUS: "UC", wind: { speed: 30 } })).toBeNull();
+});
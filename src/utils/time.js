@@ -0,0 +1,22 @@
+import { english } from "../i18n/translate";
+
+// Human-readable age of a timestamp, e.g. "5 minutes ago".
+export const formatAge = (time, t = english, now = Date.now()) => {
+  const minutes = Math.floor((now - new Date(time).getTime()) / 60000);
+  if (minutes < 1) return t("time.justNow");
+  if (minutes < 60) return t("time.minutesAgo", { count: minutes });
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return t("time.hoursAgo", { count: hours });
+  return t("time.daysAgo", { count: Math.floor(hours / 24) });
+};
+
+// Driving time, e.g. "45 min" or "2 h 5 min".
+export const formatDuration = (minutes, t = english) => {
+  const rounded = Math.round(minutes);
+  return rounded < 60
+    ? t("time.minutes", { minutes: rounded })
+    : t("time.hoursMinutes", {
+        hours: Math.floor(rounded / 60),
+        minutes: rounded % 60,
+      });
+};
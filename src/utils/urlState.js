@@ -0,0 +1,122 @@
+import { DEFAULT_FILTERS, DEFAULT_SORT } from "./fireFilters";
+
+// The shareable part of the app state lives in the URL:
+//   /list, /map or /fire/:FIREID
+//   ?address=... or ?lat=...&lng=... for the searched location
+//   ?status=OC,BH&radius=...&minArea=...&cause=...&region=...&from=...&to=...
+//     for the list filters, and ?sort=... for the list order
+const COORDINATE_DIGITS = 5;
+
+// URL parameters that carry list filters or the sort order
+export const FILTER_PARAMS = [
+  "status",
+  "radius",
+  "minArea",
+  "cause",
+  "region",
+  "from",
+  "to",
+  "sort",
+];
+
+const readNumber = (params, key) => {
+  const value = parseFloat(params.get(key));
+  return Number.isFinite(value) ? value : null;
+};
+
+const readPositive = (params, key) => {
+  const value = readNumber(params, key);
+  return value > 0 ? value : null;
+};
+
+const readDate = (params, key) => {
+  const value = params.get(key) || "";
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : "";
+};
+
+export const hasFilterParams = (search) => {
+  const params = new URLSearchParams(search);
+  return FILTER_PARAMS.some((key) => params.has(key));
+};
+
+export const parseAppUrl = ({ pathname, search }) => {
+  const params = new URLSearchParams(search);
+  const fireMatch = pathname.match(/^\/fire\/([^/]+)\/?$/);
+  const lat = readNumber(params, "lat");
+  const lng = readNumber(params, "lng");
+  const status = params.get("status");
+
+  let page = "list";
+  if (fireMatch) page = "fire";
+  else if (/^\/map\/?$/.test(pathname)) page = "map";
+
+  return {
+    page,
+    fireId: fireMatch ? decodeURIComponent(fireMatch[1]) : null,
+    address: lat !== null && lng !== null ? "" : params.get("address") || "",
+    location: lat !== null && lng !== null ? { lat, lng } : null,
+    filters: {
+      statuses:
+        status !== null
+          ? DEFAULT_FILTERS.statuses.filter((code) =>
+              status.split(",").includes(code)
+            )
+          : DEFAULT_FILTERS.statuses,
+      radius: readPositive(params, "radius"),
+      minArea: readPositive(params, "minArea"),
+      cause: params.get("cause") || "",
+      region: params.get("region") || "",
+      from: readDate(params, "from"),
+      to: readDate(params, "to"),
+    },
+    sort: params.get("sort") || DEFAULT_SORT,
+  };
+};
+
+export const buildAppUrl = ({
+  page,
+  fireId,
+  address,
+  location,
+  filters = DEFAULT_FILTERS,
+  sort = DEFAULT_SORT,
+}) => {
+  const path =
+    page === "fire" && fireId
+      ? `/fire/${encodeURIComponent(fireId)}`
+      : `/${page === "map" ? "map" : "list"}`;
+
+  const params = new URLSearchParams();
+  if (location) {
+    params.set("lat", location.lat.toFixed(COORDINATE_DIGITS));
+    params.set("lng", location.lng.toFixed(COORDINATE_DIGITS));
+  } else if (address) {
+    params.set("address", address);
+  }
+
+  const { statuses, radius, minArea, cause, region, from, to } = {
+    ...DEFAULT_FILTERS,
+    ...filters,
+  };
+  if (statuses.length !== DEFAULT_FILTERS.statuses.length) {
+    params.set("status", statuses.join(","));
+  }
+  if (radius) params.set("radius", radius);
+  if (minArea) params.set("minArea", minArea);
+  if (cause) params.set("cause", cause);
+  if (region) params.set("region", region);
+  if (from) params.set("from", from);
+  if (to) params.set("to", to);
+  if (sort && sort !== DEFAULT_SORT) params.set("sort", sort);
+
+  const query = params.toString();
+  return query ? `${path}?${query}` : path;
+};
+
+// Identifies the search a URL asks for, or "" when it doesn't ask for one.
+export const getSearchKey = ({ address, location }) =>
+  location
+    ? `${location.lat.toFixed(COORDINATE_DIGITS)},${location.lng.toFixed(
+        COORDINATE_DIGITS
+      )}`
+    : (address || "").trim();
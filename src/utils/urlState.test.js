@@ -0,0 +1,90 @@
+import {
+  parseAppUrl,
+  buildAppUrl,
+  getSearchKey,
+  hasFilterParams,
+} from "./urlState";
+import { DEFAULT_FILTERS } from "./fireFilters";
+
+test("parseAppUrl reads the page, fire and search from a link", () => {
+  expect(
+    parseAppUrl({
+      pathname: "/fire/NL-2025-Kingston",
+      search: "?address=Carbonear&radius=50",
+    })
+  ).toEqual({
+    page: "fire",
+    fireId: "NL-2025-Kingston",
+    address: "Carbonear",
+    location: null,
+    filters: { ...DEFAULT_FILTERS, radius: 50 },
+    sort: "distance",
+  });
+  expect(parseAppUrl({ pathname: "/", search: "" })).toMatchObject({
+    page: "list",
+    address: "",
+    location: null,
+    filters: DEFAULT_FILTERS,
+  });
+});
+
+test("coordinates take precedence over an address", () => {
+  const state = parseAppUrl({
+    pathname: "/map",
+    search: "?lat=47.56&lng=-52.71&address=Gander",
+  });
+  expect(state.page).toBe("map");
+  expect(state.location).toEqual({ lat: 47.56, lng: -52.71 });
+  expect(state.address).toBe("");
+});
+
+test("buildAppUrl round-trips through parseAppUrl", () => {
+  const url = buildAppUrl({
+    page: "map",
+    address: "",
+    location: { lat: 47.561234567, lng: -52.712345678 },
+    filters: { radius: 25 },
+  });
+  expect(url).toBe("/map?lat=47.56123&lng=-52.71235&radius=25");
+
+  const [pathname, search] = url.split("?");
+  const state = parseAppUrl({ pathname, search: `?${search}` });
+  expect(getSearchKey(state)).toBe("47.56123,-52.71235");
+  expect(buildAppUrl(state)).toBe(url);
+});
+
+test("buildAppUrl escapes addresses and fire ids", () => {
+  expect(
+    buildAppUrl({ page: "fire", fireId: "A/B", address: "St. John's, NL" })
+  ).toBe("/fire/A%2FB?address=St.+John%27s%2C+NL");
+  expect(buildAppUrl({ page: "list" })).toBe("/list");
+});
+
+test("list filters and sort order round-trip through the URL", () => {
+  const filters = {
+    statuses: ["OC", "BH"],
+    radius: 100,
+    minArea: 50,
+    cause: "Lightning",
+    region: "ET",
+    from: "2025-07-01",
+    to: "2025-07-31",
+  };
+  const url = buildAppUrl({
+    page: "list",
+    address: "Gander",
+    filters,
+    sort: "risk",
+  });
+  expect(url).toBe(
+    "/list?address=Gander&status=OC%2CBH&radius=100&minArea=50&cause=Lightning&region=ET&from=2025-07-01&to=2025-07-31&sort=risk"
+  );
+
+  const search = url.slice(url.indexOf("?"));
+  expect(hasFilterParams(search)).toBe(true);
+  expect(hasFilterParams("?address=Gander")).toBe(false);
+  expect(parseAppUrl({ pathname: "/list", search })).toMatchObject({
+    filters,
+    sort: "risk",
+  });
+});